@@ -0,0 +1,215 @@
+/**
+ * Accounts
+ * Player accounts, login sessions and the Crash Cash wallet.
+ *
+ * All balance changes go through debit()/settle(), which check and update the
+ * wallet synchronously so two bets can never spend the same funds. Password
+ * hashing is the one async step, so a login never blocks the game loops.
+ *
+ * Emits:
+ *  - 'balance' (account) - after any change to balance or totalProfit
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { promisify } = require('util');
+const { sanitizeUsername } = require('./validation');
+
+const STARTING_BALANCE = 5000;
+const MIN_PASSWORD_LENGTH = 8;
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I lookalikes
+
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password, salt) {
+    return (await scrypt(password, salt, 64)).toString('hex');
+}
+
+class Accounts extends EventEmitter {
+    constructor(store) {
+        super();
+        this.store = store;
+        this.store.data.accounts = this.store.data.accounts || {}; // id -> account
+        this.store.data.sessions = this.store.data.sessions || {}; // token -> { accountId, createdAt }
+
+        // Accounts created before referral codes or public ids existed get them now
+        Object.values(this.store.data.accounts).forEach((account) => {
+            if (account.referralCode && account.publicId) return;
+            account.referralCode = account.referralCode || this._uniqueReferralCode();
+            account.publicId = account.publicId || this._publicId();
+            this.store.save();
+        });
+    }
+
+    // Logs into an existing account by email, or registers a new one from the given IP
+    async login({ email, username, password }, ip) {
+        email = String(email || '').trim().toLowerCase();
+        username = String(username || '').trim();
+        password = String(password || '');
+
+        if (!email || !password) return { error: 'Email and password required' };
+
+        let account = this.findByEmail(email);
+        if (account && account.banned) return { error: 'Account banned' };
+        if (account) {
+            const hash = await hashPassword(password, account.salt);
+            if (!crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(account.passwordHash, 'hex'))) {
+                return { error: 'Invalid email or password' };
+            }
+        } else {
+            if (!username) return { error: 'Username required' };
+            const clean = sanitizeUsername(username);
+            if (clean.error) return clean;
+            username = clean.value;
+            if (password.length < MIN_PASSWORD_LENGTH) {
+                return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+            }
+            if (this.findByUsername(username)) return { error: 'Username already taken' };
+
+            const salt = crypto.randomBytes(16).toString('hex');
+            const passwordHash = await hashPassword(password, salt);
+            // Another registration may have taken the email or name while the hash was computed
+            if (this.findByEmail(email)) return { error: 'Email already registered, log in instead' };
+            if (this.findByUsername(username)) return { error: 'Username already taken' };
+            account = this._create({ email, username, salt, passwordHash, ip });
+        }
+
+        const token = crypto.randomBytes(24).toString('hex');
+        this.store.data.sessions[token] = { accountId: account.id, createdAt: Date.now() };
+        this.store.save();
+
+        return { token, account: this.toPublic(account) };
+    }
+
+    logout(token) {
+        delete this.store.data.sessions[token];
+        this.store.save();
+    }
+
+    // Bans end every session of the account; reason null lifts the ban
+    setBanned(accountId, reason) {
+        const account = this.get(accountId);
+        if (!account) return { error: 'Account not found' };
+
+        if (reason == null) {
+            delete account.banned;
+        } else {
+            account.banned = { reason: String(reason), at: Date.now() };
+            Object.entries(this.store.data.sessions).forEach(([token, session]) => {
+                if (session.accountId === accountId) delete this.store.data.sessions[token];
+            });
+        }
+        this.store.save();
+        return { ...this.toPublic(account), banned: account.banned || null };
+    }
+
+    get(accountId) {
+        return this.store.data.accounts[accountId] || null;
+    }
+
+    getBySession(token) {
+        const session = token && this.store.data.sessions[token];
+        return session ? this.get(session.accountId) : null;
+    }
+
+    findByEmail(email) {
+        return Object.values(this.store.data.accounts).find(a => a.email === email) || null;
+    }
+
+    findByReferralCode(code) {
+        const key = String(code || '').trim().toUpperCase();
+        return Object.values(this.store.data.accounts).find(a => a.referralCode === key) || null;
+    }
+
+    findByUsername(username) {
+        const key = username.toLowerCase();
+        return Object.values(this.store.data.accounts).find(a => a.username.toLowerCase() === key) || null;
+    }
+
+    // --- Wallet ---
+
+    debit(accountId, amount) {
+        const account = this.get(accountId);
+        if (!account) return { error: 'Account not found' };
+        if (amount > account.balance) return { error: 'Insufficient funds' };
+
+        account.balance -= amount;
+        this._changed(account);
+        return { balance: account.balance };
+    }
+
+    // Pays out a settled bet: payout returns to the balance, profit (negative on a loss) to totalProfit
+    settle(accountId, payout, profit) {
+        const account = this.get(accountId);
+        if (!account) return { error: 'Account not found' };
+
+        account.balance += payout;
+        account.totalProfit += profit;
+        this._changed(account);
+        return { balance: account.balance };
+    }
+
+    // Bonus funds - changes the balance without counting as trading profit
+    credit(accountId, amount) {
+        const account = this.get(accountId);
+        if (!account) return { error: 'Account not found' };
+
+        account.balance += amount;
+        this._changed(account);
+        return { balance: account.balance };
+    }
+
+    toPublic(account) {
+        return {
+            id: account.id,
+            publicId: account.publicId,
+            username: account.username,
+            referralCode: account.referralCode,
+            balance: account.balance,
+            totalProfit: account.totalProfit
+        };
+    }
+
+    // --- Private Methods ---
+
+    _create({ email, username, salt, passwordHash, ip }) {
+        const account = {
+            id: crypto.randomUUID(),
+            publicId: this._publicId(),
+            email: email,
+            username: username,
+            salt: salt,
+            passwordHash: passwordHash,
+            balance: STARTING_BALANCE,
+            totalProfit: 0,
+            referralCode: this._uniqueReferralCode(),
+            registrationIp: ip || null,
+            createdAt: Date.now()
+        };
+        this.store.data.accounts[account.id] = account;
+        this.store.save();
+        console.log(`Account created: ${username}`);
+        return account;
+    }
+
+    // Identifier shown to other players in place of socket or account ids
+    _publicId() {
+        return crypto.randomBytes(5).toString('hex');
+    }
+
+    _uniqueReferralCode() {
+        let code;
+        do {
+            const chars = Array.from({ length: 8 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+            code = `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+        } while (this.findByReferralCode(code));
+        return code;
+    }
+
+    _changed(account) {
+        this.store.save();
+        this.emit('balance', account);
+    }
+}
+
+module.exports = Accounts;
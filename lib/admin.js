@@ -0,0 +1,96 @@
+/**
+ * Admin
+ * Runtime config schema for the game rooms and the audit log of admin actions.
+ *
+ * The audit log is append-only JSONL (data/audit.jsonl); the most recent entries
+ * are also kept in memory for the admin console.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hasRule, checkValue } = require('./validation');
+
+// Settings an admin may change while the server runs - each applies from the next round
+const CONFIG_SCHEMA = {
+    tickRate: { type: 'integer', min: 10, max: 1000, label: 'Tick rate (ms between server checks)' },
+    growthRate: { type: 'number', min: 0.01, max: 1, label: 'Growth rate (k in e^(k·t))' },
+    minBet: { type: 'integer', min: 1, max: 1000000, label: 'Minimum bet (CC)' },
+    maxBet: { type: 'integer', min: 1, max: 100000000, label: 'Maximum bet (CC)' },
+    bettingDuration: { type: 'integer', min: 1000, max: 60000, label: 'Inter-round delay (ms of betting)' }
+};
+
+// Checks a partial config against the schema, and against the config it will be merged into
+function validateConfig(patch, current = {}) {
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+        return { error: 'Config must be an object' };
+    }
+
+    const config = {};
+    for (const [key, value] of Object.entries(patch)) {
+        if (!hasRule(CONFIG_SCHEMA, key)) return { error: `Unknown setting: ${key}` };
+        const rule = CONFIG_SCHEMA[key];
+
+        const error = checkValue(key, rule, value);
+        if (error) return { error };
+        config[key] = value;
+    }
+
+    const merged = { ...current, ...config };
+    if (merged.minBet > merged.maxBet) {
+        return { error: 'minBet cannot be above maxBet' };
+    }
+    return { config };
+}
+
+class AuditLog {
+    constructor(file, limit = 500) {
+        this.file = file;
+        this.limit = limit;
+        this.entries = []; // newest last
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        if (fs.existsSync(file)) {
+            this.entries = fs.readFileSync(file, 'utf8').split('\n')
+                .filter(Boolean)
+                .slice(-limit)
+                .map((line) => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (err) {
+                        return null;
+                    }
+                })
+                .filter(Boolean);
+        }
+    }
+
+    // Records one admin action - the result says whether it went through
+    record(actor, action, params, result = {}) {
+        const entry = {
+            time: Date.now(),
+            actor: actor,
+            action: action,
+            params: params,
+            error: result.error || null
+        };
+        fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+        this.entries.push(entry);
+        if (this.entries.length > this.limit) {
+            this.entries.shift();
+        }
+
+        console.log(`[ADMIN] ${actor} ${action} ${JSON.stringify(params)}${entry.error ? ` - ${entry.error}` : ''}`);
+        return entry;
+    }
+
+    // Newest first
+    recent(limit = 100) {
+        return this.entries.slice(-limit).reverse();
+    }
+}
+
+module.exports = {
+    CONFIG_SCHEMA,
+    validateConfig,
+    AuditLog
+};
@@ -0,0 +1,204 @@
+/**
+ * Auto-Bet
+ * Server-side betting strategies that place a bet on every round of a ticker.
+ *
+ * Strategies live on the server, so stop conditions are enforced even after the
+ * player's tab is closed. A stop loss is mandatory for the same reason.
+ *
+ * Emits:
+ *  - 'update' (accountId, status) - after start, every settled round and stop
+ */
+
+const EventEmitter = require('events');
+
+const MIN_BET = 10;
+
+// Bet size rules: 'reset' goes back to the base bet, a number multiplies the last bet
+const PRESETS = {
+    flat: { onWin: 'reset', onLoss: 'reset' },
+    martingale: { onWin: 'reset', onLoss: 2 },
+    antiMartingale: { onWin: 2, onLoss: 'reset' }
+};
+
+function isRule(rule) {
+    return rule === 'reset' || (typeof rule === 'number' && rule > 0);
+}
+
+class AutoBetStrategy {
+    constructor({ ticker, strategy, baseBet, autoCashOut, onWin, onLoss, stopProfit, stopLoss, maxRounds }) {
+        const rules = PRESETS[strategy] || { onWin, onLoss };
+
+        this.ticker = ticker;
+        this.strategy = strategy;
+        this.baseBet = baseBet;
+        this.autoCashOut = autoCashOut;
+        this.onWin = rules.onWin;
+        this.onLoss = rules.onLoss;
+        this.stopProfit = stopProfit || null;
+        this.stopLoss = stopLoss;
+        this.maxRounds = maxRounds || null;
+
+        this.running = true;
+        this.stopReason = null;
+        this.nextBet = baseBet;
+        this.rounds = 0;
+        this.wins = 0;
+        this.losses = 0;
+        this.profit = 0;
+    }
+
+    // Returns an error string, or null when the options describe a runnable strategy
+    static validate({ strategy, baseBet, autoCashOut, onWin, onLoss, stopProfit, stopLoss, maxRounds }) {
+        if (!PRESETS[strategy] && strategy !== 'custom') return 'Unknown strategy';
+        if (strategy === 'custom' && !(isRule(onWin) && isRule(onLoss))) return 'Custom rules must be "reset" or a multiplier';
+        if (!(baseBet >= MIN_BET)) return `Base bet must be at least ${MIN_BET}`;
+        if (!(autoCashOut > 1)) return 'Auto cash-out must be above 1.00x';
+        if (!(stopLoss > 0)) return 'A stop loss is required';
+        if (baseBet > stopLoss) return 'Base bet exceeds the stop loss';
+        if (stopProfit != null && !(stopProfit > 0)) return 'Stop profit must be positive';
+        if (maxRounds != null && !(maxRounds > 0)) return 'Round limit must be positive';
+        return null;
+    }
+
+    // Applies one settled round and checks the stop conditions
+    record(profit) {
+        this.rounds++;
+        this.profit += profit;
+        if (profit > 0) this.wins++;
+        else this.losses++;
+
+        const rule = profit > 0 ? this.onWin : this.onLoss;
+        this.nextBet = rule === 'reset' ? this.baseBet : Math.max(MIN_BET, Math.floor(this.nextBet * rule));
+
+        if (this.stopProfit && this.profit >= this.stopProfit) {
+            this.stop('Profit target reached');
+        } else if (-this.profit >= this.stopLoss) {
+            this.stop('Stop loss reached');
+        } else if (-this.profit + this.nextBet > this.stopLoss) {
+            this.stop('Next bet would exceed the stop loss');
+        } else if (this.maxRounds && this.rounds >= this.maxRounds) {
+            this.stop('Round limit reached');
+        }
+    }
+
+    stop(reason) {
+        this.running = false;
+        this.stopReason = reason;
+    }
+
+    toJSON() {
+        return {
+            ticker: this.ticker,
+            strategy: this.strategy,
+            running: this.running,
+            stopReason: this.stopReason,
+            baseBet: this.baseBet,
+            nextBet: this.nextBet,
+            autoCashOut: this.autoCashOut,
+            rounds: this.rounds,
+            wins: this.wins,
+            losses: this.losses,
+            profit: this.profit
+        };
+    }
+}
+
+class AutoBetManager extends EventEmitter {
+    constructor(rooms, accounts) {
+        super();
+        this.rooms = rooms; // symbol -> GameRoom
+        this.accounts = accounts;
+        this.strategies = new Map(); // `${accountId}:${symbol}` -> AutoBetStrategy
+
+        rooms.forEach((room) => {
+            room.on('roundStart', () => this._placeBets(room));
+            room.on('roundEnd', ({ results }) => this._settle(room, results));
+        });
+    }
+
+    start(accountId, symbol, options) {
+        const error = AutoBetStrategy.validate(options);
+        if (error) return { error };
+
+        const key = `${accountId}:${symbol}`;
+        if (this.strategies.has(key)) return { error: 'Auto-bet already running on this ticker' };
+
+        const strategy = new AutoBetStrategy({ ...options, ticker: symbol });
+        this.strategies.set(key, strategy);
+        this.emit('update', accountId, strategy.toJSON());
+        return strategy.toJSON();
+    }
+
+    stop(accountId, symbol, reason = 'Stopped by player') {
+        const strategy = this.strategies.get(`${accountId}:${symbol}`);
+        if (!strategy) return { error: 'No auto-bet running on this ticker' };
+
+        this._finish(accountId, strategy, reason);
+        return strategy.toJSON();
+    }
+
+    list(accountId) {
+        return Array.from(this.strategies.entries())
+            .filter(([key]) => key.startsWith(`${accountId}:`))
+            .map(([, strategy]) => strategy.toJSON());
+    }
+
+    // --- Private Methods ---
+
+    // Auto-bets use their own bet key, so a running strategy is a third position next to the
+    // player's two manual slots rather than taking one of them away
+    _betKey(accountId) {
+        return `auto:${accountId}`;
+    }
+
+    _placeBets(room) {
+        this._forRoom(room, (accountId, strategy) => {
+            const account = this.accounts.get(accountId);
+            const result = room.placeBet(this._betKey(accountId), {
+                amount: strategy.nextBet,
+                autoCashOut: strategy.autoCashOut,
+                accountId: accountId,
+                playerId: account && account.publicId,
+                username: account && account.username
+            });
+            if (result.error) {
+                this._finish(accountId, strategy, result.error);
+            }
+        });
+    }
+
+    _settle(room, results) {
+        this._forRoom(room, (accountId, strategy) => {
+            const result = results.find(r => r.key === this._betKey(accountId));
+            // A voided round refunded the stake - it doesn't count towards the strategy
+            if (!result || result.result === 'refunded') return;
+
+            strategy.record(result.profit);
+            if (strategy.running) {
+                this.emit('update', accountId, strategy.toJSON());
+            } else {
+                this._finish(accountId, strategy, strategy.stopReason);
+            }
+        });
+    }
+
+    _forRoom(room, fn) {
+        this.strategies.forEach((strategy, key) => {
+            if (strategy.ticker !== room.ticker.symbol) return;
+            fn(key.slice(0, key.lastIndexOf(':')), strategy);
+        });
+    }
+
+    _finish(accountId, strategy, reason) {
+        if (strategy.running) strategy.stop(reason);
+        this.strategies.delete(`${accountId}:${strategy.ticker}`);
+        console.log(`[${strategy.ticker}] Auto-bet stopped for ${accountId}: ${strategy.stopReason}`);
+        this.emit('update', accountId, strategy.toJSON());
+    }
+}
+
+module.exports = {
+    PRESETS,
+    AutoBetStrategy,
+    AutoBetManager
+};
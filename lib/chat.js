@@ -0,0 +1,182 @@
+/**
+ * Chat
+ * Player chat - one global channel plus one per ticker and private room - with its filters and moderation.
+ *
+ * Messages carry the same public id and username as the player's bets. The last
+ * `historyLimit` messages of each channel are kept in memory and sent on join;
+ * mutes, chat bans and moderators are stored with the accounts and survive restarts.
+ *
+ * Emits:
+ *  - 'message' (message) - a message was posted to message.channel
+ *  - 'purge' (playerId) - a banned player's messages were removed from history
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { RateLimiter } = require('./rate-limit');
+
+const GLOBAL_CHANNEL = 'global';
+
+// Masked rather than rejected - kept short on purpose, extend through options.blockedWords
+const BLOCKED_WORDS = ['fuck', 'shit', 'cunt', 'bitch', 'asshole', 'dickhead', 'wanker'];
+
+// Anything that reads as a URL or a bare domain
+const LINK_PATTERN = /(https?:\/\/|www\.|\b[a-z0-9-]+\.(com|net|org|io|gg|xyz|ru|me|co|app|link)\b)/i;
+
+const DEFAULTS = {
+    historyLimit: 50, // messages kept per channel
+    maxLength: 200, // characters per message
+    rate: { capacity: 5, refillRate: 0.5 }, // messages per account, across all of its sockets
+    blockedWords: BLOCKED_WORDS
+};
+
+class Chat extends EventEmitter {
+    constructor(store, options = {}) {
+        super();
+        this.store = store;
+        this.options = { ...DEFAULTS, ...options };
+        this.channels = new Map(); // channel -> messages, oldest first
+        this.limiter = new RateLimiter(this.options.rate);
+        this.wordPattern = new RegExp(`\\b(${this.options.blockedWords.join('|')})\\w*`, 'gi');
+
+        this.store.data.chat = this.store.data.chat || {};
+        this.state = this.store.data.chat;
+        this.state.restrictions = this.state.restrictions || {}; // accountId -> { type, until, reason, by, at }
+        this.state.moderators = this.state.moderators || []; // accountIds
+    }
+
+    // Posts a player's message after the restriction, rate and content checks
+    post(account, channel, text) {
+        const restriction = this.restriction(account.id);
+        if (restriction && restriction.type === 'ban') {
+            return { error: 'You are banned from chat' };
+        }
+        if (restriction) {
+            return { error: `You are muted for another ${Math.ceil((restriction.until - Date.now()) / 60000)} min` };
+        }
+
+        const clean = this.filter(text);
+        if (clean.error) return clean;
+        if (!this.limiter.take(account.id)) {
+            return { error: 'You are sending messages too fast' };
+        }
+
+        return this._add({
+            channel: channel,
+            playerId: account.publicId,
+            username: account.username,
+            moderator: this.isModerator(account.id),
+            text: clean.value
+        });
+    }
+
+    // Announcements from the server itself, e.g. big wins
+    system(channel, text) {
+        return this._add({ channel: channel, playerId: null, username: null, system: true, text: text });
+    }
+
+    // Trims, rejects empty messages and links, and masks blocked words
+    filter(text) {
+        const value = String(text == null ? '' : text).replace(/\s+/g, ' ').trim();
+        if (!value) return { error: 'Message is empty' };
+        if (value.length > this.options.maxLength) {
+            return { error: `Messages are limited to ${this.options.maxLength} characters` };
+        }
+        if (LINK_PATTERN.test(value)) return { error: 'Links are not allowed' };
+
+        return { value: value.replace(this.wordPattern, word => '*'.repeat(word.length)) };
+    }
+
+    // Newest last
+    history(channel) {
+        return (this.channels.get(channel) || []).slice();
+    }
+
+    // Drops a channel's history, e.g. once its private room has closed
+    close(channel) {
+        this.channels.delete(channel);
+    }
+
+    // --- Moderation ---
+
+    // The active mute or ban of an account, if any - expired mutes are dropped here
+    restriction(accountId) {
+        const restriction = this.state.restrictions[accountId];
+        if (!restriction) return null;
+        if (restriction.until && restriction.until <= Date.now()) {
+            delete this.state.restrictions[accountId];
+            this.store.save();
+            return null;
+        }
+        return restriction;
+    }
+
+    // Mutes for `minutes`, bans until lifted; a ban also clears the player's messages from history
+    restrict(account, { type, minutes, reason, by }) {
+        if (type === 'mute' && !(minutes > 0)) return { error: 'Mute needs a duration in minutes' };
+
+        const restriction = {
+            type: type,
+            until: type === 'mute' ? Date.now() + minutes * 60000 : null,
+            reason: reason ? String(reason) : null,
+            by: by,
+            at: Date.now()
+        };
+        this.state.restrictions[account.id] = restriction;
+        this.store.save();
+
+        if (type === 'ban') {
+            this.channels.forEach((messages, channel) => {
+                this.channels.set(channel, messages.filter(m => m.playerId !== account.publicId));
+            });
+            this.emit('purge', account.publicId);
+        }
+        return { username: account.username, ...restriction };
+    }
+
+    lift(account) {
+        if (!this.state.restrictions[account.id]) return { error: 'Player is not muted or banned' };
+
+        delete this.state.restrictions[account.id];
+        this.store.save();
+        return { username: account.username };
+    }
+
+    isModerator(accountId) {
+        return this.state.moderators.includes(accountId);
+    }
+
+    setModerator(account, moderator) {
+        this.state.moderators = this.state.moderators.filter(id => id !== account.id);
+        if (moderator) this.state.moderators.push(account.id);
+        this.store.save();
+        return { username: account.username, moderator: !!moderator };
+    }
+
+    // --- Private Methods ---
+
+    _add(fields) {
+        const message = {
+            id: crypto.randomBytes(6).toString('hex'),
+            system: false,
+            moderator: false,
+            ...fields,
+            time: Date.now()
+        };
+
+        const messages = this.channels.get(message.channel) || [];
+        messages.push(message);
+        if (messages.length > this.options.historyLimit) {
+            messages.shift();
+        }
+        this.channels.set(message.channel, messages);
+
+        this.emit('message', message);
+        return message;
+    }
+}
+
+module.exports = {
+    GLOBAL_CHANNEL,
+    Chat
+};
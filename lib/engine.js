@@ -0,0 +1,607 @@
+/**
+ * Game Engine
+ * One ticker's round state machine and payout math, shared by the server's game rooms
+ * and the browser's practice mode (UMD - served to the browser at /shared/engine.js).
+ *
+ * Round lifecycle: idle -> waiting (betting countdown) -> running -> back to waiting on crash.
+ * A paused engine finishes its current round and then stays idle until resumed.
+ *
+ * Everything outside the rules comes in through adapters:
+ *  - clock  { now(), setInterval(fn, ms), clearInterval(handle) } - defaults to the system clock
+ *  - rng    { nextRound() -> { crashPoint, seed, hash, info }, betId() } - defaults to Math.random
+ *  - wallet { debit(accountId, amount) -> { error? }, settle(accountId, payout, profit) } - required
+ *
+ * Round ids are `${roundPrefix}-${openTime}`. The prefix defaults to the ticker symbol;
+ * engines that share a ticker need prefixes of their own to keep their ids apart.
+ *
+ * Emits:
+ *  - 'broadcast' (event, data) - a message for every player watching the ticker
+ *  - 'roundStart' (round) - crash point fixed, round.info from the rng merged in
+ *  - 'roundEnd'   (round) - seed revealed, results settled; outcome is 'crashed',
+ *                            'halted' (ended early by an admin) or 'voided' (stakes refunded).
+ *                            round.timeline holds the curve samples and cash outs for replays,
+ *                            null when the round never launched
+ *  - 'autoCashOut' (accountId, result) - the loop settled a bet at its auto cash-out target.
+ *                            A cashOut() call that finds the target passed returns it instead
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CrashEngine = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const PHASES = {
+        IDLE: 'idle',
+        WAITING: 'waiting',
+        RUNNING: 'running'
+    };
+
+    // --- Payout Math ---
+
+    // Rounds before flooring so 100 @ 1.15x pays 115, not 114.99999999999999 -> 114
+    function payout(amount, multiplier, entryMultiplier) {
+        return Math.floor(Math.round(amount * multiplier / entryMultiplier * 1e6) / 1e6);
+    }
+
+    // e^(k·t) - the curve depends only on time since launch, never on how often the loop ran
+    function multiplierAt(elapsed, growthRate) {
+        return Math.exp(growthRate * Math.max(0, elapsed) / 1000);
+    }
+
+    // The inverse - ms after launch the curve reaches the multiplier
+    function elapsedAt(multiplier, growthRate) {
+        return Math.round(Math.log(Math.max(1, multiplier)) / growthRate * 1000);
+    }
+
+    // Uniform r in [0, 1) -> (1 - edge) / (1 - r), floored to 2 decimals and capped per ticker
+    function crashPointFromRandom(r, { houseEdge = 0.01, maxMultiplier = 1000 } = {}) {
+        let crashPoint = Math.floor(((1 - houseEdge) / (1 - r)) * 100) / 100;
+        if (crashPoint < 1.00) crashPoint = 1.00;
+        return Math.min(crashPoint, maxMultiplier);
+    }
+
+    // What other players may see of a bet - no socket or account ids
+    function publicBet(bet) {
+        return {
+            betId: bet.betId,
+            slot: bet.slot,
+            playerId: bet.playerId,
+            username: bet.username,
+            amount: bet.amount,
+            entryMultiplier: bet.entryMultiplier,
+            remaining: bet.remaining,
+            exits: bet.exits.slice(),
+            cashedOut: bet.cashedOut,
+            multiplier: bet.cashOutMultiplier,
+            profit: bet.profit
+        };
+    }
+
+    // --- Default Adapters ---
+
+    const systemClock = {
+        now: () => Date.now(),
+        setInterval: (fn, ms) => setInterval(fn, ms),
+        clearInterval: (handle) => clearInterval(handle),
+        setTimeout: (fn, ms) => setTimeout(fn, ms),
+        clearTimeout: (handle) => clearTimeout(handle)
+    };
+
+    // Unseeded rounds - nothing to verify afterwards, fine for practice and tests
+    function randomRounds(ticker, random = Math.random) {
+        return {
+            nextRound: () => ({ crashPoint: crashPointFromRandom(random(), ticker), seed: null, hash: null }),
+            betId: () => Math.floor(random() * 0x100000000).toString(16).padStart(8, '0')
+        };
+    }
+
+    class GameEngine {
+        constructor(ticker, options = {}) {
+            this.ticker = ticker;
+            this.clientSeed = options.clientSeed || null;
+            this.clock = options.clock || systemClock;
+            this.rng = options.rng || randomRounds(ticker);
+            this.wallet = options.wallet;
+            this.log = options.log || (() => {});
+            this.roundPrefix = options.roundPrefix || ticker.symbol;
+            this.config = {
+                tickRate: 30, // ms between checks for auto cash-outs and the crash
+                growthRate: ticker.growthRate, // k in e^(k·t)
+                minBet: 10,
+                maxBet: 250000,
+                betSlots: 2, // concurrent manual bets per player, each cashed out on its own - an auto-bet comes on top (lib/autobet.js)
+                cashOutPercents: [25, 50, 75, 100], // share of the open stake one cash out may take
+                syncRate: 1000, // ms between TICK syncs
+                bettingDuration: 5000, // ms of countdown before the curve starts
+                countdownRate: 250, // ms between COUNTDOWN events
+                allowLateBets: false, // accept bets once the curve is running
+                historyLimit: 50,
+                timelineRate: 100, // ms between curve samples kept for the round's replay
+                ...options.config
+            };
+
+            this.state = {
+                phase: PHASES.IDLE,
+                multiplier: 1.00,
+                crashPoint: 0,
+                bettingEndsAt: 0,
+                startTime: 0,
+                gameId: null,
+                seed: null,
+                seedHash: null,
+                growthRate: 0, // fixed for the round at launch, config changes apply to the next one
+                history: options.history || [] // newest first, e.g. restored from the round archive
+            };
+
+            // Active bets per player and slot
+            this.bets = new Map(); // `${playerKey}#${slot}` -> { betId, key, slot, accountId, playerId, username, amount, entryMultiplier, autoCashOut, remaining, exits, cashedOut, cashOutMultiplier, profit }
+            this.paused = false;
+            this.timeline = null; // running round's { growthRate, samples: [[ms, multiplier]], cashOuts }
+            this._listeners = {};
+            this._loop = null;
+            this._lastSync = 0;
+        }
+
+        // --- Events ---
+
+        on(event, fn) {
+            (this._listeners[event] = this._listeners[event] || []).push(fn);
+            return this;
+        }
+
+        off(event, fn) {
+            this._listeners[event] = (this._listeners[event] || []).filter(f => f !== fn);
+            return this;
+        }
+
+        emit(event, ...args) {
+            (this._listeners[event] || []).slice().forEach(fn => fn(...args));
+        }
+
+        // --- State ---
+
+        getPublicState() {
+            return {
+                ticker: this.ticker,
+                phase: this.state.phase,
+                paused: this.paused,
+                countdown: this._countdownRemaining(),
+                allowLateBets: this.config.allowLateBets,
+                multiplier: this.state.multiplier,
+                startTime: this.state.startTime,
+                growthRate: this.state.growthRate,
+                minBet: this.config.minBet,
+                maxBet: this.config.maxBet,
+                serverTime: this.clock.now(),
+                gameId: this.state.gameId,
+                hash: this.state.seedHash,
+                clientSeed: this.clientSeed,
+                history: this.state.history,
+                bets: Array.from(this.bets.values()).map(publicBet)
+            };
+        }
+
+        // The player's bets this round by slot, including private fields like the auto cash-out target
+        getBets(playerKey) {
+            return Array.from(this.bets.values())
+                .filter(bet => bet.key === playerKey)
+                .map(bet => ({ ...publicBet(bet), autoCashOut: bet.autoCashOut }));
+        }
+
+        // --- Round Control ---
+
+        // Opens a new round in the WAITING phase, the curve starts when the countdown ends
+        startGame() {
+            if (this.state.phase !== PHASES.IDLE || this.paused) return;
+            this._openRound();
+        }
+
+        // Stops the loop after the current round - bets already placed still play out
+        pause() {
+            this.paused = true;
+            this._broadcast('ROOM_STATUS', { ticker: this.ticker.symbol, paused: true, phase: this.state.phase });
+        }
+
+        resume() {
+            this.paused = false;
+            this._broadcast('ROOM_STATUS', { ticker: this.ticker.symbol, paused: false, phase: this.state.phase });
+            this.startGame();
+        }
+
+        // Settings validated by the caller (see lib/admin.js), picked up from the next round
+        configure(config) {
+            Object.assign(this.config, config);
+        }
+
+        // Ends the running round now, as if it had crashed at the current multiplier
+        endRound() {
+            if (this.state.phase !== PHASES.RUNNING) {
+                return { error: 'No round running' };
+            }
+            const multiplier = Math.floor(this._multiplierAt(this.clock.now()) * 100) / 100;
+            this._settleAutoCashOuts(multiplier);
+            this._endRound('halted', Math.min(multiplier, this.state.crashPoint));
+            return { gameId: this.state.history[0].gameId };
+        }
+
+        // Cancels the round and refunds every stake that hasn't been cashed out
+        voidRound() {
+            if (this.state.phase === PHASES.IDLE) {
+                return { error: 'No round open' };
+            }
+            const multiplier = this.state.phase === PHASES.RUNNING
+                ? Math.min(Math.floor(this._multiplierAt(this.clock.now()) * 100) / 100, this.state.crashPoint)
+                : 1.00;
+            this._endRound('voided', multiplier);
+            return { gameId: this.state.history[0].gameId };
+        }
+
+        // --- Bets ---
+
+        placeBet(playerKey, { amount, autoCashOut, slot = 0, accountId, playerId, username }, receivedAt = this.clock.now()) {
+            const { phase } = this.state;
+            const late = phase === PHASES.RUNNING;
+            if (phase !== PHASES.WAITING && !(late && this.config.allowLateBets)) {
+                return { error: 'Cannot place bet at this time' };
+            }
+            const current = late ? this._multiplierAt(receivedAt) : 1.00;
+            if (late && current >= this.state.crashPoint) {
+                return { error: 'Cannot place bet at this time' };
+            }
+            if (!Number.isInteger(slot) || slot < 0 || slot >= this.config.betSlots) {
+                return { error: 'Invalid bet slot' };
+            }
+            if (this.bets.has(this._betKey(playerKey, slot))) {
+                return { error: 'You already have a bet in this slot' };
+            }
+            if (!amount || amount < this.config.minBet) {
+                return { error: `Minimum bet is ${this.config.minBet}` };
+            }
+            if (amount > this.config.maxBet) {
+                return { error: `Maximum bet is ${this.config.maxBet}` };
+            }
+            if (autoCashOut != null && !(autoCashOut > current)) {
+                return { error: 'Auto cash-out must be above the entry multiplier' };
+            }
+
+            const debit = this.wallet.debit(accountId, amount);
+            if (debit.error) {
+                return debit;
+            }
+
+            // Countdown bets ride the whole curve, late bets enter at the current multiplier
+            const entryMultiplier = current;
+            const bet = {
+                betId: this.rng.betId(),
+                key: playerKey,
+                slot: slot,
+                accountId: accountId,
+                playerId: playerId,
+                username: username,
+                amount: amount,
+                entryMultiplier: entryMultiplier,
+                autoCashOut: autoCashOut != null ? autoCashOut : null,
+                remaining: amount, // stake still riding the curve
+                exits: [], // { stake, multiplier, winAmount, type } per cash out, partial or full
+                cashedOut: false, // true once nothing remains
+                cashOutMultiplier: null, // multiplier of the latest exit
+                profit: 0 // realized so far, the lost remainder is taken off at the crash
+            };
+            this.bets.set(this._betKey(playerKey, slot), bet);
+            this._broadcast('BET_PLACED', publicBet(bet));
+
+            this.log(`Bet placed by ${playerKey} in slot ${slot}: ${amount} @ ${entryMultiplier.toFixed(2)}x`);
+            return {
+                ticker: this.ticker.symbol,
+                betId: bet.betId,
+                slot: slot,
+                amount: amount,
+                entryMultiplier: entryMultiplier,
+                autoCashOut: bet.autoCashOut
+            };
+        }
+
+        // Closes percent of the open stake, priced at the moment the request was received
+        // rather than when the loop next runs - the rest keeps riding
+        cashOut(playerKey, { slot = 0, percent = 100 } = {}, receivedAt = this.clock.now()) {
+            if (this.state.phase !== PHASES.RUNNING) {
+                return { error: 'Game not active' };
+            }
+            if (!this.config.cashOutPercents.includes(percent)) {
+                return { error: `Cash out ${this.config.cashOutPercents.join('/')}% of a position` };
+            }
+
+            const bet = this.bets.get(this._betKey(playerKey, slot));
+            if (!bet || bet.cashedOut) {
+                return { error: 'No active bet to cash out' };
+            }
+            const stake = Math.floor(bet.remaining * percent / 100);
+            if (stake < 1) {
+                return { error: 'Position too small to split' };
+            }
+
+            // The curve may already be past the crash point before the loop has noticed
+            const multiplier = this._multiplierAt(receivedAt);
+            if (multiplier >= this.state.crashPoint) {
+                return { error: 'Game crashed' };
+            }
+
+            // A target the curve already passed pays the whole remainder at the target, same as the loop would.
+            // The caller gets that result back instead of an 'autoCashOut' event, so it is reported once.
+            if (bet.autoCashOut && bet.autoCashOut <= multiplier) {
+                return this._settleCashOut(bet, bet.autoCashOut, 'auto', bet.remaining);
+            }
+
+            return this._settleCashOut(bet, multiplier, 'manual', stake);
+        }
+
+        // --- Private Methods ---
+
+        _betKey(playerKey, slot) {
+            return `${playerKey}#${slot}`;
+        }
+
+        _multiplierAt(time) {
+            return multiplierAt(time - this.state.startTime, this.state.growthRate);
+        }
+
+        // Pays out stake (all or part of what remains) at the multiplier
+        _settleCashOut(bet, multiplier, type, stake) {
+            const winAmount = payout(stake, multiplier, bet.entryMultiplier);
+            const profit = winAmount - stake;
+
+            bet.remaining -= stake;
+            bet.exits.push({ stake, multiplier, winAmount, type });
+            bet.cashedOut = bet.remaining === 0;
+            bet.cashOutMultiplier = multiplier;
+            bet.profit += profit;
+            this.wallet.settle(bet.accountId, winAmount, profit);
+            this.timeline.cashOuts.push({
+                t: elapsedAt(multiplier, this.state.growthRate),
+                betId: bet.betId,
+                playerId: bet.playerId,
+                username: bet.username,
+                multiplier: multiplier,
+                stake: stake,
+                winAmount: winAmount,
+                type: type
+            });
+            this._broadcast('PLAYER_CASHED_OUT', { ...publicBet(bet), winAmount, type });
+
+            this.log(`Cash out (${type}) by ${bet.key} in slot ${bet.slot}: ${stake} -> ${winAmount} (${multiplier.toFixed(2)}x)`);
+            return {
+                ticker: this.ticker.symbol,
+                betId: bet.betId,
+                slot: bet.slot,
+                multiplier: multiplier,
+                stake: stake,
+                winAmount: winAmount,
+                profit: profit,
+                remaining: bet.remaining,
+                type: type
+            };
+        }
+
+        _openRound() {
+            this.log('Opening bets for new game...');
+
+            const now = this.clock.now();
+            this.state.phase = PHASES.WAITING;
+            this.state.multiplier = 1.00;
+            this.state.bettingEndsAt = now + this.config.bettingDuration;
+            this.state.gameId = `${this.roundPrefix}-${now}`;
+
+            const { crashPoint, seed, hash, info } = this.rng.nextRound();
+            this.state.crashPoint = crashPoint;
+            this.state.seed = seed;
+            this.state.seedHash = hash;
+
+            this.log(`Crash point set to: ${crashPoint.toFixed(2)}x`);
+
+            // Clear previous bets
+            this.bets.clear();
+
+            this.emit('roundStart', {
+                gameId: this.state.gameId,
+                ticker: this.ticker.symbol,
+                hash: hash,
+                seed: null,
+                clientSeed: this.clientSeed,
+                crashPoint: null,
+                openTime: now,
+                ...info
+            });
+
+            this._countdown();
+            this._loop = this.clock.setInterval(() => this._countdown(), this.config.countdownRate);
+        }
+
+        _countdown() {
+            const remaining = this._countdownRemaining();
+            if (remaining <= 0) {
+                this.clock.clearInterval(this._loop);
+                this._launch();
+                return;
+            }
+
+            // The seed hash is public for the whole betting window
+            this._broadcast('COUNTDOWN', {
+                id: this.state.gameId,
+                hash: this.state.seedHash,
+                remaining: remaining
+            });
+        }
+
+        _countdownRemaining() {
+            if (this.state.phase !== PHASES.WAITING) return 0;
+            return Math.max(0, this.state.bettingEndsAt - this.clock.now());
+        }
+
+        _launch() {
+            this.log(`Starting game ${this.state.gameId}`);
+
+            this.state.phase = PHASES.RUNNING;
+            this.state.startTime = this.clock.now();
+            this.state.growthRate = this.config.growthRate;
+            this._lastSync = this.state.startTime;
+            this.timeline = { growthRate: this.state.growthRate, samples: [[0, 1]], cashOuts: [] };
+
+            // Broadcast game start with the seed hash, the seed itself stays secret until crash.
+            // startTime and growthRate are all a client needs to draw the curve on its own.
+            this._broadcast('GAME_START', {
+                id: this.state.gameId,
+                ticker: this.ticker.symbol,
+                hash: this.state.seedHash,
+                clientSeed: this.clientSeed,
+                allowLateBets: this.config.allowLateBets,
+                startTime: this.state.startTime,
+                growthRate: this.state.growthRate
+            });
+
+            this._loop = this.clock.setInterval(() => this._tick(), this.config.tickRate);
+        }
+
+        _tick() {
+            if (this.state.phase !== PHASES.RUNNING) return;
+
+            const now = this.clock.now();
+            this.state.multiplier = this._multiplierAt(now);
+
+            const { multiplier, crashPoint } = this.state;
+            this._settleAutoCashOuts(multiplier);
+
+            if (multiplier >= crashPoint) {
+                this._crash();
+                return;
+            }
+
+            this._sample(now - this.state.startTime, multiplier);
+            if (now - this._lastSync >= this.config.syncRate) {
+                this._lastSync = now;
+                this._broadcast('TICK', {
+                    multiplier: multiplier,
+                    elapsed: (now - this.state.startTime) / 1000,
+                    serverTime: now
+                });
+            }
+        }
+
+        // Auto cash-outs pay exactly at their target, even if this tick overshot it.
+        // A target the curve passed before crashing still wins on the crashing tick.
+        _settleAutoCashOuts(multiplier) {
+            this.bets.forEach((bet) => {
+                if (!bet.cashedOut && bet.autoCashOut && bet.autoCashOut <= multiplier && bet.autoCashOut < this.state.crashPoint) {
+                    this.emit('autoCashOut', bet.accountId, this._settleCashOut(bet, bet.autoCashOut, 'auto', bet.remaining));
+                }
+            });
+        }
+
+        _crash() {
+            this._endRound('crashed', this.state.crashPoint);
+        }
+
+        // endPoint is where the curve stopped - the crash point unless an admin cut the round short
+        _endRound(outcome, endPoint) {
+            this.log(`Game ${outcome} at ${endPoint.toFixed(2)}x`);
+
+            this.clock.clearInterval(this._loop);
+
+            // Calculate results for all active bets - whatever is still riding is lost, or refunded on a void.
+            // A bet that took partial profit before that is 'partial'.
+            const results = [];
+            this.bets.forEach((bet) => {
+                let result = 'won';
+                if (!bet.cashedOut && outcome === 'voided') {
+                    result = bet.exits.length ? 'partial' : 'refunded';
+                    this.wallet.settle(bet.accountId, bet.remaining, 0);
+                } else if (!bet.cashedOut) {
+                    result = bet.exits.length ? 'partial' : 'lost';
+                    bet.profit -= bet.remaining;
+                    this.wallet.settle(bet.accountId, 0, -bet.remaining);
+                }
+                results.push({
+                    ...publicBet(bet),
+                    key: bet.key,
+                    accountId: bet.accountId,
+                    result: result
+                });
+            });
+
+            this._addToHistory(endPoint);
+
+            // The replay ends exactly where the curve stopped
+            const timeline = this.timeline;
+            this.timeline = null;
+            if (timeline) {
+                timeline.samples.push([elapsedAt(endPoint, timeline.growthRate), endPoint]);
+            }
+
+            // Reveal the seed so the round can be verified
+            this.emit('roundEnd', {
+                gameId: this.state.gameId,
+                seed: this.state.seed,
+                crashPoint: endPoint,
+                outcome: outcome,
+                startTime: this.state.startTime,
+                endTime: this.clock.now(),
+                timeline: timeline,
+                results: results
+            });
+
+            this._broadcast('GAME_CRASHED', {
+                id: this.state.gameId,
+                ticker: this.ticker.symbol,
+                crashPoint: endPoint,
+                outcome: outcome,
+                seed: this.state.seed,
+                hash: this.state.seedHash,
+                // Internal keys and account ids stay with the engine
+                results: results.map(({ key, accountId, ...result }) => result)
+            });
+
+            // Betting for the next round opens straight away, unless the engine was paused
+            if (this.paused) {
+                this.state.phase = PHASES.IDLE;
+                this._broadcast('ROOM_STATUS', { ticker: this.ticker.symbol, paused: true, phase: this.state.phase });
+            } else {
+                this._openRound();
+            }
+        }
+
+        // Compact samples - whole ms and 2-decimal multipliers, at most one per timelineRate
+        _sample(elapsed, multiplier) {
+            const samples = this.timeline.samples;
+            if (elapsed - samples[samples.length - 1][0] < this.config.timelineRate) return;
+            samples.push([elapsed, Math.floor(multiplier * 100) / 100]);
+        }
+
+        _addToHistory(crashPoint) {
+            this.state.history.unshift({
+                gameId: this.state.gameId,
+                crashPoint: crashPoint,
+                timestamp: this.clock.now()
+            });
+            if (this.state.history.length > this.config.historyLimit) {
+                this.state.history.pop();
+            }
+        }
+
+        _broadcast(event, data) {
+            this.emit('broadcast', event, data);
+        }
+    }
+
+    return {
+        PHASES,
+        payout,
+        multiplierAt,
+        elapsedAt,
+        crashPointFromRandom,
+        publicBet,
+        systemClock,
+        randomRounds,
+        GameEngine
+    };
+});
@@ -0,0 +1,140 @@
+/**
+ * Provably Fair
+ * Pre-committed SHA-256 seed chain and HMAC-SHA256 crash point derivation.
+ *
+ * A chain is generated backwards from a random terminal seed, so every
+ * seed hashes to the one played before it. Only the first hash (the
+ * commitment) is published up front; each round publishes its seed hash
+ * at start and reveals the seed on crash.
+ *
+ * A ChainStore keeps a chain (with the client seed it was committed with) across
+ * restarts, and logs every commitment it makes. Without it a restart would deal a
+ * fresh chain, and an operator could restart until the crash points suited them.
+ */
+
+const crypto = require('crypto');
+const { crashPointFromRandom } = require('./engine');
+
+const DEFAULT_CHAIN_LENGTH = 10000;
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Derive a crash point from a revealed server seed and the public client seed.
+ * The first 52 bits of HMAC-SHA256(serverSeed, clientSeed) give a uniform
+ * r in [0, 1), which feeds the usual (1 - edge) / (1 - r) distribution.
+ */
+function crashPointFromSeed(serverSeed, clientSeed, { houseEdge = 0.01, maxMultiplier = 1000 } = {}) {
+    const hmac = crypto.createHmac('sha256', serverSeed).update(clientSeed).digest('hex');
+    const r = parseInt(hmac.slice(0, 13), 16) / Math.pow(2, 52);
+    return crashPointFromRandom(r, { houseEdge, maxMultiplier });
+}
+
+class SeedChain {
+    // A saved chain is rebuilt from its terminal seed and picks up after its last played seed
+    constructor(length = DEFAULT_CHAIN_LENGTH, { terminalSeed, played = 0 } = {}) {
+        this.length = length;
+        this._seeds = new Array(length + 1);
+        this._seeds[length] = terminalSeed || crypto.randomBytes(32).toString('hex');
+        for (let i = length; i > 0; i--) {
+            this._seeds[i - 1] = sha256(this._seeds[i]);
+        }
+        this.commitment = this._seeds[0];
+        this._index = played;
+    }
+
+    get exhausted() {
+        return this._index >= this.length;
+    }
+
+    get played() {
+        return this._index;
+    }
+
+    // Returns the next unplayed seed together with its (already public) hash
+    next() {
+        if (this.exhausted) throw new Error('Seed chain exhausted');
+        this._index++;
+        return {
+            index: this._index,
+            seed: this._seeds[this._index],
+            hash: this._seeds[this._index - 1]
+        };
+    }
+
+    // Secret - the terminal seed gives away every seed in the chain, so this only goes to the ChainStore
+    toState() {
+        return { length: this.length, terminalSeed: this._seeds[this.length], played: this._index };
+    }
+}
+
+class ChainStore {
+    constructor(store) {
+        this.store = store;
+        this.store.data.chains = this.store.data.chains || {}; // key -> { length, terminalSeed, played, clientSeed }
+        this.store.data.commitments = this.store.data.commitments || []; // every chain committed, oldest first
+    }
+
+    // The chain saved under key with its client seed, or null when there is none yet
+    load(key) {
+        const state = this.store.data.chains[key];
+        if (!state) return null;
+        return { chain: new SeedChain(state.length, state), clientSeed: state.clientSeed };
+    }
+
+    commit(key, chain, clientSeed) {
+        this.store.data.chains[key] = { ...chain.toState(), clientSeed };
+        this.store.data.commitments.push({
+            key: key,
+            commitment: chain.commitment,
+            chainLength: chain.length,
+            clientSeed: clientSeed,
+            committedAt: Date.now()
+        });
+        this.store.save();
+    }
+
+    // Called as each seed is dealt, so a restart never deals it again
+    played(key, chain) {
+        this.store.data.chains[key].played = chain.played;
+        this.store.save();
+    }
+
+    history() {
+        return this.store.data.commitments.slice();
+    }
+}
+
+// What /api/verify reports for a round record - the seed stays hidden while the round runs.
+// A round an admin halted or voided ended below its seed's crash point, never above.
+function verifyRound(round) {
+    if (!round.seed) {
+        return {
+            gameId: round.gameId,
+            ticker: round.ticker,
+            status: 'running',
+            hash: round.hash,
+            clientSeed: round.clientSeed
+        };
+    }
+
+    const { bets, timeline, ...seeds } = round;
+    const outcome = round.outcome || 'crashed';
+    const fairCrashPoint = crashPointFromSeed(round.seed, round.clientSeed, round);
+    return {
+        ...seeds,
+        status: outcome,
+        valid: sha256(round.seed) === round.hash &&
+            (outcome === 'crashed' ? fairCrashPoint === round.crashPoint : round.crashPoint <= fairCrashPoint)
+    };
+}
+
+module.exports = {
+    sha256,
+    crashPointFromSeed,
+    verifyRound,
+    SeedChain,
+    ChainStore
+};
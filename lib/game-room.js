@@ -0,0 +1,77 @@
+/**
+ * Game Room
+ * Runs one ticker's round loop on the server, broadcasting to its own Socket.IO room
+ * (options.channel, e.g. for a tournament's rounds - otherwise the ticker's room).
+ * options.label replaces the ticker symbol in its log lines.
+ *
+ * The rules live in lib/engine.js (shared with the browser's practice mode); a room
+ * plugs in the provably fair seed chain, the account wallets and Socket.IO. It emits
+ * the engine's 'roundStart', 'roundEnd' and 'autoCashOut' events.
+ *
+ * options.chains (a ChainStore) keeps the room's seed chain and client seed across
+ * restarts - the ticker rooms pass it, tournament and private rooms deal a fresh chain.
+ *
+ * Bets are keyed by player (account id), not socket, so a dropped connection never
+ * drops the bet: it resumes on reconnect, or settles at its auto cash-out or crash.
+ */
+
+const crypto = require('crypto');
+const { GameEngine } = require('./engine');
+const { SeedChain, crashPointFromSeed } = require('./fairness');
+
+class GameRoom extends GameEngine {
+    constructor(io, ticker, options = {}) {
+        super(ticker, {
+            ...options,
+            log: (message) => console.log(`[${options.label || ticker.symbol}] ${message}`),
+            rng: {
+                nextRound: () => this._nextSeed(),
+                betId: () => crypto.randomBytes(4).toString('hex')
+            }
+        });
+        this.io = io;
+        this.channel = options.channel || `ticker:${ticker.symbol}`;
+        this.chains = options.chains || null;
+        this._clientSeed = options.clientSeed; // for chains committed from now on
+
+        const saved = this.chains && this.chains.load(ticker.symbol);
+        if (saved) {
+            this.chain = saved.chain;
+            this.clientSeed = saved.clientSeed;
+        } else {
+            this._commitChain();
+        }
+
+        this.on('broadcast', (event, data) => this.io.to(this.channel).emit(event, data));
+    }
+
+    // Provably fair crash point - next seed from this ticker's pre-committed chain
+    _nextSeed() {
+        if (this.chain.exhausted) {
+            this._commitChain();
+            this.log(`New seed chain committed: ${this.chain.commitment}`);
+        }
+        const { seed, hash, index } = this.chain.next();
+        if (this.chains) this.chains.played(this.ticker.symbol, this.chain);
+        return {
+            crashPoint: crashPointFromSeed(seed, this.clientSeed, this.ticker),
+            seed: seed,
+            hash: hash,
+            info: {
+                commitment: this.chain.commitment,
+                chainIndex: index,
+                houseEdge: this.ticker.houseEdge,
+                maxMultiplier: this.ticker.maxMultiplier
+            }
+        };
+    }
+
+    // The client seed is fixed together with the chain, so it can't change under a committed chain
+    _commitChain() {
+        this.chain = new SeedChain();
+        this.clientSeed = this._clientSeed;
+        if (this.chains) this.chains.commit(this.ticker.symbol, this.chain, this.clientSeed);
+    }
+}
+
+module.exports = GameRoom;
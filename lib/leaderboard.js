@@ -0,0 +1,207 @@
+/**
+ * Leaderboard
+ * Daily, weekly and all-time rankings by profit, best cash out and rounds played,
+ * globally and per ticker.
+ *
+ * Rankings come from the public tickers' archived rounds (private room and tournament
+ * rounds stay out), so only settled bets count - refunds don't.
+ * Days and weeks start at midnight UTC, weeks on Monday. Each board keeps running
+ * per-player totals: the archive is read once at startup (and when a board's period
+ * rolls over), after that every ended round adds just its own bets. Rankings are
+ * sorted on demand and cached until the board changes. New leaders are announced once
+ * per round, all boards together; nobody leads a profit board without a profit.
+ *
+ * Emits:
+ *  - 'leaders' ([{ metric, period, ticker, playerId, username, value }]) - boards with a new #1 after a round
+ */
+
+const EventEmitter = require('events');
+
+const METRICS = ['profit', 'multiplier', 'rounds'];
+const PERIODS = ['daily', 'weekly', 'all'];
+const DAY = 24 * 60 * 60 * 1000;
+
+// Start of the period containing `now` - null for all-time
+function periodStart(period, now = Date.now()) {
+    if (period === 'all') return null;
+    const date = new Date(now);
+    const midnight = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    return period === 'daily' ? midnight : midnight - ((date.getUTCDay() + 6) % 7) * DAY;
+}
+
+class Leaderboard extends EventEmitter {
+    constructor(archive, options = {}) {
+        super();
+        this.archive = archive;
+        this.tickers = options.tickers || []; // symbols with a board of their own
+        this.isListed = options.isListed || (() => true); // accountId -> false to leave a player out, e.g. banned
+        this.boards = new Map(); // `${period}:${ticker}` -> { from, updatedAt, totals: accountId -> player, rankings }
+        this.leaders = new Map(); // `${metric}:${period}:${ticker}` -> playerId of the #1
+
+        // Current leaders, so the first round after a restart only announces real changes
+        const scopes = this._scopes(null).concat(...this.tickers.map(ticker => this._scopes(ticker)));
+        this._rebuild(scopes).forEach((board, i) => this._checkLeaders(scopes[i], board));
+    }
+
+    // One board, top `limit` entries - ticker null for the global one
+    get({ metric, period, ticker = null, limit = 10 }) {
+        if (!METRICS.includes(metric)) return { error: `Metric must be one of ${METRICS.join(', ')}` };
+        if (!PERIODS.includes(period)) return { error: `Period must be one of ${PERIODS.join(', ')}` };
+
+        const board = this._board(period, ticker);
+        return {
+            metric: metric,
+            period: period,
+            ticker: ticker,
+            from: board.from,
+            updatedAt: board.updatedAt,
+            entries: this._rankings(board)[metric].slice(0, limit)
+        };
+    }
+
+    // A public ticker's round was archived - its bets (each with its accountId) are added to its global and ticker boards
+    roundEnded({ ticker, gameId, startTime, bets }) {
+        // Boards not built yet are read from the archive when first asked for, this round included
+        const scopes = this._scopes(null).concat(this._scopes(ticker))
+            .filter(scope => this.boards.has(`${scope.period}:${scope.ticker}`));
+        // A board whose day or week has ended starts over - the archive already holds this round
+        const stale = scopes.filter(scope => this.boards.get(`${scope.period}:${scope.ticker}`).from !== scope.from);
+        this._rebuild(stale);
+
+        const leaders = [];
+        scopes.forEach((scope) => {
+            const board = this.boards.get(`${scope.period}:${scope.ticker}`);
+            if (!stale.includes(scope)) {
+                bets.forEach(bet => addBet(board.totals, bet.accountId, { ...bet, gameId, startTime }, scope.from));
+                board.updatedAt = Date.now();
+                board.rankings = null;
+            }
+            leaders.push(...this._checkLeaders(scope, board));
+        });
+        if (leaders.length) this.emit('leaders', leaders);
+    }
+
+    // Re-ranks every board, e.g. after a ban - the totals stay, who is listed changed
+    invalidate() {
+        this.boards.forEach((board) => {
+            board.rankings = null;
+        });
+    }
+
+    // --- Private Methods ---
+
+    _scopes(ticker) {
+        return PERIODS.map(period => ({ period, ticker, from: periodStart(period) }));
+    }
+
+    _board(period, ticker) {
+        const from = periodStart(period);
+        const board = this.boards.get(`${period}:${ticker}`);
+        if (board && board.from === from) return board;
+        return this._rebuild([{ period, ticker, from }])[0];
+    }
+
+    // Totals of the boards from scratch, in one pass over every player's bets
+    _rebuild(scopes) {
+        if (!scopes.length) return [];
+        const boards = scopes.map(scope => ({ from: scope.from, updatedAt: Date.now(), totals: new Map(), rankings: null }));
+
+        this.archive.playerBets.forEach((bets, accountId) => {
+            bets.forEach((bet) => {
+                if (bet.room || bet.tournament) return; // public tickers only, like roundEnded
+                scopes.forEach((scope, i) => {
+                    if (scope.ticker && bet.ticker !== scope.ticker) return;
+                    addBet(boards[i].totals, accountId, bet, scope.from);
+                });
+            });
+        });
+
+        boards.forEach((board, i) => this.boards.set(`${scopes[i].period}:${scopes[i].ticker}`, board));
+        return boards;
+    }
+
+    // Sorted when asked for, then kept until the board changes
+    _rankings(board) {
+        if (!board.rankings) {
+            const players = this._listed(board);
+            board.rankings = Object.fromEntries(METRICS.map(metric => [metric, rank(players, metric)]));
+        }
+        return board.rankings;
+    }
+
+    _listed(board) {
+        return Array.from(board.totals.entries())
+            .filter(([accountId]) => this.isListed(accountId))
+            .map(([, player]) => player);
+    }
+
+    // Only the #1 matters here, so no sort - the first of equals wins, as in rank().
+    // Returns the boards whose leader changed; a profit board led by a loss has no leader.
+    _checkLeaders({ period, ticker }, board) {
+        const players = this._listed(board);
+        const changed = [];
+        METRICS.forEach((metric) => {
+            const key = `${metric}:${period}:${ticker}`;
+            const leader = top(players, metric);
+            if (!leader || (metric === 'profit' && leader.profit <= 0)) {
+                this.leaders.delete(key);
+                return;
+            }
+            if (leader.playerId === this.leaders.get(key)) return;
+
+            this.leaders.set(key, leader.playerId);
+            changed.push({ metric, period, ticker, playerId: leader.playerId, username: leader.username, value: leader[metric] });
+        });
+        return changed;
+    }
+}
+
+// Adds one settled bet row (gameId, startTime, profit, exits) to a board's totals.
+// A player's bets arrive in round order, so a round's slots sit next to each other.
+function addBet(totals, accountId, bet, from) {
+    if (bet.result === 'refunded') return;
+    if (from !== null && !(bet.startTime >= from)) return;
+
+    let player = totals.get(accountId);
+    if (!player) {
+        player = { playerId: bet.playerId, username: bet.username, profit: 0, multiplier: null, rounds: 0, lastGameId: null };
+        totals.set(accountId, player);
+    }
+    player.username = bet.username;
+    player.profit += bet.profit;
+    if (player.lastGameId !== bet.gameId) {
+        player.rounds += 1;
+        player.lastGameId = bet.gameId;
+    }
+    (bet.exits || []).forEach((exit) => {
+        player.multiplier = Math.max(player.multiplier || 0, exit.multiplier);
+    });
+}
+
+function top(players, metric) {
+    return players.reduce((best, player) => {
+        if (player[metric] === null) return best;
+        return !best || player[metric] > best[metric] ? player : best;
+    }, null);
+}
+
+// Highest first - players who never cashed out have no best multiplier and are left out
+function rank(players, metric) {
+    return players
+        .filter(player => player[metric] !== null)
+        .sort((a, b) => b[metric] - a[metric])
+        .map((player, i) => ({
+            rank: i + 1,
+            playerId: player.playerId,
+            username: player.username,
+            value: player[metric],
+            rounds: player.rounds
+        }));
+}
+
+module.exports = {
+    METRICS,
+    PERIODS,
+    periodStart,
+    Leaderboard
+};
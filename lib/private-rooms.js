@@ -0,0 +1,137 @@
+/**
+ * Private Rooms
+ * Player-hosted rooms on one ticker, with their own settings and a shareable join code.
+ *
+ * Each room runs its own round loop (options.createRoom) on a Socket.IO room that only
+ * its members join, so its ticks, bets and chat stay inside. Bets are paid from the
+ * main wallet like on any ticker. A room is closed once it has had no members for
+ * `idleTimeout` ms - its current round still plays out. Rooms live in memory only, so
+ * a restart closes them all. Time comes from options.clock ({ now, setTimeout,
+ * clearTimeout }), the system clock by default.
+ *
+ * Emits:
+ *  - 'closed' ({ code, room, ... }) - an idle room was shut down
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { validateConfig } = require('./admin');
+const { systemClock } = require('./engine');
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I to misread
+const CODE_LENGTH = 6;
+const IDLE_TIMEOUT = 60 * 1000; // ms a room may sit empty, long enough for a reload
+const ROOM_LIMIT = 100; // open rooms across the server
+const HOST_SETTINGS = ['growthRate', 'minBet', 'maxBet', 'bettingDuration']; // tick rate stays the server's
+
+class PrivateRooms extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.createRoom = options.createRoom; // (code, ticker, config) -> GameRoom, not started yet
+        this.config = options.config || {}; // what a room starts from - the host's settings are checked against it
+        this.idleTimeout = options.idleTimeout || IDLE_TIMEOUT;
+        this.clock = options.clock || systemClock;
+        this.rooms = new Map(); // code -> { code, name, ticker, hostId, hostName, room, members, idleTimer, createdAt }
+    }
+
+    // One open room per host - settings are checked against the admin config schema
+    create(account, { ticker, name, config = {} }) {
+        if (this.rooms.size >= ROOM_LIMIT) return { error: 'Too many private rooms open, try again later' };
+        const hosted = Array.from(this.rooms.values()).find(r => r.hostId === account.id);
+        if (hosted) return { error: `You already host room ${hosted.code}` };
+
+        const unknown = Object.keys(config).find(key => !HOST_SETTINGS.includes(key));
+        if (unknown) return { error: `Unknown setting: ${unknown}` };
+
+        const checked = validateConfig(config, this.config);
+        if (checked.error) return checked;
+
+        const code = this._uniqueCode();
+        const room = this.createRoom(code, ticker, checked.config);
+
+        const entry = {
+            code: code,
+            name: (name || '').trim() || `${account.username}'s room`,
+            ticker: ticker.symbol,
+            hostId: account.id,
+            hostName: account.username,
+            room: room,
+            members: new Set(), // socket ids
+            idleTimer: null,
+            createdAt: this.clock.now()
+        };
+        this.rooms.set(code, entry);
+        // Nobody has joined yet - the host gets the same grace period as a room that emptied
+        this._scheduleClose(entry);
+        room.startGame();
+        console.log(`[ROOM ${code}] Opened by ${account.username} on $${ticker.symbol}`);
+        return this.toPublic(entry);
+    }
+
+    // Codes are case-insensitive, so they survive being read out loud
+    join(code, socketId) {
+        const entry = this.rooms.get(String(code).toUpperCase());
+        if (!entry) return { error: 'No room with that code' };
+
+        this.clock.clearTimeout(entry.idleTimer);
+        entry.idleTimer = null;
+        entry.members.add(socketId);
+        return entry;
+    }
+
+    leave(code, socketId) {
+        const entry = this.rooms.get(code);
+        if (!entry || !entry.members.delete(socketId)) return;
+        if (!entry.members.size) this._scheduleClose(entry);
+    }
+
+    room(code) {
+        const entry = this.rooms.get(code);
+        return entry ? entry.room : null;
+    }
+
+    list() {
+        return Array.from(this.rooms.values()).map(entry => this.toPublic(entry));
+    }
+
+    toPublic(entry) {
+        return {
+            code: entry.code,
+            name: entry.name,
+            ticker: entry.ticker,
+            host: entry.hostName,
+            members: entry.members.size,
+            phase: entry.room.state.phase,
+            config: Object.fromEntries(HOST_SETTINGS.map(key => [key, entry.room.config[key]])),
+            createdAt: entry.createdAt
+        };
+    }
+
+    // --- Private Methods ---
+
+    _uniqueCode() {
+        let code;
+        do {
+            code = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+        } while (this.rooms.has(code));
+        return code;
+    }
+
+    _scheduleClose(entry) {
+        this.clock.clearTimeout(entry.idleTimer);
+        entry.idleTimer = this.clock.setTimeout(() => this._close(entry), this.idleTimeout);
+    }
+
+    // Pausing lets a round with bets in it settle, then the loop stops for good
+    _close(entry) {
+        entry.room.pause();
+        this.rooms.delete(entry.code);
+        this.emit('closed', entry);
+        console.log(`[ROOM ${entry.code}] Closed after ${this.idleTimeout / 1000}s without members`);
+    }
+}
+
+module.exports = {
+    HOST_SETTINGS,
+    PrivateRooms
+};
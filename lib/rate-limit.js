@@ -0,0 +1,59 @@
+/**
+ * Rate Limiting
+ * Token buckets: a bucket holds up to `capacity` tokens and regains `refillRate`
+ * tokens per second, so short bursts pass while a sustained flood is cut off.
+ */
+
+class TokenBucket {
+    constructor({ capacity, refillRate }) {
+        this.capacity = capacity;
+        this.refillRate = refillRate;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    take(cost = 1) {
+        this._refill();
+        if (this.tokens < cost) return false;
+        this.tokens -= cost;
+        return true;
+    }
+
+    get full() {
+        this._refill();
+        return this.tokens >= this.capacity;
+    }
+
+    _refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.refillRate);
+        this.updatedAt = now;
+    }
+}
+
+// One bucket per key (e.g. per IP) - full buckets are swept so idle keys don't pile up
+class RateLimiter {
+    constructor(limits, sweepInterval = 60000) {
+        this.limits = limits;
+        this.buckets = new Map(); // key -> TokenBucket
+
+        this._sweep = setInterval(() => {
+            this.buckets.forEach((bucket, key) => {
+                if (bucket.full) this.buckets.delete(key);
+            });
+        }, sweepInterval);
+        this._sweep.unref();
+    }
+
+    take(key, cost = 1) {
+        if (!this.buckets.has(key)) {
+            this.buckets.set(key, new TokenBucket(this.limits));
+        }
+        return this.buckets.get(key).take(cost);
+    }
+}
+
+module.exports = {
+    TokenBucket,
+    RateLimiter
+};
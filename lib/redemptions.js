@@ -0,0 +1,110 @@
+/**
+ * Redemptions
+ * Crash Cash to USD redemption requests.
+ *
+ * The amount is escrowed (debited) when the request is made. Admins move it
+ * through pending -> approved -> paid, or pending -> rejected, which refunds it.
+ *
+ * Emits:
+ *  - 'update' (request) - after a request is created or changes status
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+const MIN_AMOUNT = 50000;
+const STEP = 1000;
+const CC_PER_USD = 1000;
+
+// Allowed status changes, keyed by the admin action
+const TRANSITIONS = {
+    approve: { from: 'pending', to: 'approved' },
+    reject: { from: 'pending', to: 'rejected' },
+    pay: { from: 'approved', to: 'paid' }
+};
+
+class Redemptions extends EventEmitter {
+    constructor(store, accounts) {
+        super();
+        this.store = store;
+        this.accounts = accounts;
+        this.store.data.redemptions = this.store.data.redemptions || [];
+    }
+
+    request(accountId, amount) {
+        if (!Number.isInteger(amount) || amount < MIN_AMOUNT) {
+            return { error: `Minimum redemption is ${MIN_AMOUNT} CC` };
+        }
+        if (amount % STEP !== 0) {
+            return { error: `Redemptions must be in steps of ${STEP} CC` };
+        }
+
+        const debit = this.accounts.debit(accountId, amount);
+        if (debit.error) return debit;
+
+        const now = Date.now();
+        const request = {
+            id: crypto.randomUUID(),
+            accountId: accountId,
+            username: this.accounts.get(accountId).username,
+            amount: amount,
+            usd: amount / CC_PER_USD,
+            status: 'pending',
+            note: null,
+            createdAt: now,
+            updatedAt: now,
+            log: [{ status: 'pending', at: now }]
+        };
+        this.store.data.redemptions.push(request);
+        this.store.save();
+
+        console.log(`Redemption requested by ${request.username}: ${amount} CC`);
+        this.emit('update', request);
+        return request;
+    }
+
+    // Applies an admin action - rejecting refunds the escrowed amount
+    review(id, action, note) {
+        // The action comes from the request body - 'constructor' and friends are no action
+        if (!Object.prototype.hasOwnProperty.call(TRANSITIONS, action)) return { error: 'Unknown action' };
+        const transition = TRANSITIONS[action];
+
+        const request = this.store.data.redemptions.find(r => r.id === id);
+        if (!request) return { error: 'Redemption not found' };
+        if (request.status !== transition.from) {
+            return { error: `Cannot ${action} a ${request.status} redemption` };
+        }
+
+        if (transition.to === 'rejected') {
+            this.accounts.credit(request.accountId, request.amount);
+        }
+
+        const now = Date.now();
+        request.status = transition.to;
+        request.note = note || request.note;
+        request.updatedAt = now;
+        request.log.push({ status: transition.to, at: now, note: note || null });
+        this.store.save();
+
+        console.log(`Redemption ${id} ${transition.to}`);
+        this.emit('update', request);
+        return request;
+    }
+
+    list(accountId) {
+        return this.store.data.redemptions
+            .filter(r => r.accountId === accountId)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    listAll(status) {
+        return this.store.data.redemptions
+            .filter(r => !status || r.status === status)
+            .sort((a, b) => a.createdAt - b.createdAt);
+    }
+}
+
+module.exports = Redemptions;
+module.exports.MIN_AMOUNT = MIN_AMOUNT;
+module.exports.STEP = STEP;
+module.exports.CC_PER_USD = CC_PER_USD;
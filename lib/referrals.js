@@ -0,0 +1,83 @@
+/**
+ * Referrals
+ * Redeems referral codes for the sign-up bonus and tracks what each referrer earned.
+ *
+ * Abuse protections: a code can't be your own, each account redeems once, and
+ * only one referral bonus is paid per network (registration or redeeming IP).
+ */
+
+const REFERRAL_BONUS = 400; // CC credited to the player redeeming a code
+const REFERRER_BONUS = 100; // CC credited to the code's owner
+
+class Referrals {
+    constructor(store, accounts) {
+        this.store = store;
+        this.accounts = accounts;
+        this.store.data.referrals = this.store.data.referrals || []; // { referrerId, refereeId, ip, ... }
+    }
+
+    redeem(accountId, code, ip) {
+        const account = this.accounts.get(accountId);
+        const referrer = this.accounts.findByReferralCode(code);
+
+        if (!account) return { error: 'Account not found' };
+        if (!referrer) return { error: 'Invalid referral code' };
+        if (referrer.id === account.id) return { error: 'You cannot redeem your own referral code' };
+        if (this._findByReferee(account.id)) return { error: 'You have already redeemed a referral code' };
+
+        const networks = [ip, account.registrationIp].filter(Boolean);
+        if (networks.includes(referrer.registrationIp)) {
+            return { error: 'Referral codes cannot be redeemed from the referrer\'s network' };
+        }
+        if (this.store.data.referrals.some(r => networks.includes(r.ip) || networks.includes(r.refereeIp))) {
+            return { error: 'A referral bonus has already been claimed from this network' };
+        }
+
+        this.store.data.referrals.push({
+            referrerId: referrer.id,
+            refereeId: account.id,
+            ip: ip || null,
+            refereeIp: account.registrationIp || null,
+            bonus: REFERRAL_BONUS,
+            referrerBonus: REFERRER_BONUS,
+            createdAt: Date.now()
+        });
+        this.store.save();
+
+        this.accounts.credit(account.id, REFERRAL_BONUS);
+        this.accounts.credit(referrer.id, REFERRER_BONUS);
+
+        console.log(`Referral: ${account.username} redeemed ${referrer.referralCode} (${referrer.username})`);
+        return { bonus: REFERRAL_BONUS, referrer: referrer.username };
+    }
+
+    // Referrer-side view: own code, who redeemed it and the bonuses earned
+    summary(accountId) {
+        const account = this.accounts.get(accountId);
+        const referred = this.store.data.referrals.filter(r => r.referrerId === accountId);
+        const redeemed = this._findByReferee(accountId);
+        const referrer = redeemed && this.accounts.get(redeemed.referrerId);
+
+        return {
+            referralCode: account.referralCode,
+            referredBy: referrer ? referrer.username : null,
+            referred: referred.map((r) => {
+                const referee = this.accounts.get(r.refereeId);
+                return {
+                    username: referee ? referee.username : 'Unknown',
+                    joinedAt: r.createdAt,
+                    bonus: r.referrerBonus
+                };
+            }),
+            earned: referred.reduce((sum, r) => sum + r.referrerBonus, 0)
+        };
+    }
+
+    // --- Private Methods ---
+
+    _findByReferee(accountId) {
+        return this.store.data.referrals.find(r => r.refereeId === accountId) || null;
+    }
+}
+
+module.exports = Referrals;
@@ -0,0 +1,206 @@
+/**
+ * Round Archive
+ * Every finished round, appended as one JSON line to data/rounds.jsonl.
+ *
+ * The file only ever grows, so nothing is rewritten. Memory holds a small summary
+ * per round (with the line's byte offset) and each player's bets; full rounds with
+ * their seeds and bet lists are read back from disk on demand. Rounds of a private
+ * room carry its code in `room`, rounds of a tournament its id in `tournament`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { findTicker } = require('./tickers');
+
+const PAGE_SIZE = 20;
+
+const CSV_COLUMNS = ['gameId', 'ticker', 'startTime', 'crashPoint', 'betId', 'amount',
+    'entryMultiplier', 'multiplier', 'profit', 'result', 'exits'];
+
+// Each cash out of a bet as stake@multiplier, e.g. "50@1.50x 50@2.10x" (bets from before partial exits have none)
+function formatExits(exits = []) {
+    return exits.map(exit => `${exit.stake}@${exit.multiplier.toFixed(2)}x`).join(' ');
+}
+
+// Newest first, filtered by ticker, room, tournament and start time, then sliced to one page.
+// room null keeps the public tickers' rounds only, undefined any room's - the same for tournament.
+function paginate(items, { ticker, room, tournament, from, to, page = 1, limit = PAGE_SIZE } = {}) {
+    const matches = items.filter(item =>
+        (!ticker || item.ticker === ticker) &&
+        (room === undefined || item.room === room) &&
+        (tournament === undefined || item.tournament === tournament) &&
+        (from == null || item.startTime >= from) &&
+        (to == null || item.startTime <= to)
+    ).reverse();
+
+    limit = Math.max(1, limit);
+    page = Math.max(1, page);
+    return {
+        items: matches.slice((page - 1) * limit, page * limit),
+        total: matches.length,
+        page: page,
+        limit: limit
+    };
+}
+
+function csvField(value) {
+    const text = value == null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class RoundArchive {
+    constructor(file) {
+        this.file = file;
+        this.rounds = []; // oldest first: { gameId, ticker, room, tournament, startTime, endTime, crashPoint, players, wagered, offset, length }
+        this.index = new Map(); // gameId -> summary
+        this.playerBets = new Map(); // accountId -> [bet row, oldest first]
+        this._size = 0;
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        if (fs.existsSync(file)) {
+            this._load();
+        }
+    }
+
+    add(round) {
+        const line = JSON.stringify(round) + '\n';
+        fs.appendFileSync(this.file, line);
+        this._index(round, this._size, Buffer.byteLength(line) - 1);
+        this._size += Buffer.byteLength(line);
+    }
+
+    // Round summaries, without seeds or bets
+    list(filters) {
+        const { items, ...pageInfo } = paginate(this.rounds, filters);
+        return { rounds: items.map(({ offset, length, ...summary }) => summary), ...pageInfo };
+    }
+
+    has(gameId) {
+        return this.index.has(gameId);
+    }
+
+    // The full round - account ids stay on the server
+    get(gameId) {
+        const summary = this.index.get(gameId);
+        if (!summary) return null;
+
+        const round = this._read(summary);
+        return { ...round, bets: round.bets.map(({ accountId, ...bet }) => bet) };
+    }
+
+    // One player's settled bets across all rounds
+    listBets(accountId, filters) {
+        const { items, ...pageInfo } = paginate(this.playerBets.get(accountId) || [], filters);
+        return { bets: items, ...pageInfo };
+    }
+
+    // Filters from a query string: ticker symbol, private room code, from/to as ISO dates
+    // or epoch ms, page and limit - at most pageSizeLimit per page
+    static parseQuery({ ticker, room, from, to, page, limit }, pageSizeLimit) {
+        const filters = {
+            page: parseInt(page, 10) || 1,
+            limit: Math.min(parseInt(limit, 10) || PAGE_SIZE, pageSizeLimit)
+        };
+        if (room) {
+            filters.room = String(room).toUpperCase();
+        }
+
+        if (ticker) {
+            const match = findTicker(String(ticker).toUpperCase());
+            if (!match) return { error: 'Unknown ticker' };
+            filters.ticker = match.symbol;
+        }
+
+        for (const [name, value] of [['from', from], ['to', to]]) {
+            if (value == null) continue;
+            const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+            if (isNaN(time)) return { error: `Invalid ${name} date` };
+            filters[name] = time;
+        }
+        return filters;
+    }
+
+    static toCsv(bets) {
+        const rows = bets.map(bet => CSV_COLUMNS.map(column => {
+            if (column === 'startTime') return csvField(new Date(bet.startTime).toISOString());
+            if (column === 'exits') return csvField(formatExits(bet.exits));
+            return csvField(bet[column]);
+        }).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+
+    // --- Private Methods ---
+
+    _load() {
+        const content = fs.readFileSync(this.file);
+        let offset = 0;
+        while (offset < content.length) {
+            let end = content.indexOf(0x0a, offset);
+            if (end === -1) end = content.length;
+
+            try {
+                if (end > offset) {
+                    this._index(JSON.parse(content.toString('utf8', offset, end)), offset, end - offset);
+                }
+            } catch (err) {
+                // A write cut short by a crash - skip it, later lines are still whole
+                console.error(`Skipping unreadable round at byte ${offset} of ${this.file}`);
+            }
+            offset = end + 1;
+        }
+        this._size = content.length;
+
+        // Start the next round on a fresh line after a cut-short write
+        if (content.length && content[content.length - 1] !== 0x0a) {
+            fs.appendFileSync(this.file, '\n');
+            this._size += 1;
+        }
+        console.log(`Round archive loaded: ${this.rounds.length} rounds`);
+    }
+
+    _index(round, offset, length) {
+        const summary = {
+            gameId: round.gameId,
+            ticker: round.ticker,
+            room: round.room || null,
+            tournament: round.tournament || null,
+            startTime: round.startTime,
+            endTime: round.endTime,
+            crashPoint: round.crashPoint,
+            players: round.bets.length,
+            wagered: round.bets.reduce((sum, bet) => sum + bet.amount, 0),
+            offset: offset,
+            length: length
+        };
+        this.rounds.push(summary);
+        this.index.set(round.gameId, summary);
+
+        round.bets.forEach(({ accountId, ...bet }) => {
+            if (!this.playerBets.has(accountId)) {
+                this.playerBets.set(accountId, []);
+            }
+            this.playerBets.get(accountId).push({
+                gameId: round.gameId,
+                ticker: round.ticker,
+                room: round.room || null,
+                tournament: round.tournament || null,
+                startTime: round.startTime,
+                crashPoint: round.crashPoint,
+                ...bet
+            });
+        });
+    }
+
+    _read({ offset, length }) {
+        const buffer = Buffer.alloc(length);
+        const fd = fs.openSync(this.file, 'r');
+        try {
+            fs.readSync(fd, buffer, 0, length, offset);
+        } finally {
+            fs.closeSync(fd);
+        }
+        return JSON.parse(buffer.toString('utf8'));
+    }
+}
+
+module.exports = RoundArchive;
@@ -0,0 +1,95 @@
+/**
+ * Stats Tracker
+ * Each player's lifetime and session stats, updated as rounds settle (see lib/stats.js).
+ *
+ * Lifetime stats are rebuilt from the round archive the first time an account asks
+ * for them, so they need no storage of their own and survive restarts. A session
+ * starts when the player connects and lasts until they have been away for
+ * `sessionIdle` ms - a reload or a dropped connection keeps it going.
+ *
+ * Emits:
+ *  - 'update' (accountId) - a round changed the account's stats
+ */
+
+const EventEmitter = require('events');
+const { emptyStats, recordRound, fromBets, summarize } = require('./stats');
+
+const SESSION_IDLE = 30 * 60 * 1000;
+
+class StatsTracker extends EventEmitter {
+    constructor(archive, options = {}) {
+        super();
+        this.archive = archive;
+        this.sessionIdle = options.sessionIdle || SESSION_IDLE;
+        this.lifetime = new Map(); // accountId -> stats, built on first use
+        this.sessions = new Map(); // accountId -> { stats, sockets, lastActive }
+    }
+
+    // A socket of the account connected - resumes its session or starts a new one
+    connect(accountId) {
+        let session = this.sessions.get(accountId);
+        if (!session || (!session.sockets && Date.now() - session.lastActive > this.sessionIdle)) {
+            session = { stats: emptyStats(Date.now()), sockets: 0, lastActive: 0 };
+            this.sessions.set(accountId, session);
+        }
+        session.sockets += 1;
+        session.lastActive = Date.now();
+    }
+
+    disconnect(accountId) {
+        const session = this.sessions.get(accountId);
+        if (!session) return;
+        session.sockets = Math.max(0, session.sockets - 1);
+        session.lastActive = Date.now();
+    }
+
+    // A finished public round's results, after the archive has it - every player's bets count once
+    record(ticker, { startTime, results }) {
+        const byAccount = new Map();
+        results.forEach((bet) => {
+            if (!byAccount.has(bet.accountId)) byAccount.set(bet.accountId, []);
+            byAccount.get(bet.accountId).push(bet);
+        });
+
+        byAccount.forEach((bets, accountId) => {
+            const round = { ticker: ticker, time: startTime, bets: bets };
+            const session = this.sessions.get(accountId);
+            if (session) session.lastActive = Date.now();
+
+            // Stats built from the archive already include this round
+            const lifetime = this.lifetime.get(accountId);
+            const counted = [session && session.stats, lifetime].filter(Boolean).map(stats => recordRound(stats, round));
+            if (counted.includes(true)) this.emit('update', accountId);
+        });
+        this._expireSessions();
+    }
+
+    summary(accountId) {
+        const session = this.sessions.get(accountId);
+        return {
+            session: summarize(session ? session.stats : emptyStats(Date.now())),
+            lifetime: summarize(this._lifetime(accountId))
+        };
+    }
+
+    // --- Private Methods ---
+
+    _lifetime(accountId) {
+        if (!this.lifetime.has(accountId)) {
+            // Public tickers only - tournaments play with their own stacks, private rooms with the host's settings
+            const { bets } = this.archive.listBets(accountId, { room: null, tournament: null, page: 1, limit: Infinity });
+            this.lifetime.set(accountId, fromBets(bets.reverse(), Date.now()));
+        }
+        return this.lifetime.get(accountId);
+    }
+
+    // Sessions of players who left long ago would otherwise pile up
+    _expireSessions() {
+        const cutoff = Date.now() - this.sessionIdle;
+        this.sessions.forEach((session, accountId) => {
+            if (!session.sockets && session.lastActive < cutoff) this.sessions.delete(accountId);
+        });
+    }
+}
+
+module.exports = StatsTracker;
@@ -0,0 +1,124 @@
+/**
+ * Player Stats
+ * P/L, win rate, cash-out multipliers and per-ticker ROI folded from settled rounds,
+ * shared by the server's stats tracker and the browser's practice mode
+ * (UMD - served to the browser at /shared/stats.js).
+ *
+ * A player's bets in one round count as one round played - won when their profit
+ * across every slot is positive. Refunded bets (voided rounds) don't count at all.
+ * Stats are plain JSON, so they can be kept in localStorage as they are.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PlayerStats = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const CURVE_LIMIT = 500; // P/L points kept, oldest dropped first
+
+    function emptyStats(startedAt) {
+        return {
+            startedAt: startedAt,
+            rounds: 0,
+            wins: 0,
+            wagered: 0,
+            profit: 0,
+            cashOuts: 0,
+            multiplierSum: 0,
+            bestMultiplier: null,
+            biggestWin: 0,
+            tickers: {}, // symbol -> { rounds, wins, wagered, profit }
+            curve: [] // [time, profit so far] after each round
+        };
+    }
+
+    // Adds one round of a player's settled bets (public bets with result and exits).
+    // Returns false when nothing counted, e.g. every bet was refunded.
+    function recordRound(stats, { ticker, time, bets }) {
+        const settled = bets.filter(bet => bet.result !== 'refunded');
+        if (!settled.length) return false;
+
+        const profit = settled.reduce((sum, bet) => sum + bet.profit, 0);
+        const wagered = settled.reduce((sum, bet) => sum + bet.amount, 0);
+        const won = profit > 0;
+
+        stats.rounds += 1;
+        stats.wins += won ? 1 : 0;
+        stats.wagered += wagered;
+        stats.profit += profit;
+        stats.biggestWin = Math.max(stats.biggestWin, profit);
+        settled.forEach(bet => bet.exits.forEach((exit) => {
+            stats.cashOuts += 1;
+            stats.multiplierSum += exit.multiplier;
+            stats.bestMultiplier = Math.max(stats.bestMultiplier || 0, exit.multiplier);
+        }));
+
+        const perTicker = stats.tickers[ticker] || (stats.tickers[ticker] = { rounds: 0, wins: 0, wagered: 0, profit: 0 });
+        perTicker.rounds += 1;
+        perTicker.wins += won ? 1 : 0;
+        perTicker.wagered += wagered;
+        perTicker.profit += profit;
+
+        stats.curve.push([time, stats.profit]);
+        if (stats.curve.length > CURVE_LIMIT) {
+            stats.curve.shift();
+        }
+        return true;
+    }
+
+    // Folds bet rows (oldest first, each with gameId, ticker and startTime) round by round,
+    // e.g. a player's history from the round archive
+    function fromBets(bets, startedAt) {
+        const stats = emptyStats(bets.length ? bets[0].startTime : startedAt);
+        let round = null;
+        bets.forEach((bet) => {
+            if (round && round.gameId === bet.gameId) {
+                round.bets.push(bet);
+                return;
+            }
+            if (round) recordRound(stats, round);
+            round = { gameId: bet.gameId, ticker: bet.ticker, time: bet.startTime, bets: [bet] };
+        });
+        if (round) recordRound(stats, round);
+        return stats;
+    }
+
+    // Rates and averages for display - null where there is nothing to average yet
+    function summarize(stats) {
+        const rate = (part, whole) => (whole ? part / whole : null);
+        return {
+            startedAt: stats.startedAt,
+            rounds: stats.rounds,
+            wins: stats.wins,
+            winRate: rate(stats.wins, stats.rounds),
+            wagered: stats.wagered,
+            profit: stats.profit,
+            roi: rate(stats.profit, stats.wagered),
+            cashOuts: stats.cashOuts,
+            averageMultiplier: rate(stats.multiplierSum, stats.cashOuts),
+            bestMultiplier: stats.bestMultiplier,
+            biggestWin: stats.biggestWin,
+            tickers: Object.entries(stats.tickers)
+                .map(([ticker, t]) => ({
+                    ticker: ticker,
+                    rounds: t.rounds,
+                    winRate: rate(t.wins, t.rounds),
+                    wagered: t.wagered,
+                    profit: t.profit,
+                    roi: rate(t.profit, t.wagered)
+                }))
+                .sort((a, b) => b.rounds - a.rounds),
+            curve: stats.curve.slice()
+        };
+    }
+
+    return {
+        CURVE_LIMIT,
+        emptyStats,
+        recordRound,
+        fromBets,
+        summarize
+    };
+});
@@ -0,0 +1,39 @@
+/**
+ * JSON Store
+ * Small file-backed document store for local persistence.
+ *
+ * Writes go to a temp file that is renamed into place, so a crash mid-write
+ * never leaves a truncated file behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class JsonStore {
+    constructor(file, defaults = {}) {
+        this.file = file;
+        this.data = defaults;
+        this._pending = false;
+
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        if (fs.existsSync(file)) {
+            this.data = { ...defaults, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+        }
+    }
+
+    // Coalesces every change made in the same tick into a single write
+    save() {
+        if (this._pending) return;
+        this._pending = true;
+        setImmediate(() => this.flush());
+    }
+
+    flush() {
+        this._pending = false;
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data));
+        fs.renameSync(tmp, this.file);
+    }
+}
+
+module.exports = JsonStore;
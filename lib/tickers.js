@@ -0,0 +1,36 @@
+/**
+ * Tickers
+ * Volatility modes shown on the main page. Each one runs as its own game room.
+ *
+ * growthRate    - curve speed (multiplier grows by e^(growthRate * t))
+ * houseEdge     - fraction removed from the crash distribution
+ * maxMultiplier - hard cap on the crash point, matches the range on the card
+ *
+ * UMD, so the browser's practice mode loads the same table from /shared/tickers.js.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Tickers = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const TICKERS = [
+        { id: 0, symbol: 'CORLA', name: 'Corca-Cola', risk: 'safe', growthRate: 0.06, houseEdge: 0.01, maxMultiplier: 1.5 },
+        { id: 1, symbol: 'BRKR', name: 'Brokerly', risk: 'moderate', growthRate: 0.10, houseEdge: 0.01, maxMultiplier: 3 },
+        { id: 2, symbol: 'NFTX', name: 'NiftyFox', risk: 'balanced', growthRate: 0.15, houseEdge: 0.01, maxMultiplier: 5 },
+        { id: 3, symbol: 'ETHRX', name: 'Etherex', risk: 'risky', growthRate: 0.20, houseEdge: 0.01, maxMultiplier: 8 },
+        { id: 4, symbol: 'TSLR', name: 'Tesler', risk: 'extreme', growthRate: 0.25, houseEdge: 0.01, maxMultiplier: 12 }
+    ];
+
+    // Accepts a numeric mode id (as used by the ticker cards) or a symbol
+    function findTicker(key) {
+        return TICKERS.find(t => t.id === key || t.symbol === key) || null;
+    }
+
+    return {
+        TICKERS,
+        findTicker
+    };
+});
@@ -0,0 +1,336 @@
+/**
+ * Tournaments
+ * Scheduled events on one ticker: every player registers for the same tournament-only
+ * stack, plays a fixed number of rounds or a fixed time window, and the best final
+ * stacks share the Crash Cash prize pool.
+ *
+ * A running tournament plays its own rounds in a room of its own (options.createRoom),
+ * with the stacks as that room's wallet - the main wallet only pays the entry fee and
+ * receives the prize. It ends when its last round crashes: the `rounds`-th one, or the
+ * first to end after the time window closes. Tournaments are stored with the accounts,
+ * and one that was running picks its room back up after a restart, with the stakes that
+ * were riding at the time back in their stacks. Time comes from
+ * options.clock ({ now, setInterval, clearInterval }), the system clock by default.
+ *
+ * Emits:
+ *  - 'update' (tournament) - created, registration changed, started, finished or cancelled
+ *  - 'standings' (tournament) - a stack changed during play
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { checkValue } = require('./validation');
+const { findTicker } = require('./tickers');
+const { systemClock } = require('./engine');
+
+// What an admin sets up - exactly one of rounds and minutes
+const TOURNAMENT_SCHEMA = {
+    name: { type: 'string', maxLength: 40 },
+    ticker: { type: 'string', maxLength: 10 },
+    startsIn: { type: 'integer', min: 0, max: 10080 }, // minutes from now
+    rounds: { type: 'integer', min: 1, max: 1000, optional: true },
+    minutes: { type: 'integer', min: 1, max: 1440, optional: true },
+    stack: { type: 'integer', min: 100, max: 10000000 },
+    entryFee: { type: 'integer', min: 0, max: 10000000, optional: true }, // CC from the main wallet, added to the pool
+    prizePool: { type: 'integer', min: 0, max: 100000000, optional: true } // guaranteed CC on top of the fees
+};
+
+const PRIZE_SHARES = [50, 30, 20]; // % of the pool per finishing place
+const CHECK_RATE = 1000; // ms between scheduler checks
+const FINISHED_LIMIT = 10; // finished and cancelled tournaments still listed
+
+class Tournaments extends EventEmitter {
+    constructor(store, accounts, options = {}) {
+        super();
+        this.store = store;
+        this.accounts = accounts;
+        this.createRoom = options.createRoom; // (tournament, wallet) -> GameRoom
+        this.clock = options.clock || systemClock;
+        this.rooms = new Map(); // tournament id -> room while it runs
+        this._timer = null;
+
+        this.store.data.tournaments = this.store.data.tournaments || {}; // id -> tournament
+    }
+
+    // Starts the scheduler and reopens the rooms of tournaments that were running before a restart
+    start() {
+        this._all().filter(t => t.status === 'running').forEach((tournament) => {
+            this._restoreStakes(tournament);
+            this._openRoom(tournament);
+        });
+        this._timer = this.clock.setInterval(() => this._check(), CHECK_RATE);
+    }
+
+    create(params = {}) {
+        for (const [key, rule] of Object.entries(TOURNAMENT_SCHEMA)) {
+            const error = checkValue(key, rule, params[key]);
+            if (error) return { error };
+        }
+        if ((params.rounds == null) === (params.minutes == null)) {
+            return { error: 'Set either rounds or minutes' };
+        }
+        const ticker = findTicker(params.ticker.toUpperCase());
+        if (!ticker) return { error: 'Unknown ticker' };
+
+        const tournament = {
+            id: crypto.randomBytes(4).toString('hex'),
+            name: params.name.trim() || `$${ticker.symbol} Tournament`,
+            ticker: ticker.symbol,
+            status: 'scheduled', // scheduled | running | finished | cancelled
+            startsAt: this.clock.now() + params.startsIn * 60000,
+            endsAt: null, // set at the start of a timed tournament
+            rounds: params.rounds || null,
+            minutes: params.minutes || null,
+            roundsPlayed: 0,
+            stack: params.stack,
+            entryFee: params.entryFee || 0,
+            prizePool: params.prizePool || 0,
+            players: {}, // accountId -> { playerId, username, stack, inPlay, registeredAt }
+            results: null, // final standings with prizes
+            reason: null, // why it was cancelled
+            createdAt: this.clock.now()
+        };
+        this.store.data.tournaments[tournament.id] = tournament;
+        this._changed(tournament);
+        return this.toPublic(tournament);
+    }
+
+    // Refunds every entry fee - a running tournament's open bets are voided first
+    cancel(id, reason) {
+        const tournament = this._find(id);
+        if (!tournament) return { error: 'Tournament not found' };
+        if (tournament.status !== 'scheduled' && tournament.status !== 'running') {
+            return { error: `Tournament already ${tournament.status}` };
+        }
+
+        const room = this.rooms.get(id);
+        if (room) {
+            this._closeRoom(id);
+            room.pause();
+            room.voidRound();
+        }
+        Object.keys(tournament.players).forEach((accountId) => {
+            if (tournament.entryFee) this.accounts.credit(accountId, tournament.entryFee);
+        });
+        tournament.status = 'cancelled';
+        tournament.reason = reason;
+        tournament.finishedAt = this.clock.now();
+        this._changed(tournament);
+        return this.toPublic(tournament);
+    }
+
+    // --- Registration ---
+
+    register(account, id) {
+        const tournament = this._find(id);
+        if (!tournament) return { error: 'Tournament not found' };
+        if (tournament.status !== 'scheduled') return { error: 'Registration is closed' };
+        if (tournament.players[account.id]) return { error: 'You are already registered' };
+
+        if (tournament.entryFee) {
+            const debit = this.accounts.debit(account.id, tournament.entryFee);
+            if (debit.error) return debit;
+        }
+        tournament.players[account.id] = {
+            playerId: account.publicId,
+            username: account.username,
+            stack: tournament.stack,
+            inPlay: 0, // staked in the open round, not settled yet
+            registeredAt: this.clock.now()
+        };
+        this._changed(tournament);
+        return this.toPublic(tournament);
+    }
+
+    // Only before the start - the entry fee comes back
+    unregister(account, id) {
+        const tournament = this._find(id);
+        if (!tournament) return { error: 'Tournament not found' };
+        if (!tournament.players[account.id]) return { error: 'You are not registered' };
+        if (tournament.status !== 'scheduled') return { error: 'The tournament has already started' };
+
+        delete tournament.players[account.id];
+        if (tournament.entryFee) this.accounts.credit(account.id, tournament.entryFee);
+        this._changed(tournament);
+        return this.toPublic(tournament);
+    }
+
+    // --- Queries ---
+
+    // Upcoming and running first, then the most recent finished ones
+    list() {
+        const all = this._all();
+        const open = all.filter(t => t.status === 'scheduled' || t.status === 'running')
+            .sort((a, b) => a.startsAt - b.startsAt);
+        const closed = all.filter(t => t.status === 'finished' || t.status === 'cancelled')
+            .sort((a, b) => b.finishedAt - a.finishedAt)
+            .slice(0, FINISHED_LIMIT);
+        return open.concat(closed).map(t => this.toPublic(t));
+    }
+
+    get(id) {
+        const tournament = this._find(id);
+        return tournament ? this.toPublic(tournament) : null;
+    }
+
+    room(id) {
+        return this.rooms.get(id) || null;
+    }
+
+    // Account ids stay on the server - players are known by their public id
+    toPublic(tournament) {
+        const { players, ...fields } = tournament;
+        return {
+            ...fields,
+            pool: this._pool(tournament),
+            players: Object.keys(players).length,
+            standings: this.standings(tournament)
+        };
+    }
+
+    // Biggest stack first, earlier registration breaks ties
+    standings(tournament) {
+        return Object.values(tournament.players)
+            .sort((a, b) => b.stack - a.stack || a.registeredAt - b.registeredAt)
+            .map((player, i) => ({ rank: i + 1, playerId: player.playerId, username: player.username, stack: player.stack }));
+    }
+
+    // --- Private Methods ---
+
+    _all() {
+        return Object.values(this.store.data.tournaments);
+    }
+
+    // Ids come from URLs - an own-property check keeps 'constructor' and friends from matching
+    _find(id) {
+        const tournaments = this.store.data.tournaments;
+        return Object.prototype.hasOwnProperty.call(tournaments, id) ? tournaments[id] : null;
+    }
+
+    _pool(tournament) {
+        return tournament.prizePool + tournament.entryFee * Object.keys(tournament.players).length;
+    }
+
+    // Starts tournaments that are due and closes the time window of timed ones
+    _check() {
+        const now = this.clock.now();
+        this._all().forEach((tournament) => {
+            if (tournament.status === 'scheduled' && tournament.startsAt <= now) {
+                this._start(tournament);
+            }
+            // The round in progress still plays out, see _roundEnded
+            const room = this.rooms.get(tournament.id);
+            if (room && !room.paused && tournament.endsAt && tournament.endsAt <= now) {
+                room.pause();
+            }
+        });
+    }
+
+    _start(tournament) {
+        if (!Object.keys(tournament.players).length) {
+            this.cancel(tournament.id, 'No players registered');
+            return;
+        }
+
+        tournament.status = 'running';
+        tournament.startedAt = this.clock.now();
+        tournament.endsAt = tournament.minutes ? tournament.startedAt + tournament.minutes * 60000 : null;
+        this._openRoom(tournament);
+        this._changed(tournament);
+        console.log(`[TOURNAMENT] ${tournament.name} started on $${tournament.ticker} with ${Object.keys(tournament.players).length} players`);
+    }
+
+    // The room's wallet is the stacks - only registered players can bet. Stakes are tracked
+    // until they settle, so a restart mid-round can hand them back
+    _openRoom(tournament) {
+        const wallet = {
+            debit: (accountId, amount) => {
+                const player = tournament.players[accountId];
+                if (!player) return { error: 'Register for this tournament to trade in it' };
+                if (amount > player.stack) return { error: 'Insufficient tournament stack' };
+
+                player.stack -= amount;
+                player.inPlay = (player.inPlay || 0) + amount;
+                this.store.save();
+                return { balance: player.stack };
+            },
+            // The stake settled is what came back less the profit on it
+            settle: (accountId, payout, profit) => {
+                const player = tournament.players[accountId];
+                player.stack += payout;
+                player.inPlay -= payout - profit;
+                this.store.save();
+            }
+        };
+
+        const room = this.createRoom(tournament, wallet);
+        room.on('broadcast', (event) => {
+            if (this.rooms.get(tournament.id) !== room) return;
+            if (event === 'BET_PLACED' || event === 'PLAYER_CASHED_OUT') this.emit('standings', tournament);
+        });
+        room.on('roundEnd', () => this._roundEnded(tournament, room));
+        this.rooms.set(tournament.id, room);
+        room.startGame();
+    }
+
+    // The round those stakes were riding died with the old process - they come back like a void
+    _restoreStakes(tournament) {
+        Object.values(tournament.players).forEach((player) => {
+            if (!player.inPlay) return;
+            console.log(`[TOURNAMENT] ${tournament.name}: ${player.inPlay} returned to ${player.username}'s stack after a restart`);
+            player.stack += player.inPlay;
+            player.inPlay = 0;
+        });
+        this.store.save();
+    }
+
+    // Runs before the room opens its next round, so pausing here makes this round the last
+    _roundEnded(tournament, room) {
+        if (this.rooms.get(tournament.id) !== room) return; // closed, e.g. its round was voided on cancel
+        tournament.roundsPlayed += 1;
+        this.store.save();
+        this.emit('standings', tournament);
+
+        const done = (tournament.rounds && tournament.roundsPlayed >= tournament.rounds) ||
+            (tournament.endsAt && this.clock.now() >= tournament.endsAt);
+        if (!done) return;
+
+        room.pause();
+        this._closeRoom(tournament.id);
+        this._finish(tournament);
+    }
+
+    // Pays each place its share - shares of places nobody finished in go to the winner
+    _finish(tournament) {
+        const pool = this._pool(tournament);
+        const standings = this.standings(tournament);
+        const prizes = standings.map((player, i) => Math.floor(pool * (PRIZE_SHARES[i] || 0) / 100));
+        prizes[0] += pool - prizes.reduce((sum, prize) => sum + prize, 0);
+
+        const accountIds = new Map(Object.entries(tournament.players).map(([accountId, p]) => [p.playerId, accountId]));
+        tournament.results = standings.map((player, i) => {
+            if (prizes[i]) this.accounts.credit(accountIds.get(player.playerId), prizes[i]);
+            return { ...player, prize: prizes[i] };
+        });
+        tournament.status = 'finished';
+        tournament.finishedAt = this.clock.now();
+        this._changed(tournament);
+        console.log(`[TOURNAMENT] ${tournament.name} finished - ${standings[0].username} wins ${prizes[0]} CC`);
+    }
+
+    // The room keeps its listeners, so the round it is ending still reaches its players
+    _closeRoom(id) {
+        this.rooms.delete(id);
+    }
+
+    _changed(tournament) {
+        this.store.save();
+        this.emit('update', tournament);
+    }
+}
+
+module.exports = {
+    TOURNAMENT_SCHEMA,
+    PRIZE_SHARES,
+    Tournaments
+};
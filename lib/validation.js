@@ -0,0 +1,151 @@
+/**
+ * Validation
+ * A schema for every inbound socket event, checked before any handler runs.
+ *
+ * Types are strict - nothing is coerced, so "100", 10.5 or null never pass as an
+ * integer bet. Failures surface to clients as structured { code, message } errors.
+ */
+
+const ERROR_CODES = {
+    INVALID_INPUT: 'INVALID_INPUT',
+    RATE_LIMITED: 'RATE_LIMITED',
+    LOGIN_REQUIRED: 'LOGIN_REQUIRED',
+    NO_TICKER: 'NO_TICKER',
+    UNKNOWN_TICKER: 'UNKNOWN_TICKER',
+    BET_REJECTED: 'BET_REJECTED',
+    CASHOUT_REJECTED: 'CASHOUT_REJECTED',
+    AUTOBET_REJECTED: 'AUTOBET_REJECTED',
+    CHAT_REJECTED: 'CHAT_REJECTED',
+    TOURNAMENT_REJECTED: 'TOURNAMENT_REJECTED',
+    ROOM_REJECTED: 'ROOM_REJECTED',
+    NOT_MODERATOR: 'NOT_MODERATOR'
+};
+
+const TYPES = {
+    integer: Number.isInteger,
+    number: Number.isFinite,
+    string: value => typeof value === 'string'
+};
+
+// Bet amounts are whole Crash Cash - the room enforces its own min/max on top
+const AMOUNT = { type: 'integer', min: 1, max: 1e9 };
+const MULTIPLIER = { type: 'number', min: 1.01, max: 1e6 };
+// Which of the player's bets - the room checks it against its own betSlots
+const SLOT = { type: 'integer', min: 0, max: 9, optional: true };
+// Share of an open position to close - the room checks it against its cashOutPercents
+const PERCENT = { type: 'integer', min: 1, max: 100, optional: true };
+// The chat enforces its own, shorter message limit - this only caps what gets that far
+const TEXT = { type: 'string', maxLength: 1000 };
+const BET_RULE = {
+    anyOf: [{ type: 'string', values: ['reset'] }, { type: 'number', min: 0.01, max: 100 }],
+    description: 'must be "reset" or a multiplier'
+};
+
+const EVENT_SCHEMAS = {
+    TIME_SYNC: { clientTime: { type: 'number', min: 0 } },
+    JOIN_TICKER: { modeId: { type: 'integer', min: 0, max: 100 } },
+    LEAVE_TICKER: {},
+    JOIN_TOURNAMENT: { tournamentId: { type: 'string', maxLength: 20 } },
+    // Room settings are held to the admin config schema when the room is created
+    CREATE_ROOM: {
+        modeId: { type: 'integer', min: 0, max: 100 },
+        name: { type: 'string', maxLength: 30, optional: true },
+        growthRate: { type: 'number', optional: true },
+        minBet: { type: 'integer', optional: true },
+        maxBet: { type: 'integer', optional: true },
+        bettingDuration: { type: 'integer', optional: true }
+    },
+    JOIN_ROOM: { code: { type: 'string', maxLength: 10 } },
+    PLACE_BET: { amount: AMOUNT, autoCashOut: { ...MULTIPLIER, optional: true }, slot: SLOT },
+    CASH_OUT: { slot: SLOT, percent: PERCENT },
+    AUTOBET_START: {
+        strategy: { type: 'string', values: ['flat', 'martingale', 'antiMartingale', 'custom'] },
+        baseBet: AMOUNT,
+        autoCashOut: MULTIPLIER,
+        stopLoss: AMOUNT,
+        stopProfit: { ...AMOUNT, optional: true },
+        maxRounds: { type: 'integer', min: 1, max: 100000, optional: true },
+        onWin: { ...BET_RULE, optional: true },
+        onLoss: { ...BET_RULE, optional: true }
+    },
+    AUTOBET_STOP: {},
+    CHAT_SEND: { channel: { type: 'string', values: ['global', 'ticker'] }, text: TEXT },
+    CHAT_MODERATE: {
+        action: { type: 'string', values: ['mute', 'ban', 'lift'] },
+        username: { type: 'string', maxLength: 20 },
+        minutes: { type: 'integer', min: 1, max: 10080, optional: true },
+        reason: { type: 'string', maxLength: 100, optional: true }
+    }
+};
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+
+// Own keys only - a payload field like `constructor` must not find Object.prototype's
+function hasRule(schema, key) {
+    return Object.prototype.hasOwnProperty.call(schema, key);
+}
+
+// Returns an error message for one value, or null when it passes its rule
+function checkValue(name, rule, value) {
+    if (value == null) {
+        return rule.optional ? null : `${name} is required`;
+    }
+    if (rule.anyOf) {
+        return rule.anyOf.some(option => !checkValue(name, option, value)) ? null : `${name} ${rule.description}`;
+    }
+    if (!TYPES[rule.type](value)) {
+        return `${name} must be ${rule.type === 'integer' ? 'an integer' : `a ${rule.type}`}`;
+    }
+    if (rule.values && !rule.values.includes(value)) {
+        return `${name} must be one of: ${rule.values.join(', ')}`;
+    }
+    if ((rule.min != null && value < rule.min) || (rule.max != null && value > rule.max)) {
+        return `${name} must be between ${rule.min} and ${rule.max}`;
+    }
+    if (rule.maxLength != null && value.length > rule.maxLength) {
+        return `${name} must be at most ${rule.maxLength} characters`;
+    }
+    return null;
+}
+
+// Payloads are plain objects with only the fields their schema knows about
+function validateEvent(event, payload = {}) {
+    const schema = hasRule(EVENT_SCHEMAS, event) ? EVENT_SCHEMAS[event] : null;
+    if (!schema) {
+        return { error: { code: ERROR_CODES.INVALID_INPUT, message: `Unknown event: ${event}` } };
+    }
+    if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+        return { error: { code: ERROR_CODES.INVALID_INPUT, message: 'Payload must be an object' } };
+    }
+
+    const unknown = Object.keys(payload).find(key => !hasRule(schema, key));
+    if (unknown) {
+        return { error: { code: ERROR_CODES.INVALID_INPUT, message: `Unexpected field: ${unknown}` } };
+    }
+
+    for (const [name, rule] of Object.entries(schema)) {
+        const message = checkValue(name, rule, payload[name]);
+        if (message) {
+            return { error: { code: ERROR_CODES.INVALID_INPUT, message } };
+        }
+    }
+    return { value: payload };
+}
+
+// Usernames are broadcast to every player in a room, so only plain characters are allowed
+function sanitizeUsername(username) {
+    const value = String(username == null ? '' : username).normalize('NFKC').trim();
+    if (!USERNAME_PATTERN.test(value)) {
+        return { error: 'Username must be 3-20 letters, digits, _ or -' };
+    }
+    return { value };
+}
+
+module.exports = {
+    ERROR_CODES,
+    EVENT_SCHEMAS,
+    hasRule,
+    checkValue,
+    validateEvent,
+    sanitizeUsername
+};
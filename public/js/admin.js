@@ -0,0 +1,235 @@
+/**
+ * Admin Console (admin.js)
+ * Talks to the server's /admin Socket.IO namespace - every command is audited server-side.
+ */
+
+const Admin = {
+    socket: null,
+    state: null, // latest GET_STATE: { rooms, schema, tournaments, audit }
+    refreshTimer: null,
+
+    connect: () => {
+        const token = document.getElementById('adminToken').value;
+        const name = document.getElementById('adminName').value.trim();
+        sessionStorage.setItem('cs_admin_token', token);
+        sessionStorage.setItem('cs_admin_name', name);
+
+        Admin.socket = io('/admin', { auth: { token, name } });
+
+        Admin.socket.on('connect', () => {
+            document.getElementById('adminLogin').style.display = 'none';
+            document.getElementById('adminConsole').style.display = 'block';
+            document.getElementById('disconnectBtn').style.display = 'block';
+            document.getElementById('adminActor').innerText = name;
+            Admin.refresh();
+            // 'connect' fires again on every automatic reconnect - keep a single timer
+            clearInterval(Admin.refreshTimer);
+            Admin.refreshTimer = setInterval(Admin.refresh, 2000);
+        });
+
+        // Stop polling while the connection is down, otherwise GET_STATE calls pile up in the send buffer
+        Admin.socket.on('disconnect', () => {
+            clearInterval(Admin.refreshTimer);
+            Admin.refreshTimer = null;
+        });
+
+        Admin.socket.on('connect_error', (err) => {
+            alert(err.message);
+            Admin.disconnect();
+        });
+
+        // Other admins' actions show up as they happen
+        Admin.socket.on('AUDIT', (entry) => {
+            if (!Admin.state) return;
+            Admin.state.audit.unshift(entry);
+            Admin.renderAudit();
+        });
+    },
+
+    disconnect: () => {
+        clearInterval(Admin.refreshTimer);
+        Admin.refreshTimer = null;
+        if (Admin.socket) Admin.socket.disconnect();
+        Admin.socket = null;
+        sessionStorage.removeItem('cs_admin_token');
+        document.getElementById('adminLogin').style.display = 'block';
+        document.getElementById('adminConsole').style.display = 'none';
+        document.getElementById('disconnectBtn').style.display = 'none';
+    },
+
+    refresh: () => {
+        Admin.socket.emit('GET_STATE', (state) => {
+            const first = !Admin.state;
+            Admin.state = state;
+            Admin.renderRooms();
+            Admin.renderTournaments();
+            Admin.renderPrivateRooms();
+            Admin.renderAudit();
+            if (first) Admin.renderConfigTickers();
+        });
+    },
+
+    command: (action, params) => {
+        Admin.socket.emit(action, params, (result) => {
+            if (result.error) alert(`${action}: ${result.error}`);
+            Admin.refresh();
+        });
+    },
+
+    // --- Rooms ---
+    renderRooms: () => {
+        document.getElementById('adminRooms').innerHTML = Admin.state.rooms.map(room => `
+            <tr>
+                <td>$${room.ticker}</td>
+                <td>${room.phase}${room.paused ? ' (paused)' : ''}</td>
+                <td>${room.gameId || '-'}</td>
+                <td>${room.phase === 'running' ? room.multiplier.toFixed(2) + 'x' : '-'}</td>
+                <td>${room.bets}</td>
+                <td class="admin-row-actions">
+                    <button onclick="adminCommand('${room.paused ? 'RESUME' : 'PAUSE'}', { ticker: '${room.ticker}' })">${room.paused ? 'RESUME' : 'PAUSE'}</button>
+                    <button onclick="confirmCommand('END_ROUND', '${room.ticker}')">END</button>
+                    <button onclick="confirmCommand('VOID_ROUND', '${room.ticker}')">VOID</button>
+                </td>
+            </tr>
+        `).join('');
+    },
+
+    // Ending or voiding a round settles real bets, so ask first
+    confirmCommand: (action, ticker) => {
+        const what = action === 'VOID_ROUND' ? 'Void the current round and refund open bets' : 'End the running round now';
+        if (confirm(`${what} on $${ticker}?`)) Admin.command(action, { ticker });
+    },
+
+    // --- Config ---
+    renderConfigTickers: () => {
+        const select = document.getElementById('configTicker');
+        const options = Admin.state.rooms.map(room => `<option value="${room.ticker}">$${room.ticker}</option>`).join('');
+        select.innerHTML = '<option value="">All tickers</option>' + options;
+        document.getElementById('tournamentTicker').innerHTML = options;
+        Admin.renderConfig();
+    },
+
+    // Fields come from the server's schema, prefilled with the selected (or first) room's values
+    renderConfig: () => {
+        const ticker = document.getElementById('configTicker').value;
+        const room = Admin.state.rooms.find(r => r.ticker === ticker) || Admin.state.rooms[0];
+
+        document.getElementById('configFields').innerHTML = Object.entries(Admin.state.schema).map(([key, rule]) => `
+            <div class="form-group">
+                <label class="form-label">${rule.label}</label>
+                <input type="number" class="form-input" data-key="${key}" min="${rule.min}" max="${rule.max}"
+                    step="${rule.type === 'integer' ? 1 : 0.01}" value="${ticker ? room.config[key] : ''}"
+                    placeholder="${ticker ? '' : 'Unchanged'}">
+            </div>
+        `).join('');
+    },
+
+    // Only filled-in fields are sent - the server validates the whole patch before applying any of it
+    applyConfig: () => {
+        const config = {};
+        document.querySelectorAll('#configFields input').forEach((input) => {
+            if (input.value !== '') config[input.dataset.key] = Number(input.value);
+        });
+        const ticker = document.getElementById('configTicker').value || undefined;
+        Admin.command('SET_CONFIG', { ticker, config });
+    },
+
+    // --- Tournaments ---
+    // Read-only - hosts' rooms close themselves once empty
+    renderPrivateRooms: () => {
+        document.getElementById('adminPrivateRooms').innerHTML = Admin.state.privateRooms.map(room => `
+            <tr>
+                <td>${room.code}</td>
+                <td>${Admin.escape(room.name)}</td>
+                <td>${Admin.escape(room.host)}</td>
+                <td>$${room.ticker}</td>
+                <td>${room.phase}</td>
+                <td>${room.members}</td>
+                <td>k ${room.config.growthRate} · ${room.config.minBet}-${room.config.maxBet} CC · ${room.config.bettingDuration / 1000}s</td>
+            </tr>
+        `).join('');
+    },
+
+    renderTournaments: () => {
+        document.getElementById('adminTournaments').innerHTML = Admin.state.tournaments.map(t => `
+            <tr>
+                <td>${Admin.escape(t.name)}</td>
+                <td>$${t.ticker}</td>
+                <td>${t.status}${t.status === 'running' ? ` (${t.roundsPlayed} played)` : ''}</td>
+                <td>${new Date(t.startsAt).toLocaleString()}</td>
+                <td>${t.rounds ? `${t.rounds} rounds` : `${t.minutes} min`}</td>
+                <td>${t.players}</td>
+                <td>${t.pool}</td>
+                <td class="admin-row-actions">
+                    ${t.status === 'scheduled' || t.status === 'running'
+                        ? `<button onclick="cancelTournament('${t.id}')">CANCEL</button>` : ''}
+                </td>
+            </tr>
+        `).join('');
+    },
+
+    createTournament: () => {
+        const number = id => Number(document.getElementById(id).value);
+        const params = {
+            name: document.getElementById('tournamentName').value.trim(),
+            ticker: document.getElementById('tournamentTicker').value,
+            startsIn: number('tournamentStartsIn'),
+            stack: number('tournamentStack'),
+            entryFee: number('tournamentEntryFee'),
+            prizePool: number('tournamentPrizePool')
+        };
+        params[document.getElementById('tournamentFormat').value] = number('tournamentLength');
+        Admin.command('TOURNAMENT_CREATE', params);
+    },
+
+    // Entry fees are refunded and a running round is voided
+    cancelTournament: (id) => {
+        const tournament = Admin.state.tournaments.find(t => t.id === id);
+        if (confirm(`Cancel ${tournament.name} and refund every entry fee?`)) Admin.command('TOURNAMENT_CANCEL', { id });
+    },
+
+    // --- Players ---
+    // The ban reason goes with account and chat bans alike, moderator is only for SET_MODERATOR
+    playerCommand: (action, moderator) => {
+        const username = document.getElementById('playerName').value.trim();
+        if (!username) return;
+        const params = { username };
+        if (action === 'BAN' || action.startsWith('CHAT_')) params.reason = document.getElementById('banReason').value.trim() || undefined;
+        if (action === 'CHAT_MUTE') params.minutes = Number(document.getElementById('muteMinutes').value);
+        if (action === 'SET_MODERATOR') params.moderator = moderator;
+        Admin.command(action, params);
+    },
+
+    // --- Audit ---
+    renderAudit: () => {
+        document.getElementById('adminAudit').innerHTML = Admin.state.audit.map(entry => `
+            <div class="admin-audit-entry ${entry.error ? 'failed' : ''}">
+                <span>${new Date(entry.time).toLocaleString()}</span>
+                <span>${Admin.escape(entry.actor)}</span>
+                <span>${entry.action}</span>
+                <span>${Admin.escape(JSON.stringify(entry.params))}</span>
+                <span>${entry.error ? Admin.escape(entry.error) : 'ok'}</span>
+            </div>
+        `).join('');
+    },
+
+    escape: (text) => String(text).replace(/[&<>"']/g, c => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[c])
+};
+
+window.onload = () => {
+    document.getElementById('adminToken').value = sessionStorage.getItem('cs_admin_token') || '';
+    document.getElementById('adminName').value = sessionStorage.getItem('cs_admin_name') || '';
+};
+
+// Global Hooks
+window.connectAdmin = Admin.connect;
+window.disconnectAdmin = Admin.disconnect;
+window.adminCommand = Admin.command;
+window.confirmCommand = Admin.confirmCommand;
+window.renderConfig = Admin.renderConfig;
+window.applyConfig = Admin.applyConfig;
+window.playerCommand = Admin.playerCommand;
+window.createTournament = Admin.createTournament;
+window.cancelTournament = Admin.cancelTournament;
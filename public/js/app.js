@@ -1,199 +1,1618 @@
 /**
  * UI Controller (app.js)
- * Connects the DOM to the Socket.IO Server.
+ * Connects the DOM to the Socket.IO Server, or to the in-browser GameServer in practice mode.
+ *
+ * Both sit behind the same transport shape - on(event, fn), emit(event, payload, ack), connect() -
+ * so the handlers below don't know which one they're talking to.
  */
 
 const App = {
-    socket: null,
+    mode: 'live', // live | practice
+    transport: null, // transport of the active mode
+    transports: { live: null, practice: null },
+    wallets: { live: null, practice: null }, // latest BALANCE_UPDATE per mode
+    stats: { live: null, practice: null }, // latest STATS_UPDATE per mode: { session, lifetime }
+    statsScope: 'session', // stats page view - session | lifetime
+    leaderboard: { metric: 'profit', period: 'daily', ticker: '' }, // board on the leaderboard page, '' for all tickers
+    token: localStorage.getItem('cs_token'), // session token from /api/auth/login
+    modeId: null, // ticker currently joined
+    ticker: null, // symbol of the joined ticker
+    tournaments: [], // /api/tournaments, kept current by TOURNAMENT_UPDATE
+    tournamentId: null, // tournament joined instead of a ticker - live only
+    tournament: null, // its public view from INITIAL_STATE, standings kept current by TOURNAMENT_STANDINGS
+    roomCode: null, // private room joined instead of a ticker - live only
+    privateRoom: null, // its public view from INITIAL_STATE
+    playerId: null, // our public id, to pick our own bets out of round results
+    history: [], // newest first: { gameId, crashPoint, profit } - profit is null when we didn't bet
+    autoBets: {}, // symbol -> latest AUTOBET_UPDATE status
+    players: new Map(), // betId -> public bet for the live trades table
+    chat: {
+        channel: 'global', // channel on screen - 'global' or the joined ticker's symbol
+        ticker: null, // ticker channel of the live socket, null until its CHAT_HISTORY arrives
+        messages: {}, // channel -> messages, oldest first
+        moderator: false,
+        restriction: null // our own mute or chat ban: { type, until, reason }
+    },
+    playersGameId: null, // round the table belongs to - kept after a crash until the next round's bets
+    round: {
+        gameId: null,
+        phase: 'idle', // idle | waiting | running | crashed
+        slots: [], // per bet slot: { betId, autoCashOut } - betId is null while the slot is free
+        allowLateBets: false,
+        startTime: 0, // server timestamp the curve launched at
+        growthRate: 0, // k in e^(k·t), per ticker
+        crash: null // how the last round ended, kept on the chart until the next launch: { gameId, elapsed, multiplier, at }
+    },
+    clock: {
+        offset: 0, // server time minus local time
+        rtt: Infinity // round trip of the best TIME_SYNC sample so far
+    },
+    replay: null, // finished round on the chart instead of the live one: { gameId, samples, cashOuts, duration, position, playing, ... }
     chart: {
-        canvas: null,
-        ctx: null,
-        data: [], // Stores {x, y} points
-        maxPoints: 200 // Sliding window size
+        renderer: null, // ChartRenderer on #chartCanvas, see js/chart.js
+        frame: null // requestAnimationFrame handle while the game page is open
     },
+    haltTimer: null, // holds the halt overlay back while the crash candle drops
 
     init: () => {
-        // Elements
-        const canvas = document.getElementById('chartCanvas');
-        App.chart.canvas = canvas;
-        App.chart.ctx = canvas.getContext('2d');
+        App.chart.renderer = new ChartRenderer(document.getElementById('chartCanvas'));
+
+        App.transports.practice = App.practiceTransport();
+        App.transports.live = App.connectLive();
+        App.setMode(App.transports.live ? 'live' : 'practice');
+        if (!App.transports.live) App.showModeNote("Server unavailable - playing in practice mode");
+
+        if (App.token) {
+            App.api('/api/me').then(App.showUser).catch(() => App.clearSession());
+        }
+
+        // Clocks drift - resample the offset now and then
+        setInterval(App.syncClock, 30000);
+        setInterval(App.renderTournamentProgress, 1000);
+
+        // Shared room links are /?room=CODE
+        const code = new URLSearchParams(location.search).get('room');
+        if (code && App.transports.live) App.joinRoom(code);
+    },
+
+    // --- Transports ---
+
+    // Server events and their handlers, the same for both modes
+    events: () => ({
+        INITIAL_STATE: App.onInit,
+        COUNTDOWN: App.onCountdown,
+        GAME_START: App.onGameStart,
+        TICK: App.onTick,
+        GAME_CRASHED: App.onCrash,
+        BET_CONFIRMED: App.onBetConfirmed,
+        BET_PLACED: App.onPlayerBet,
+        PLAYER_CASHED_OUT: App.onPlayerBet,
+        CASHOUT_SUCCESS: App.onCashout,
+        BALANCE_UPDATE: App.onBalanceUpdate,
+        STATS_UPDATE: App.onStatsUpdate,
+        AUTOBET_UPDATE: App.onAutoBetUpdate,
+        REDEMPTION_UPDATE: App.loadRedemptions,
+        ROOM_STATUS: App.onRoomStatus,
+        ERROR: App.onError
+    }),
 
-        // Listeners - Window
-        window.addEventListener('resize', App.resizeCanvas);
-        App.resizeCanvas();
+    // Only the active mode reaches the UI - balances are kept for both so switching back is instant
+    bindEvents: (transport, mode) => {
+        Object.entries(App.events()).forEach(([event, handler]) => {
+            transport.on(event, (data) => {
+                if (event === 'BALANCE_UPDATE') App.wallets[mode] = data;
+                if (event === 'STATS_UPDATE') App.stats[mode] = data;
+                if (App.mode === mode) handler(data);
+            });
+        });
+    },
+
+    // Connects to Socket.IO - the session token binds the socket to an account.
+    // Returns null when the client library never loaded (page opened without the server).
+    connectLive: () => {
+        if (typeof io === 'undefined') return null;
+
+        const socket = io({ auth: { token: App.token }, autoConnect: false });
+        let connected = false;
+
+        socket.on('connect', () => {
+            console.log("Connected to server:", socket.id);
+            connected = true;
+            App.clock.rtt = Infinity;
+            App.syncClock();
+            App.showModeNote(App.mode === 'practice' ? 'Server is back - switch to LIVE to play for real' : '');
+            // Room membership doesn't survive a reconnect
+            if (App.mode === 'live' && App.tournamentId) socket.emit('JOIN_TOURNAMENT', { tournamentId: App.tournamentId });
+            if (App.mode === 'live' && App.roomCode) socket.emit('JOIN_ROOM', { code: App.roomCode });
+            if (App.mode === 'live' && App.modeId !== null) socket.emit('JOIN_TICKER', { modeId: App.modeId });
+        });
+
+        // Never reached the server - practice until it answers, then the player can switch back
+        socket.on('connect_error', () => {
+            if (connected || App.mode !== 'live') return;
+            App.setMode('practice');
+            App.showModeNote("Can't reach the server - playing in practice mode");
+        });
+
+        // Kicked or banned by an admin - the client won't reconnect on its own
+        socket.on('disconnect', (reason) => {
+            if (reason === 'io server disconnect') alert('Disconnected by the server');
+        });
 
-        // Connect to Socket.IO
-        App.socket = io();
+        App.bindEvents(socket, 'live');
+        App.bindChat(socket);
+        // Rankings and tournaments only cover live play, so these stay on the live socket too
+        socket.on('LEADERBOARD_LEADER', App.onLeaderboardLeader);
+        socket.on('TOURNAMENT_UPDATE', App.onTournamentUpdate);
+        socket.on('TOURNAMENT_STANDINGS', App.onTournamentStandings);
+        socket.connect();
+        return socket;
+    },
 
-        App.socket.on('connect', () => {
-            console.log("Connected to server:", App.socket.id);
+    // Chat only exists on the live socket, so it's bound outside the per-mode events
+    bindChat: (socket) => {
+        socket.on('CHAT_HISTORY', App.onChatHistory);
+        socket.on('CHAT_MESSAGE', App.onChatMessage);
+        socket.on('CHAT_PURGE', App.onChatPurge);
+        socket.on('CHAT_STATUS', App.onChatStatus);
+        socket.on('ERROR', ({ message, event }) => {
+            if (event && event.startsWith('CHAT_')) App.showChatNote(message);
         });
+    },
+
+    // Wraps a GameServer in the socket's shape, mapping client events onto its methods
+    practiceTransport: () => {
+        const server = new GameServer();
+        const listeners = {};
+
+        const transport = {
+            on: (event, fn) => {
+                (listeners[event] = listeners[event] || []).push(fn);
+            },
+            emit: (event, payload = {}) => {
+                switch (event) {
+                    case 'JOIN_TICKER': return server.joinTicker(payload.modeId);
+                    case 'LEAVE_TICKER': return server.leaveTicker();
+                    case 'PLACE_BET': return server.placeBet(payload.amount, payload.autoCashOut, payload.slot);
+                    case 'CASH_OUT': return server.cashOut(payload.slot, payload.percent);
+                    default:
+                        (listeners.ERROR || []).forEach(fn => fn({
+                            code: 'INVALID_INPUT',
+                            message: 'Not available in practice mode',
+                            event: event
+                        }));
+                }
+            },
+            connect: () => server.subscribe((event, data) => (listeners[event] || []).forEach(fn => fn(data))),
+            // Practice rounds aren't archived - the GameServer keeps the recent ones for replays
+            replay: gameId => server.getReplay(gameId)
+        };
+
+        App.bindEvents(transport, 'practice');
+        transport.connect();
+        return transport;
+    },
+
+    // Leaves the ticker on the old transport and rejoins it on the new one
+    setMode: (mode) => {
+        if (mode === 'live' && !App.transports.live) return;
+
+        const modeId = App.modeId;
+        if (App.transport && modeId !== null) App.exitGame();
+
+        App.mode = mode;
+        App.transport = App.transports[mode];
+        if (mode === 'live') App.showModeNote('');
+        App.renderMode();
+
+        if (modeId !== null) App.startGame(modeId);
+    },
+
+    renderMode: () => {
+        const practice = App.mode === 'practice';
+        document.body.classList.toggle('practice-mode', practice);
+        document.querySelectorAll('.mode-btn').forEach(b => b.classList.toggle('active', b.dataset.mode === App.mode));
+        document.getElementById('balanceLabel').innerText = practice ? 'Practice CC' : 'Crash Cash';
+        document.getElementById('userStats').style.display = practice || App.playerId ? 'flex' : 'none';
+
+        const wallet = App.wallets[App.mode] || { balance: 0, totalProfit: 0 };
+        App.onBalanceUpdate(wallet);
+        App.onStatsUpdate(App.stats[App.mode]);
+    },
+
+    showModeNote: (text) => {
+        document.getElementById('modeNote').innerText = text;
+    },
+
+    // --- Clock Sync ---
+    // The curve is drawn locally from the server's startTime, so we need the server's clock.
+    // The sample with the shortest round trip gives the tightest offset estimate.
+    syncClock: (samples = 5) => {
+        const socket = App.transports.live;
+        if (!socket || !socket.connected) return;
+
+        for (let i = 0; i < samples; i++) {
+            setTimeout(() => {
+                socket.emit('TIME_SYNC', { clientTime: Date.now() }, ({ clientTime, serverTime }) => {
+                    const now = Date.now();
+                    const rtt = now - clientTime;
+                    if (rtt < App.clock.rtt) {
+                        App.clock.rtt = rtt;
+                        App.clock.offset = serverTime + rtt / 2 - now;
+                    }
+                });
+            }, i * 200);
+        }
+    },
+
+    // Practice rounds run on our own clock
+    serverNow: () => App.mode === 'practice' ? Date.now() : Date.now() + App.clock.offset,
 
-        // Server Events
-        App.socket.on('INITIAL_STATE', App.onInit);
-        App.socket.on('GAME_START', App.onGameStart);
-        App.socket.on('TICK', App.onTick);
-        App.socket.on('GAME_CRASHED', App.onCrash);
-        App.socket.on('BET_CONFIRMED', App.onBetConfirmed);
-        App.socket.on('CASHOUT_SUCCESS', App.onCashout);
-        App.socket.on('ERROR', (msg) => alert(msg));
+    // A server timestamp can only reach us after it was taken, so one that is
+    // ahead of our estimate means we're running behind - catch up by the difference
+    nudgeClock: (serverTime) => {
+        if (App.mode === 'practice') return;
+        const ahead = serverTime - App.serverNow();
+        if (ahead > 0) App.clock.offset += ahead;
     },
 
     // --- Actions ---
-    resizeCanvas: () => {
-        const p = App.chart.canvas.parentElement;
-        App.chart.canvas.width = p.clientWidth;
-        App.chart.canvas.height = p.clientHeight;
+    // Logs in (or registers) and reconnects the socket with the new session
+    login: async () => {
+        try {
+            const { token, account } = await App.api('/api/auth/login', {
+                method: 'POST',
+                body: {
+                    email: document.getElementById('emailInput').value,
+                    username: document.getElementById('usernameInput').value,
+                    password: document.getElementById('passwordInput').value
+                }
+            });
+            App.token = token;
+            localStorage.setItem('cs_token', token);
+            App.showUser(account);
+
+            if (App.transports.live) {
+                App.transports.live.auth = { token };
+                App.transports.live.disconnect().connect();
+            }
+            document.getElementById('loginModal').classList.remove('active');
+        } catch (err) {
+            alert(err.message);
+        }
     },
 
-    // Login is simpler in this proto - just local state or basic socket auth
-    login: () => {
-        // For prototype, we just close the modal. 
-        // Real app would send AUTH packet.
-        document.getElementById('loginModal').classList.remove('active');
+    logout: async () => {
+        await App.api('/api/auth/logout', { method: 'POST' }).catch(() => {});
+        App.clearSession();
+        location.reload();
+    },
+
+    showUser: (account) => {
         document.getElementById('loginBtn').style.display = 'none';
         document.getElementById('logoutBtn').style.display = 'block';
         document.getElementById('userStats').style.display = 'flex';
-        // Mock user details
-        document.getElementById('username').innerText = document.getElementById('usernameInput').value || 'Trader';
-        document.getElementById('crashCashBalance').innerText = '5000';
+        document.getElementById('username').innerText = account.username;
+        document.getElementById('referralCode').innerText = account.referralCode;
+        App.playerId = account.publicId;
+        App.wallets.live = { balance: account.balance, totalProfit: account.totalProfit };
+        App.renderMode();
     },
 
-    startGame: () => {
-        // Only admin/dev usually starts global server game, 
-        // but for prototype we emit a trigger
-        App.socket.emit('START_GAME');
+    clearSession: () => {
+        App.token = null;
+        localStorage.removeItem('cs_token');
     },
 
-    placeBet: () => {
-        const amt = parseInt(document.getElementById('betAmount').value);
-        const username = document.getElementById('username').innerText;
-        App.socket.emit('PLACE_BET', { amount: amt, username: username });
+    // Each ticker card is its own server room - join it and open the game page
+    startGame: (modeId) => {
+        App.modeId = modeId;
+        App.transport.emit('JOIN_TICKER', { modeId });
+        App.showPage('gamePage');
+
+        cancelAnimationFrame(App.chart.frame);
+        App.chart.frame = requestAnimationFrame(App.renderFrame);
     },
 
-    cashOut: () => {
-        App.socket.emit('CASH_OUT');
+    // A running tournament plays on the same game page, in its own room on the server
+    playTournament: (tournamentId) => {
+        if (!App.transports.live) {
+            alert('Tournaments need the live server');
+            return;
+        }
+        if (App.mode !== 'live') App.setMode('live');
+
+        App.tournamentId = tournamentId;
+        App.transport.emit('JOIN_TOURNAMENT', { tournamentId });
+        App.showPage('gamePage');
+
+        cancelAnimationFrame(App.chart.frame);
+        App.chart.frame = requestAnimationFrame(App.renderFrame);
+    },
+
+    // A private room too - anyone with its code can watch, players trade from their main wallet
+    joinRoom: (code = document.getElementById('roomCodeInput').value) => {
+        code = code.trim().toUpperCase();
+        if (!code) return;
+        if (!App.transports.live) {
+            alert('Private rooms need the live server');
+            return;
+        }
+        if (App.mode !== 'live') App.setMode('live');
+
+        App.roomCode = code;
+        App.transport.emit('JOIN_ROOM', { code });
+        App.showPage('gamePage');
+
+        cancelAnimationFrame(App.chart.frame);
+        App.chart.frame = requestAnimationFrame(App.renderFrame);
+    },
+
+    showRoomModal: () => {
+        if (!App.playerId) {
+            window.showLoginModal();
+            return;
+        }
+        document.getElementById('roomModal').classList.add('active');
+    },
+
+    // Blank settings are left out, the room keeps the ticker's own
+    createRoom: () => {
+        const num = (id, scale = 1) => {
+            const v = parseFloat(document.getElementById(id).value);
+            return isNaN(v) ? undefined : v * scale;
+        };
+        App.transports.live.emit('CREATE_ROOM', {
+            modeId: parseInt(document.getElementById('roomTicker').value),
+            name: document.getElementById('roomNameInput').value.trim() || undefined,
+            growthRate: num('roomGrowthRate'),
+            minBet: num('roomMinBet'),
+            maxBet: num('roomMaxBet'),
+            bettingDuration: num('roomBettingTime', 1000)
+        }, (room) => {
+            App.closeModal('roomModal');
+            App.joinRoom(room.code);
+        });
+    },
+
+    copyRoomLink: () => {
+        const link = `${location.origin}/?room=${App.roomCode}`;
+        navigator.clipboard.writeText(link)
+            .then(() => App.showChatNote('Room link copied - share it to invite players'))
+            .catch(() => prompt('Share this link to invite players', link));
+    },
+
+    exitGame: () => {
+        const tournament = App.tournamentId !== null;
+        App.closeReplay();
+        App.modeId = null;
+        App.tournamentId = null;
+        App.tournament = null;
+        App.roomCode = null;
+        App.privateRoom = null;
+        if (location.search) history.replaceState(null, '', location.pathname);
+        App.chat.ticker = null;
+        App.setChatChannel('global');
+        App.round.phase = 'idle';
+        App.round.crash = null;
+        cancelAnimationFrame(App.chart.frame);
+        App.transport.emit('LEAVE_TICKER');
+        if (tournament) {
+            App.showTournaments();
+        } else {
+            App.showPage('mainPage');
+        }
+    },
+
+    placeBet: (slot = 0) => {
+        const amt = parseInt(document.getElementById('betAmount' + slot).value);
+        // Blank means no auto cash-out, the server enforces the target otherwise
+        const auto = parseFloat(document.getElementById('autoCashOut' + slot).value);
+        App.transport.emit('PLACE_BET', { amount: amt, autoCashOut: isNaN(auto) ? null : auto, slot: slot });
+    },
+
+    // Closes percent of the slot's open stake - the rest keeps riding
+    cashOut: (slot = 0, percent = 100) => {
+        App.transport.emit('CASH_OUT', { slot: slot, percent: percent });
+    },
+
+    // Starts or stops the server-side auto-bet on the joined ticker
+    toggleAutoBet: () => {
+        const status = App.autoBets[App.ticker];
+        if (status && status.running) {
+            App.transport.emit('AUTOBET_STOP');
+            return;
+        }
+
+        const num = (id) => {
+            const v = parseFloat(document.getElementById(id).value);
+            return isNaN(v) ? null : v;
+        };
+        // "reset", blank -> reset; "x2" or "2" -> multiply the last bet by 2
+        const rule = (id) => {
+            const v = document.getElementById(id).value.trim().toLowerCase().replace(/^x/, '');
+            return !v || v === 'reset' ? 'reset' : parseFloat(v);
+        };
+
+        App.transport.emit('AUTOBET_START', {
+            strategy: document.getElementById('autoBetStrategy').value,
+            // Auto-bet takes its amount and target from the first position
+            baseBet: num('betAmount0'),
+            autoCashOut: num('autoCashOut0'),
+            stopLoss: num('autoBetStopLoss'),
+            stopProfit: num('autoBetStopProfit'),
+            maxRounds: num('autoBetMaxRounds'),
+            onWin: rule('autoBetOnWin'),
+            onLoss: rule('autoBetOnLoss')
+        });
+    },
+
+    toggleAutoBetRules: () => {
+        const custom = document.getElementById('autoBetStrategy').value === 'custom';
+        document.querySelector('.autobet-grid').classList.toggle('custom', custom);
     },
 
     // --- Event Handlers ---
 
     onInit: (state) => {
-        if (state.running) {
-            document.getElementById('course-text').innerText = "Live";
-            if (!state.isCrashed) {
-                // Join mid-game
-                document.getElementById('placeBetBtn').disabled = true;
-            }
+        App.ticker = state.ticker.symbol;
+        document.getElementById('tickerSymbol').innerText = '$' + state.ticker.symbol;
+        App.chart.renderer.setTheme(state.ticker.risk);
+        App.renderAutoBet();
+        App.tournament = state.tournament || null;
+        document.getElementById('gamePage').classList.toggle('in-tournament', !!App.tournament);
+        if (App.tournament) App.renderTournamentGame();
+        App.privateRoom = state.privateRoom || null;
+        document.getElementById('gamePage').classList.toggle('in-private-room', !!App.privateRoom);
+        if (App.privateRoom) {
+            document.getElementById('roomName').innerText = App.privateRoom.name;
+            document.getElementById('roomCode').innerText = App.privateRoom.code;
         }
+
+        // Crash points straight away, our own results once the archive answers
+        App.history = state.history.slice(0, 20).map(h => ({ ...h, profit: null }));
+        App.renderHistory();
+        // Practice and tournament rounds aren't archived
+        if (App.mode === 'live' && !App.tournament) {
+            App.loadHistory().catch(err => console.error('History unavailable:', err.message));
+        }
+
+        App.round.gameId = state.gameId;
+        App.players = new Map(state.bets.map(b => [b.betId, b]));
+        App.playersGameId = state.gameId;
+        App.renderPlayers();
+
+        App.round.phase = 'idle';
+        App.round.crash = null;
+        App.round.allowLateBets = state.allowLateBets;
+        App.resetBetControls();
+
+        // Restore whichever phase the ticker is in when we join
+        if (state.phase === 'waiting') {
+            App.onCountdown({ id: state.gameId, remaining: state.countdown });
+        } else if (state.phase === 'running') {
+            App.nudgeClock(state.serverTime);
+            App.onGameStart({
+                id: state.gameId,
+                allowLateBets: state.allowLateBets,
+                startTime: state.startTime,
+                growthRate: state.growthRate
+            });
+        } else {
+            App.round.phase = state.phase;
+            document.getElementById('course-text').innerText = "Closed";
+        }
+        if (state.paused) App.onRoomStatus(state);
+
+        // Our bets survived a reconnect - put each slot's controls back the way they were,
+        // replaying the cash outs it already took
+        const room = { ticker: App.ticker, tournamentId: App.tournamentId, room: App.roomCode };
+        state.activeBets.forEach((bet) => {
+            App.onBetConfirmed({ ...room, ...bet });
+            bet.exits.reduce((remaining, exit) => {
+                App.onCashout({ ...room, betId: bet.betId, ...exit, remaining: remaining - exit.stake });
+                return remaining - exit.stake;
+            }, bet.amount);
+        });
     },
 
-    onGameStart: () => {
+    onCountdown: ({ id, remaining }) => {
+        App.round.gameId = id;
+
+        // First COUNTDOWN of a round - betting just reopened
+        if (App.round.phase !== 'waiting') {
+            App.round.phase = 'waiting';
+            App.resetBetControls();
+            document.getElementById('haltText').innerText = 'NEXT ROUND';
+            App.showHaltOverlay();
+            document.getElementById('course-text').innerText = "Betting";
+        }
+        document.getElementById('countdownText').innerText = `Opening in ${(remaining / 1000).toFixed(1)}s`;
+    },
+
+    onGameStart: ({ id, allowLateBets, startTime, growthRate }) => {
+        App.round.gameId = id;
+        App.round.phase = 'running';
+        App.round.allowLateBets = allowLateBets;
+        App.round.startTime = startTime;
+        App.round.growthRate = growthRate;
+        App.round.crash = null;
+        App.syncPlayersRound();
+
         document.getElementById('multiplierDisplay').className = 'multiplier-display';
         document.getElementById('multiplierDisplay').innerText = '1.00x';
+        clearTimeout(App.haltTimer);
         document.getElementById('marketHaltOverlay').classList.remove('active');
-        document.getElementById('placeBetBtn').disabled = false;
-        document.getElementById('placeBetBtn').style.display = 'block';
-        document.getElementById('cashOutBtn').style.display = 'none';
-        document.getElementById('placeBetBtn').innerText = 'PLACE TRADE';
         document.getElementById('course-text').innerText = "Live";
 
-        // Reset Chart
-        App.chart.data = [{ x: 0, y: 1.0 }];
-        App.drawChart();
+        // Bets locked in during the countdown can now be cashed out, free slots wait for the next round
+        App.round.slots.forEach(({ betId }, slot) => {
+            if (betId) {
+                document.getElementById('cashOutBtn' + slot).innerText = 'CASH OUT' + App.autoCashOutLabel(slot);
+                document.getElementById('cashOutBtn' + slot).disabled = false;
+                document.getElementById('cashOutBtn' + slot).classList.add('active');
+                App.setTakeProfit(slot, true);
+            } else {
+                document.getElementById('placeBetBtn' + slot).disabled = !allowLateBets;
+            }
+        });
+    },
+
+    // The server only sends a TICK now and then - use it to keep our clock honest
+    onTick: ({ serverTime }) => {
+        App.nudgeClock(serverTime);
     },
 
-    onTick: ({ multiplier }) => {
-        // X can be just length for now, or timestamp
-        const xVal = App.chart.data.length * 0.1;
+    // Runs for as long as the game page is open - every frame is drawn from the clock,
+    // not from TICKs, so the curve moves smoothly whatever the network does
+    renderFrame: (now) => {
+        App.chart.frame = requestAnimationFrame(App.renderFrame);
+        const scene = App.replay ? App.replayScene(now) : App.liveScene(now);
+        App.chart.renderer.draw(scene);
 
-        App.chart.data.push({ x: xVal, y: multiplier });
-        if (App.chart.data.length > App.chart.maxPoints) {
-            App.chart.data.shift();
+        if (!App.replay && App.round.phase === 'running') {
+            const disp = document.getElementById('multiplierDisplay');
+            disp.innerText = scene.multiplier.toFixed(2) + 'x';
+            disp.classList.add('positive');
         }
-        App.drawChart(multiplier);
+    },
 
-        const disp = document.getElementById('multiplierDisplay');
-        disp.innerText = multiplier.toFixed(2) + 'x';
-        disp.classList.add('positive');
+    // The running round from elapsed server time, with the engine's own formula.
+    // A crashed round stays on the chart, candle and all, until the next one launches.
+    liveScene: (now) => {
+        const { phase, startTime, growthRate, crash } = App.round;
+        const running = phase === 'running';
+        const elapsed = running ? Math.max(0, App.serverNow() - startTime) : crash ? crash.elapsed : 0;
+        const gameId = running ? App.round.gameId : crash && crash.gameId;
+        return {
+            now: now,
+            elapsed: elapsed,
+            multiplier: running ? CrashEngine.multiplierAt(elapsed, growthRate) : crash ? crash.multiplier : 1,
+            curve: t => CrashEngine.multiplierAt(t, growthRate),
+            markers: gameId && App.playersGameId === gameId ? App.liveMarkers(elapsed) : [],
+            crash: running ? null : crash
+        };
+    },
+
+    // Our own entries, and every cash out the curve has reached - exits don't carry a
+    // time, but the multiplier pins down when on the curve they happened
+    liveMarkers: (elapsed) => {
+        const k = App.round.growthRate;
+        const playerId = App.ownPlayerId();
+        const markers = [];
+        App.players.forEach((bet) => {
+            const own = !!playerId && bet.playerId === playerId;
+            if (own) {
+                markers.push({ type: 'entry', t: CrashEngine.elapsedAt(bet.entryMultiplier, k), multiplier: bet.entryMultiplier, label: null, own: true });
+            }
+            bet.exits.forEach((exit) => {
+                markers.push({
+                    type: 'cashOut',
+                    t: CrashEngine.elapsedAt(exit.multiplier, k),
+                    multiplier: exit.multiplier,
+                    label: `${own ? 'You' : bet.username} ${exit.multiplier.toFixed(2)}x`,
+                    own: own
+                });
+            });
+        });
+        return markers.filter(m => m.t <= elapsed);
+    },
+
+    // The halt overlay waits for the crash candle to land before covering the chart
+    showHaltOverlay: () => {
+        const overlay = document.getElementById('marketHaltOverlay');
+        const crash = App.round.crash;
+        const wait = crash ? crash.at + ChartRenderer.CRASH_ANIMATION_MS - performance.now() : 0;
+
+        clearTimeout(App.haltTimer);
+        if (wait <= 0) {
+            overlay.classList.add('active');
+            return;
+        }
+        App.haltTimer = setTimeout(() => overlay.classList.add('active'), wait);
+    },
+
+    // Confirmations go to every tab of the account, so skip other rooms' bets
+    onBetConfirmed: ({ ticker, tournamentId, room, betId, slot, entryMultiplier, autoCashOut }) => {
+        if (!App.isOwnRoom(ticker, tournamentId, room)) return;
+
+        const running = App.round.phase === 'running';
+        App.round.slots[slot] = { betId, autoCashOut, exits: [] };
+
+        const btn = document.getElementById('cashOutBtn' + slot);
+        document.getElementById('placeBetBtn' + slot).style.display = 'none';
+        btn.style.display = 'block';
+        btn.classList.toggle('active', running);
+        btn.innerText = (running
+            ? 'CASH OUT'
+            : `LOCKED @ ${entryMultiplier.toFixed(2)}x`) + App.autoCashOutLabel(slot);
+        btn.disabled = !running;
+        document.getElementById('takeProfit' + slot).style.display = 'flex';
+        App.setTakeProfit(slot, running);
+        App.renderSlotExits(slot);
+    },
+
+    // Auto-bet cash-outs arrive here too - their bet ids match none of our slots.
+    // A partial exit leaves the slot live with whatever stake remains.
+    onCashout: ({ ticker, tournamentId, room, betId, stake, winAmount, multiplier, remaining, type }) => {
+        const slot = App.round.slots.findIndex(s => s.betId === betId);
+        if (!App.isOwnRoom(ticker, tournamentId, room) || slot === -1) return;
+
+        App.round.slots[slot].exits.push({ stake, winAmount, multiplier });
+        App.renderSlotExits(slot);
+        if (remaining > 0) {
+            document.getElementById('cashOutBtn' + slot).innerText = `CASH OUT ${remaining}` + App.autoCashOutLabel(slot);
+            return;
+        }
+
+        const btn = document.getElementById('cashOutBtn' + slot);
+        btn.innerText = `${type === 'auto' ? 'AUTO ' : ''}WON ${winAmount} @ ${multiplier.toFixed(2)}x`;
+        btn.disabled = true;
+        btn.classList.remove('active');
+        App.setTakeProfit(slot, false);
+    },
+
+    onAutoBetUpdate: (status) => {
+        App.autoBets[status.ticker] = status;
+        App.renderAutoBet();
+    },
+
+    renderAutoBet: () => {
+        const status = App.autoBets[App.ticker];
+        const btn = document.getElementById('autoBetBtn');
+        const label = document.getElementById('autoBetStatus');
+        const running = !!(status && status.running);
+
+        btn.innerText = running ? 'STOP AUTO' : 'START AUTO';
+        btn.classList.toggle('running', running);
+
+        if (!status) {
+            label.innerText = 'Off';
+            label.className = 'autobet-status';
+        } else {
+            const pl = (status.profit >= 0 ? '+' : '') + status.profit;
+            label.innerText = running
+                ? `${status.rounds} rounds · P/L ${pl} · next ${status.nextBet}`
+                : `Stopped: ${status.stopReason} · P/L ${pl}`;
+            label.className = 'autobet-status ' + (status.profit >= 0 ? 'positive' : 'negative');
+        }
+    },
+
+    // Server-authoritative wallet - the only place the balance is written
+    onBalanceUpdate: ({ balance, totalProfit }) => {
+        document.getElementById('crashCashBalance').innerText = balance;
+        document.getElementById('totalProfit').innerText = totalProfit;
+    },
+
+    // Pushed on connect and after every round we played - null while logged out
+    onStatsUpdate: (stats) => {
+        const pl = document.getElementById('sessionPL');
+        const profit = stats ? stats.session.profit : null;
+        pl.innerText = profit == null ? '-' : App.signed(profit);
+        pl.classList.toggle('negative', profit < 0);
+
+        if (document.getElementById('statsPage').classList.contains('active')) App.renderStats();
     },
 
-    onBetConfirmed: ({ amount }) => {
-        document.getElementById('placeBetBtn').style.display = 'none';
-        document.getElementById('cashOutBtn').style.display = 'block';
-        document.getElementById('cashOutBtn').classList.add('active');
-        document.getElementById('cashOutBtn').innerText = 'CASH OUT';
-        document.getElementById('cashOutBtn').disabled = false;
+    // Server errors are { code, message, event } - see lib/validation.js for the codes
+    onError: ({ code, message, event }) => {
+        // Chat errors show up under the chat instead, see bindChat
+        if (event && event.startsWith('CHAT_')) return;
+        // Mashing a button shouldn't turn into a wall of alerts
+        if (code === 'RATE_LIMITED') {
+            console.warn(`${event}: ${message}`);
+            return;
+        }
+        alert(message);
+        // The tournament ended or the private room closed before we got in
+        if (event === 'JOIN_TOURNAMENT' || event === 'JOIN_ROOM') App.exitGame();
     },
 
-    onCashout: ({ winAmount }) => {
-        document.getElementById('cashOutBtn').innerText = `WON ${winAmount}`;
-        document.getElementById('cashOutBtn').disabled = true;
-        // In real app, update balance here
+    // An admin paused or resumed the ticker - a paused room goes idle after its current round.
+    // A tournament's room pauses the same way for its last round.
+    onRoomStatus: ({ paused, phase }) => {
+        if (!paused || phase !== 'idle') {
+            document.getElementById('course-text').innerText = paused ? "Last Round" : (phase === 'running' ? "Live" : "Betting");
+            return;
+        }
+        if (App.showTournamentOver()) return;
+        document.getElementById('course-text').innerText = "Paused";
+        document.getElementById('haltText').innerText = 'MARKET CLOSED';
+        document.getElementById('countdownText').innerText = 'Trading is paused';
+        App.showHaltOverlay();
+        document.querySelectorAll('.place-bet-btn').forEach(btn => btn.disabled = true);
     },
 
-    onCrash: ({ crashPoint, results }) => {
+    onCrash: ({ id, crashPoint, outcome, results }) => {
+        // Rounds voided before launch never drew a curve to drop from
+        App.round.crash = App.round.phase === 'running'
+            ? { gameId: id, elapsed: CrashEngine.elapsedAt(crashPoint, App.round.growthRate), multiplier: crashPoint, at: performance.now() }
+            : null;
+        App.round.phase = 'crashed';
+
         const disp = document.getElementById('multiplierDisplay');
         disp.innerText = crashPoint.toFixed(2) + 'x';
         disp.classList.remove('positive');
         disp.classList.add('negative');
-        document.getElementById('marketHaltOverlay').classList.add('active');
+        // Admins can halt a round early or void it, refunding open bets
+        document.getElementById('haltText').innerText =
+            outcome === 'voided' ? 'ROUND VOIDED' : outcome === 'halted' ? 'TRADING HALTED' : 'MARKET HALT';
+        document.getElementById('countdownText').innerText = '';
+        App.showHaltOverlay();
+
+        document.querySelectorAll('.cash-out-btn').forEach((btn) => {
+            btn.disabled = true;
+            btn.classList.remove('active');
+        });
+        document.querySelectorAll('.take-profit-btn').forEach(btn => btn.disabled = true);
 
-        document.getElementById('cashOutBtn').disabled = true;
+        // Final results settle every bet still riding as lost
+        results.forEach(r => App.players.set(r.betId, r));
+        App.renderPlayers();
 
-        // Update History
-        App.updateHistory(crashPoint);
+        // Update History - our result is the sum over our bets (manual and auto-bet)
+        const playerId = App.ownPlayerId();
+        const own = results.filter(r => playerId && r.playerId === playerId);
+        App.history.unshift({
+            gameId: id,
+            crashPoint,
+            profit: own.length ? own.reduce((sum, r) => sum + r.profit, 0) : null,
+            exits: App.exitMultipliers(own)
+        });
+        App.history.length = Math.min(App.history.length, 20);
+        App.renderHistory();
     },
 
-    updateHistory: (crashPoint) => {
+    // BET_PLACED and PLAYER_CASHED_OUT both carry the full public bet
+    onPlayerBet: (bet) => {
+        App.syncPlayersRound();
+        App.players.set(bet.betId, bet);
+        App.renderPlayers();
+    },
+
+    // The last round's results stay up until the next round has bets of its own
+    syncPlayersRound: () => {
+        if (App.playersGameId === App.round.gameId) return;
+        App.playersGameId = App.round.gameId;
+        App.players.clear();
+        App.renderPlayers();
+    },
+
+    renderPlayers: () => {
+        const bets = Array.from(App.players.values()).sort((a, b) => b.amount - a.amount);
+
+        document.getElementById('playersList').innerHTML = bets.map((b) => {
+            // Crash results carry 'won'/'lost'/'partial', live bets are settled as far as they've cashed out
+            const exits = b.exits || [];
+            const status = b.result || (b.cashedOut ? 'won' : exits.length ? 'partial' : '');
+            const profit = status ? (b.profit >= 0 ? '+' : '') + b.profit : '-';
+            // One marker per exit, so a bet that took profit in steps shows each of them
+            const multiplier = exits.length > 1
+                ? exits.map(e => `<span class="exit-marker">${e.multiplier.toFixed(2)}x</span>`).join('')
+                : b.multiplier ? b.multiplier.toFixed(2) + 'x' : '-';
+            return `
+                <tr class="${status}">
+                    <td>${App.escape(b.username)}</td>
+                    <td>${b.amount}</td>
+                    <td>${multiplier}</td>
+                    <td>${profit}</td>
+                </tr>
+            `;
+        }).join('');
+
+        const settled = bets.filter(b => b.result || b.cashedOut);
+        document.getElementById('playersCount').innerText = new Set(bets.map(b => b.playerId)).size;
+        document.getElementById('playersWagered').innerText = bets.reduce((sum, b) => sum + b.amount, 0);
+        document.getElementById('playersProfit').innerText = settled.reduce((sum, b) => sum + b.profit, 0);
+    },
+
+    // --- Chat ---
+
+    onChatHistory: ({ channel, messages }) => {
+        App.chat.messages[channel] = messages;
+        if (channel !== 'global') {
+            App.chat.ticker = channel;
+            document.getElementById('chatTickerTab').dataset.channel = channel;
+            // A private room's channel is `room:<code>`
+            document.getElementById('chatTickerTab').innerText = channel.startsWith('room:') ? 'Room' : '$' + channel;
+        }
+        App.setChatChannel(App.chat.channel);
+    },
+
+    onChatMessage: (message) => {
+        const messages = App.chat.messages[message.channel] = App.chat.messages[message.channel] || [];
+        messages.push(message);
+        if (messages.length > 100) messages.shift();
+        if (message.channel === App.chat.channel) App.renderChat();
+    },
+
+    // A player was banned from chat - their messages go from every channel
+    onChatPurge: ({ playerId }) => {
+        Object.keys(App.chat.messages).forEach((channel) => {
+            App.chat.messages[channel] = App.chat.messages[channel].filter(m => m.playerId !== playerId);
+        });
+        App.renderChat();
+    },
+
+    onChatStatus: ({ moderator, restriction }) => {
+        App.chat.moderator = moderator;
+        App.chat.restriction = restriction;
+        if (!restriction) {
+            App.showChatNote(moderator ? 'Moderator: /mute name minutes, /ban name, /lift name' : '');
+        } else {
+            App.showChatNote(restriction.type === 'ban'
+                ? 'You are banned from chat'
+                : `You are muted until ${new Date(restriction.until).toLocaleTimeString()}`);
+        }
+    },
+
+    // The ticker tab only exists while the live socket is watching a ticker
+    setChatChannel: (channel) => {
+        App.chat.channel = channel && channel === App.chat.ticker ? channel : 'global';
+        document.getElementById('chatTickerTab').style.display = App.chat.ticker ? 'block' : 'none';
+        document.querySelectorAll('.chat-tab').forEach(t => t.classList.toggle('active', t.dataset.channel === App.chat.channel));
+        App.renderChat();
+    },
+
+    renderChat: () => {
+        const container = document.getElementById('chatMessages');
+        const ownId = App.playerId;
+        container.innerHTML = (App.chat.messages[App.chat.channel] || []).map((m) => {
+            if (m.system) return `<div class="chat-message system">${App.escape(m.text)}</div>`;
+            return `
+                <div class="chat-message ${m.playerId === ownId ? 'own' : ''}">
+                    <span class="chat-user ${m.moderator ? 'moderator' : ''}">${App.escape(m.username)}</span>
+                    ${App.escape(m.text)}
+                </div>
+            `;
+        }).join('');
+        container.scrollTop = container.scrollHeight;
+    },
+
+    // Moderators type /mute, /ban and /lift - everything else is a message
+    sendChat: () => {
+        const socket = App.transports.live;
+        const input = document.getElementById('chatInput');
+        const text = input.value.trim();
+        if (!text || !socket) return;
+
+        const command = App.chat.moderator && text.match(/^\/(mute|ban|lift)\s+(\S+)(?:\s+(\d+))?(?:\s+(.+))?$/);
+        if (command) {
+            const [, action, username, minutes, reason] = command;
+            socket.emit('CHAT_MODERATE', {
+                action: action,
+                username: username,
+                minutes: minutes ? parseInt(minutes) : undefined,
+                reason: reason
+            }, (result) => {
+                App.showChatNote(action === 'lift'
+                    ? `Lifted ${result.username}'s restriction`
+                    : `${action === 'ban' ? 'Banned' : 'Muted'} ${result.username}`);
+            });
+        } else {
+            socket.emit('CHAT_SEND', { channel: App.chat.channel === 'global' ? 'global' : 'ticker', text: text });
+        }
+        input.value = '';
+    },
+
+    showChatNote: (text) => {
+        document.getElementById('chatNote').innerText = text;
+    },
+
+    // Last 20 archived rounds of the joined ticker or private room, with our own result on each
+    loadHistory: async () => {
+        const { ticker, roomCode } = App;
+        const scope = roomCode ? `room=${roomCode}` : `ticker=${ticker}`;
+        const { rounds } = await App.api(`/api/rounds?${scope}&limit=20`);
+        const own = App.token && rounds.length
+            ? (await App.api(`/api/me/bets?${scope}&from=${rounds[rounds.length - 1].startTime}&limit=100`)).bets
+            : [];
+        if (ticker !== App.ticker || roomCode !== App.roomCode) return;
+
+        const profits = new Map();
+        own.forEach(b => profits.set(b.gameId, (profits.get(b.gameId) || 0) + b.profit));
+        const ownBets = new Map();
+        own.forEach(b => ownBets.set(b.gameId, (ownBets.get(b.gameId) || []).concat(b)));
+
+        // Rounds that crashed while we were loading are newer than anything returned
+        const loaded = new Set(rounds.map(r => r.gameId));
+        const firstLoaded = App.history.findIndex(h => loaded.has(h.gameId));
+        const newer = firstLoaded === -1 ? App.history : App.history.slice(0, firstLoaded);
+
+        App.history = newer.concat(rounds.map(r => ({
+            gameId: r.gameId,
+            crashPoint: r.crashPoint,
+            profit: profits.has(r.gameId) ? profits.get(r.gameId) : null,
+            exits: App.exitMultipliers(ownBets.get(r.gameId) || [])
+        }))).slice(0, 20);
+        App.renderHistory();
+    },
+
+    renderHistory: () => {
         const container = document.getElementById('gameHistory');
-        const div = document.createElement('div');
-        div.className = 'history-item';
-        div.innerHTML = `
-            <span class="history-multiplier ${crashPoint >= 2 ? 'won' : 'lost'}">${crashPoint.toFixed(2)}x</span>
-            <span class="history-amount">-</span>
-        `;
-        container.prepend(div);
-        if (container.children.length > 20) container.lastChild.remove();
+        container.innerHTML = '';
+        App.history.forEach(({ gameId, crashPoint, profit, exits = [] }) => {
+            const div = document.createElement('div');
+            div.className = 'history-item';
+            div.title = 'Replay round ' + gameId;
+            div.onclick = () => App.openReplay(gameId);
+            div.innerHTML = `
+                <span class="history-multiplier ${crashPoint >= 2 ? 'won' : 'lost'}">${crashPoint.toFixed(2)}x</span>
+                <span class="history-amount ${profit == null ? '' : profit >= 0 ? 'won' : 'lost'}">${profit == null ? '-' : (profit >= 0 ? '+' : '') + profit}</span>
+                ${exits.length ? `<span class="history-exits">${exits.map(m => m.toFixed(2) + 'x').join(' ')}</span>` : ''}
+            `;
+            container.appendChild(div);
+        });
     },
 
-    // --- Helpers ---
-    showPage: (id) => {
-        document.querySelectorAll('.page').forEach(p => p.classList.remove('active'));
-        document.getElementById(id).classList.add('active');
+    // --- Stats ---
+
+    showStats: () => {
+        App.showPage('statsPage');
+        App.renderStats();
     },
 
-    closeModal: (id) => document.getElementById(id).classList.remove('active'),
+    setStatsScope: (scope) => {
+        App.statsScope = scope;
+        document.querySelectorAll('.stats-tab').forEach(b => b.classList.toggle('active', b.dataset.scope === scope));
+        App.renderStats();
+    },
+
+    renderStats: () => {
+        const all = App.stats[App.mode];
+        document.getElementById('statsNote').innerText = App.mode === 'practice'
+            ? 'Practice stats - play money only'
+            : all ? '' : 'Log in to track your stats';
+
+        const stats = all ? all[App.statsScope] : PlayerStats.summarize(PlayerStats.emptyStats(Date.now()));
+        const percent = value => (value == null ? '-' : (value * 100).toFixed(1) + '%');
+        const multiplier = value => (value == null ? '-' : value.toFixed(2) + 'x');
+        const fields = {
+            statsProfit: [App.signed(stats.profit), stats.profit < 0],
+            statsRounds: [stats.rounds, false],
+            statsWinRate: [percent(stats.winRate), false],
+            statsRoi: [percent(stats.roi), stats.roi < 0],
+            statsAvgMultiplier: [multiplier(stats.averageMultiplier), false],
+            statsBestMultiplier: [multiplier(stats.bestMultiplier), false],
+            statsBiggestWin: [stats.biggestWin, false]
+        };
+        Object.entries(fields).forEach(([id, [text, negative]]) => {
+            document.getElementById(id).innerText = text;
+            document.getElementById(id).classList.toggle('negative', negative);
+        });
+
+        const tbody = document.getElementById('statsTickers');
+        tbody.innerHTML = '';
+        stats.tickers.forEach((t) => {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td>$${t.ticker}</td>
+                <td>${t.rounds}</td>
+                <td>${percent(t.winRate)}</td>
+                <td>${t.wagered}</td>
+                <td class="${t.profit < 0 ? 'negative' : 'positive'}">${App.signed(t.profit)}</td>
+                <td class="${t.roi < 0 ? 'negative' : 'positive'}">${percent(t.roi)}</td>
+            `;
+            tbody.appendChild(tr);
+        });
 
-    drawChart: (currentMult = 1.0) => {
-        const ctx = App.chart.ctx;
-        const w = App.chart.canvas.width;
-        const h = App.chart.canvas.height;
-        const data = App.chart.data;
+        App.drawStatsChart(stats);
+    },
 
+    // Cumulative P/L over time, from zero at the start of the session or history
+    drawStatsChart: ({ startedAt, curve }) => {
+        const canvas = document.getElementById('statsChart');
+        const dpr = window.devicePixelRatio || 1;
+        const w = canvas.clientWidth;
+        const h = canvas.clientHeight;
+        canvas.width = Math.round(w * dpr);
+        canvas.height = Math.round(h * dpr);
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
         ctx.clearRect(0, 0, w, h);
+
+        // Dropped points leave the curve starting part-way through the history
+        const points = curve.length && curve.length < PlayerStats.CURVE_LIMIT ? [[startedAt, 0], ...curve] : curve;
+        ctx.font = '11px sans-serif';
+        ctx.fillStyle = '#8892a6';
+        if (points.length < 2) {
+            ctx.textAlign = 'center';
+            ctx.fillText('Play a few rounds to see your P/L curve', w / 2, h / 2);
+            return;
+        }
+
+        const left = 60;
+        const bottom = h - 20;
+        const t0 = points[0][0];
+        const t1 = points[points.length - 1][0];
+        const min = Math.min(0, ...points.map(p => p[1]));
+        const max = Math.max(0, ...points.map(p => p[1]));
+        const toX = t => left + ((t - t0) / (t1 - t0 || 1)) * (w - left - 10);
+        const toY = v => 10 + (1 - (v - min) / (max - min || 1)) * (bottom - 10);
+
+        // Zero line, range and time span labels
+        ctx.strokeStyle = '#2a3441';
         ctx.beginPath();
-        ctx.strokeStyle = '#00ff88';
-        ctx.lineWidth = 3;
+        ctx.moveTo(left, toY(0));
+        ctx.lineTo(w - 10, toY(0));
+        ctx.stroke();
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        [max, 0, min].forEach(v => ctx.fillText(App.signed(v), left - 8, toY(v)));
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText(new Date(t0).toLocaleString(), left, bottom + 6);
+        ctx.textAlign = 'right';
+        ctx.fillText(new Date(t1).toLocaleString(), w - 10, bottom + 6);
+
+        ctx.beginPath();
+        points.forEach(([t, v], i) => (i === 0 ? ctx.moveTo(toX(t), toY(v)) : ctx.lineTo(toX(t), toY(v))));
+        ctx.strokeStyle = points[points.length - 1][1] < 0 ? '#ff3366' : '#00ff88';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    },
 
-        const minX = data[0].x;
-        const maxX = data[data.length - 1].x;
-        const rangeX = maxX - minX || 1;
+    // --- Leaderboard ---
 
-        const maxY = currentMult * 1.1;
-        const minY = 1.0;
-        const rangeY = maxY - minY || 0.1;
+    showLeaderboard: () => {
+        App.showPage('leaderboardPage');
+        document.getElementById('leaderboardNavBtn').classList.remove('has-news');
+        App.loadLeaderboard();
+    },
 
-        for (let i = 0; i < data.length; i++) {
-            const p = data[i];
-            const x = ((p.x - minX) / rangeX) * w;
-            const normalizedY = (p.y - minY) / rangeY;
-            const y = h - (normalizedY * h);
+    // key: metric | period | ticker
+    setLeaderboard: (key, value) => {
+        App.leaderboard[key] = value;
+        document.querySelectorAll(`.stats-tab[data-${key}]`).forEach(b => b.classList.toggle('active', b.dataset[key] === value));
+        App.loadLeaderboard();
+    },
 
-            if (i === 0) ctx.moveTo(x, y);
-            else ctx.lineTo(x, y);
+    loadLeaderboard: async (message = '') => {
+        const { metric, period, ticker } = App.leaderboard;
+        const note = document.getElementById('leaderboardNote');
+        try {
+            const board = await App.api(`/api/leaderboard?metric=${metric}&period=${period}&ticker=${ticker}`);
+            App.renderLeaderboard(board);
+            note.innerText = App.mode === 'practice' ? 'Leaderboards rank live play only' : message;
+        } catch (err) {
+            note.innerText = 'Leaderboard unavailable: ' + err.message;
         }
-        ctx.stroke();
-    }
+    },
+
+    renderLeaderboard: ({ metric, entries }) => {
+        const format = {
+            profit: value => App.signed(value),
+            multiplier: value => value.toFixed(2) + 'x',
+            rounds: value => value
+        }[metric];
+        document.getElementById('leaderboardValueHeader').innerText =
+            { profit: 'Profit', multiplier: 'Best Cash Out', rounds: 'Rounds' }[metric];
+
+        const tbody = document.getElementById('leaderboardList');
+        tbody.innerHTML = '';
+        if (!entries.length) {
+            tbody.innerHTML = '<tr><td colspan="4">No settled trades yet</td></tr>';
+            return;
+        }
+        entries.forEach((entry) => {
+            const tr = document.createElement('tr');
+            if (App.playerId && entry.playerId === App.playerId) tr.className = 'own';
+            tr.innerHTML = `
+                <td>${entry.rank}</td>
+                <td>${App.escape(entry.username)}</td>
+                <td>${format(entry.value)}</td>
+                <td>${entry.rounds}</td>
+            `;
+            tbody.appendChild(tr);
+        });
+    },
+
+    // Every board announces its new #1 - the one on screen reloads, otherwise the nav button lights up
+    // Every board that got a new #1 in the same round arrives together
+    onLeaderboardLeader: ({ leaders }) => {
+        const page = document.getElementById('leaderboardPage');
+        if (!page.classList.contains('active')) {
+            document.getElementById('leaderboardNavBtn').classList.add('has-news');
+            return;
+        }
+
+        const board = App.leaderboard;
+        const shown = leaders.find(l => l.metric === board.metric && l.period === board.period && (l.ticker || '') === board.ticker);
+        if (shown) App.loadLeaderboard(`${shown.username} is the new #1`);
+    },
+
+    // --- Tournaments ---
+
+    showTournaments: () => {
+        App.showPage('tournamentsPage');
+        document.getElementById('tournamentsNavBtn').classList.remove('has-news');
+        App.loadTournaments();
+    },
+
+    loadTournaments: async () => {
+        const note = document.getElementById('tournamentsNote');
+        try {
+            App.tournaments = await App.api('/api/tournaments');
+            App.renderTournaments();
+            note.innerText = App.mode === 'practice' ? 'Tournaments are played live - PLAY switches to live mode' : '';
+        } catch (err) {
+            note.innerText = 'Tournaments unavailable: ' + err.message;
+        }
+    },
+
+    renderTournaments: () => {
+        const list = document.getElementById('tournamentList');
+        if (!App.tournaments.length) {
+            list.innerHTML = '<p class="mode-note">No tournaments scheduled yet</p>';
+            return;
+        }
+
+        list.innerHTML = App.tournaments.map((t) => {
+            const registered = App.isRegistered(t);
+            const status = {
+                scheduled: `Starts ${new Date(t.startsAt).toLocaleString()}`,
+                running: 'Running',
+                finished: 'Finished',
+                cancelled: `Cancelled - ${t.reason}`
+            }[t.status];
+
+            let actions = '';
+            if (t.status === 'scheduled') {
+                actions = registered
+                    ? `<button class="modal-btn secondary" onclick="registerTournament('${t.id}', false)">UNREGISTER</button>`
+                    : `<button class="modal-btn primary" onclick="registerTournament('${t.id}', true)">REGISTER</button>`;
+            } else if (t.status === 'running') {
+                actions = `<button class="modal-btn ${registered ? 'primary' : 'secondary'}" onclick="playTournament('${t.id}')">${registered ? 'PLAY' : 'WATCH'}</button>`;
+            }
+            const results = (t.results || []).filter(r => r.prize).map(r => `
+                <div class="${r.playerId === App.playerId ? 'positive' : ''}">#${r.rank} ${App.escape(r.username)} - ${r.stack} → ${r.prize} CC</div>
+            `).join('');
+
+            return `
+                <div class="tournament-card ${t.status}">
+                    <div class="tournament-title">
+                        <span>${App.escape(t.name)}</span>
+                        <span>$${t.ticker}</span>
+                    </div>
+                    <div class="tournament-status">${App.escape(status)}${registered ? ' · Registered' : ''}</div>
+                    <div class="tournament-details">
+                        <span>Length <span>${t.rounds ? `${t.rounds} rounds` : `${t.minutes} min`}</span></span>
+                        <span>Stack <span>${t.stack}</span></span>
+                        <span>Entry <span>${t.entryFee || 'Free'}</span></span>
+                        <span>Prize Pool <span>${t.pool}</span></span>
+                        <span>Players <span>${t.players}</span></span>
+                        ${t.status === 'running' ? `<span>Played <span>${t.roundsPlayed}</span></span>` : ''}
+                    </div>
+                    ${results ? `<div class="tournament-results">${results}</div>` : ''}
+                    <div class="tournament-actions">${actions}</div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    // The entry fee comes off the main wallet, BALANCE_UPDATE follows
+    registerTournament: async (tournamentId, register) => {
+        if (!App.token) {
+            document.getElementById('loginModal').classList.add('active');
+            return;
+        }
+        try {
+            const tournament = await App.api(`/api/tournaments/${tournamentId}/${register ? 'register' : 'unregister'}`, { method: 'POST' });
+            App.onTournamentUpdate(tournament);
+        } catch (err) {
+            alert(err.message);
+        }
+    },
+
+    // Broadcast to every player - new ones light up the nav button
+    onTournamentUpdate: (tournament) => {
+        const index = App.tournaments.findIndex(t => t.id === tournament.id);
+        if (index === -1) {
+            App.tournaments.unshift(tournament);
+            document.getElementById('tournamentsNavBtn').classList.add('has-news');
+        } else {
+            App.tournaments[index] = tournament;
+        }
+        if (document.getElementById('tournamentsPage').classList.contains('active')) App.renderTournaments();
+
+        if (tournament.id !== App.tournamentId || !App.tournament) return;
+        App.tournament = tournament;
+        App.renderTournamentGame();
+        App.showTournamentOver();
+    },
+
+    onTournamentStandings: ({ tournamentId, roundsPlayed, standings }) => {
+        if (tournamentId !== App.tournamentId || !App.tournament) return;
+        App.tournament.roundsPlayed = roundsPlayed;
+        App.tournament.standings = standings;
+        App.renderTournamentGame();
+    },
+
+    renderTournamentGame: () => {
+        const { name, standings } = App.tournament;
+        const own = standings.find(s => s.playerId === App.playerId);
+        document.getElementById('tournamentName').innerText = name;
+        document.getElementById('tournamentStack').innerText = own ? `${own.stack} (#${own.rank})` : 'Watching';
+        App.renderTournamentProgress();
+
+        const tbody = document.getElementById('standingsList');
+        tbody.innerHTML = '';
+        standings.forEach((entry) => {
+            const tr = document.createElement('tr');
+            if (entry === own) tr.className = 'own';
+            tr.innerHTML = `
+                <td>${entry.rank}</td>
+                <td>${App.escape(entry.username)}</td>
+                <td>${entry.stack}</td>
+            `;
+            tbody.appendChild(tr);
+        });
+    },
+
+    // Rounds left, or the clock of a timed tournament - ticks every second
+    renderTournamentProgress: () => {
+        const t = App.tournament;
+        if (!t) return;
+
+        let text = t.status === 'running' ? '' : t.status === 'finished' ? 'Finished' : 'Cancelled';
+        if (!text && t.rounds) {
+            text = `Round ${Math.min(t.roundsPlayed + 1, t.rounds)} / ${t.rounds}`;
+        } else if (!text) {
+            const left = Math.max(0, t.endsAt - App.serverNow());
+            const seconds = Math.ceil(left / 1000);
+            text = left ? `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')} left` : 'Final Round';
+        }
+        document.getElementById('tournamentProgress').innerText = text;
+    },
+
+    // Our place and prize on the halt overlay - false while the tournament is still on
+    showTournamentOver: () => {
+        const t = App.tournament;
+        if (!t || (t.status !== 'finished' && t.status !== 'cancelled')) return false;
+
+        const own = (t.results || []).find(r => r.playerId === App.playerId);
+        let text = t.status === 'cancelled' ? 'Entry fees have been refunded' : `Winner: ${t.results[0].username}`;
+        if (own) text = `You finished #${own.rank} with ${own.stack}` + (own.prize ? ` and won ${own.prize} CC` : '');
+
+        document.getElementById('course-text').innerText = t.status === 'cancelled' ? "Cancelled" : "Finished";
+        document.getElementById('haltText').innerText = t.status === 'cancelled' ? 'TOURNAMENT CANCELLED' : 'TOURNAMENT OVER';
+        document.getElementById('countdownText').innerText = text;
+        App.showHaltOverlay();
+        document.querySelectorAll('.place-bet-btn').forEach(btn => btn.disabled = true);
+        return true;
+    },
+
+    // --- Replays ---
+    // A finished round re-animated from its recorded samples. The live round keeps running
+    // underneath (only its drawing is held back) and reappears when the replay closes.
+
+    openReplay: async (gameId) => {
+        const replay = App.mode === 'practice'
+            ? App.transports.practice.replay(gameId)
+            : await App.api(`/api/rounds/${encodeURIComponent(gameId)}/replay`).catch(err => ({ error: err.message }));
+        if (replay.error) {
+            alert(replay.error);
+            return;
+        }
+
+        App.closeReplay();
+        App.replay = {
+            ...replay,
+            duration: replay.samples[replay.samples.length - 1][0],
+            position: 0, // ms after launch
+            playing: true,
+            lastFrame: null,
+            endedAt: null // frame the replay reached the crash at, for the candle drop
+        };
+        document.getElementById('replayScrub').max = App.replay.duration;
+        document.getElementById('replayPlayBtn').innerText = 'PAUSE';
+        document.getElementById('replayBar').classList.add('active');
+    },
+
+    closeReplay: () => {
+        if (!App.replay) return;
+        App.replay = null;
+        document.getElementById('replayBar').classList.remove('active');
+    },
+
+    // Play/pause - playing again from the end starts over
+    toggleReplay: () => {
+        const replay = App.replay;
+        if (!replay) return;
+
+        replay.playing = !replay.playing;
+        replay.lastFrame = null;
+        if (replay.playing && replay.position >= replay.duration) replay.position = 0;
+        document.getElementById('replayPlayBtn').innerText = replay.playing ? 'PAUSE' : 'PLAY';
+    },
+
+    scrubReplay: (position) => {
+        if (!App.replay) return;
+        App.replay.position = Number(position);
+        App.replay.lastFrame = null;
+    },
+
+    // Plays in real time from wherever the scrubber left it, along the recorded samples
+    // rather than the formula, with a marker for every cash out the curve has passed
+    replayScene: (now) => {
+        const replay = App.replay;
+        if (replay.playing) {
+            if (replay.lastFrame !== null) {
+                replay.position = Math.min(replay.duration, replay.position + now - replay.lastFrame);
+            }
+            replay.lastFrame = now;
+            if (replay.position >= replay.duration) App.toggleReplay();
+        }
+
+        const { samples, cashOuts, crashPoint, outcome, duration, position, gameId } = replay;
+        const ended = position >= duration;
+        if (!ended) replay.endedAt = null;
+        else if (replay.endedAt === null) replay.endedAt = now;
+
+        const curve = t => App.sampleAt(samples, t);
+        const playerId = App.ownPlayerId();
+        const multiplier = ended ? crashPoint : curve(position);
+
+        document.getElementById('replayScrub').value = position;
+        document.getElementById('replayLabel').innerText =
+            `${gameId} · ${(position / 1000).toFixed(1)}s · ${multiplier.toFixed(2)}x` + (ended ? ` · ${outcome.toUpperCase()}` : '');
+
+        return {
+            now: now,
+            elapsed: position,
+            multiplier: multiplier,
+            curve: curve,
+            markers: cashOuts.filter(c => c.t <= position).map(c => ({
+                type: 'cashOut',
+                t: c.t,
+                multiplier: c.multiplier,
+                label: `${c.username} ${c.multiplier.toFixed(2)}x`,
+                own: !!playerId && c.playerId === playerId
+            })),
+            crash: ended ? { elapsed: duration, multiplier: crashPoint, at: replay.endedAt } : null
+        };
+    },
+
+    // Straight lines between a replay's samples - they are close enough to look like the curve
+    sampleAt: (samples, t) => {
+        const next = samples.findIndex(([time]) => time >= t);
+        if (next <= 0) return next === 0 ? samples[0][1] : samples[samples.length - 1][1];
+
+        const [t0, m0] = samples[next - 1];
+        const [t1, m1] = samples[next];
+        return m0 + (m1 - m0) * (t - t0) / (t1 - t0);
+    },
+
+    // Full bet history as CSV - fetched with the session header, then handed to the browser
+    exportBets: async () => {
+        const res = await fetch('/api/me/bets?format=csv', {
+            headers: App.token ? { Authorization: `Bearer ${App.token}` } : {}
+        });
+        if (!res.ok) {
+            alert((await res.json()).error);
+            return;
+        }
+
+        const url = URL.createObjectURL(await res.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'crash-street-bets.csv';
+        link.click();
+        URL.revokeObjectURL(url);
+    },
+
+
+    // --- Redemptions ---
+
+    showRedeemModal: () => {
+        document.getElementById('redeemModal').classList.add('active');
+        App.updateRedeemValue();
+        App.loadRedemptions();
+    },
+
+    // 1,000 CC = $1
+    updateRedeemValue: () => {
+        const amount = parseInt(document.getElementById('redeemAmount').value) || 0;
+        document.getElementById('redeemValue').innerText = (amount / 1000).toFixed(2);
+    },
+
+    redeemCash: async () => {
+        try {
+            const request = await App.api('/api/redemptions', {
+                method: 'POST',
+                body: { amount: parseInt(document.getElementById('redeemAmount').value) }
+            });
+            alert(`Redemption of ${request.amount} CC ($${request.usd.toFixed(2)}) is pending review`);
+            App.loadRedemptions();
+        } catch (err) {
+            alert(err.message);
+        }
+    },
+
+    loadRedemptions: async () => {
+        if (!App.token) return;
+        const requests = await App.api('/api/redemptions');
+        document.getElementById('redeemHistory').innerHTML = requests.map(r => `
+            <div class="redeem-item">
+                <span>${new Date(r.createdAt).toLocaleDateString()} · ${r.amount} CC ($${r.usd.toFixed(2)})</span>
+                <span class="redeem-status ${r.status}">${r.status}</span>
+            </div>
+        `).join('');
+    },
+
+    // --- Referrals ---
+
+    showEnterCodeModal: async () => {
+        document.getElementById('enterCodeModal').classList.add('active');
+        if (!App.token) return;
+
+        const summary = await App.api('/api/referrals');
+        const names = summary.referred.map(r => r.username).join(', ');
+        document.getElementById('referralSummary').innerText =
+            `Code ${summary.referralCode} · ${summary.referred.length} referred` +
+            (names ? ` (${names})` : '') + ` · ${summary.earned} CC earned` +
+            (summary.referredBy ? ` · Referred by ${summary.referredBy}` : '');
+    },
+
+    redeemReferral: async () => {
+        try {
+            const { bonus, referrer } = await App.api('/api/referrals/redeem', {
+                method: 'POST',
+                body: { code: document.getElementById('referralInput').value }
+            });
+            alert(`${bonus} CC bonus credited - referred by ${referrer}`);
+            App.closeModal('enterCodeModal');
+        } catch (err) {
+            alert(err.message);
+        }
+    },
+
+    // --- Provably Fair ---
+    // Recomputes a revealed round locally, mirroring lib/fairness.js with the shared engine's math
+
+    showVerifyModal: (gameId) => {
+        if (typeof gameId === 'string') document.getElementById('verifyGameId').value = gameId;
+        document.getElementById('verifyResult').innerHTML = '';
+        document.getElementById('verifyModal').classList.add('active');
+    },
+
+    verifyRound: async () => {
+        const gameId = document.getElementById('verifyGameId').value.trim();
+        const out = document.getElementById('verifyResult');
+        if (!gameId) return;
+
+        const res = await fetch(`/api/verify/${encodeURIComponent(gameId)}`);
+        const round = await res.json();
+        if (!res.ok) {
+            out.innerText = round.error;
+            return;
+        }
+        if (!round.seed) {
+            out.innerText = 'Round still running - the seed is revealed when it crashes';
+            return;
+        }
+
+        const hashOk = (await App.sha256Hex(round.seed)) === round.hash;
+        const crashPoint = await App.crashPointFromSeed(round.seed, round.clientSeed, round);
+        // Halted and voided rounds were cut short, so they can only end below the seed's crash point
+        const cutShort = round.status === 'halted' || round.status === 'voided';
+        const crashOk = cutShort ? round.crashPoint <= crashPoint : crashPoint === round.crashPoint;
+
+        out.innerHTML = `
+            <div>Seed hash: <span class="${hashOk ? 'positive' : 'negative'}">${hashOk ? 'MATCH' : 'MISMATCH'}</span></div>
+            <div>Computed crash: <span class="${crashOk ? 'positive' : 'negative'}">${crashPoint.toFixed(2)}x</span>
+                (reported ${round.crashPoint.toFixed(2)}x${cutShort ? `, ${round.status} by an admin` : ''})</div>
+            <div class="verify-seed">Server seed: ${round.seed}</div>
+            <div class="verify-seed">Client seed: ${round.clientSeed}</div>
+        `;
+    },
+
+    crashPointFromSeed: async (serverSeed, clientSeed, { houseEdge, maxMultiplier }) => {
+        const hmac = await App.hmacSha256Hex(serverSeed, clientSeed);
+        const r = parseInt(hmac.slice(0, 13), 16) / Math.pow(2, 52);
+        return CrashEngine.crashPointFromRandom(r, { houseEdge, maxMultiplier });
+    },
+
+    sha256Hex: async (text) => {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return App.toHex(digest);
+    },
+
+    hmacSha256Hex: async (key, text) => {
+        const enc = new TextEncoder();
+        const cryptoKey = await crypto.subtle.importKey(
+            'raw', enc.encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+        return App.toHex(await crypto.subtle.sign('HMAC', cryptoKey, enc.encode(text)));
+    },
+
+    toHex: (buffer) => Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join(''),
+
+    // --- Helpers ---
+    escape: (text) => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`),
+
+    api: async (url, { method = 'GET', body } = {}) => {
+        const headers = { 'Content-Type': 'application/json' };
+        if (App.token) headers.Authorization = `Bearer ${App.token}`;
+
+        const res = await fetch(url, { method, headers, body: body && JSON.stringify(body) });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || res.statusText);
+        return data;
+    },
+
+    // P/L with its sign, e.g. +120 or -40
+    signed: value => (value > 0 ? '+' : '') + value,
+
+    // Whether a confirmation belongs to the room on screen - a ticker, or a tournament or private room on it
+    isOwnRoom: (ticker, tournamentId, room) => ticker === App.ticker &&
+        (tournamentId || null) === App.tournamentId && (room || null) === App.roomCode,
+
+    isRegistered: tournament => Boolean(App.playerId) && tournament.standings.some(s => s.playerId === App.playerId),
+
+    // Practice bets all belong to the one local player
+    ownPlayerId: () => App.mode === 'practice' ? GameServer.PLAYER_ID : App.playerId,
+
+    autoCashOutLabel: (slot) => {
+        const target = App.round.slots[slot].autoCashOut;
+        return target ? ` · AUTO ${target.toFixed(2)}x` : '';
+    },
+
+    setTakeProfit: (slot, enabled) => {
+        document.querySelectorAll(`#takeProfit${slot} .take-profit-btn`).forEach(btn => btn.disabled = !enabled);
+    },
+
+    renderSlotExits: (slot) => {
+        document.getElementById('slotExits' + slot).innerText = App.round.slots[slot].exits
+            .map(e => `${e.stake} → ${e.winAmount} @ ${e.multiplier.toFixed(2)}x`)
+            .join(' · ');
+    },
+
+    // Every exit multiplier of our bets in a round - lowest first, which is the order they were taken
+    exitMultipliers: (bets) => bets
+        .reduce((all, b) => all.concat(b.exits || []), [])
+        .map(e => e.multiplier)
+        .sort((a, b) => a - b),
+
+    // Frees every bet slot rendered in .bet-slots
+    resetBetControls: () => {
+        App.round.slots = Array.from(document.querySelectorAll('.bet-slot'), () => ({ betId: null, autoCashOut: null, exits: [] }));
+        App.round.slots.forEach((s, slot) => {
+            document.getElementById('placeBetBtn' + slot).disabled = false;
+            document.getElementById('placeBetBtn' + slot).style.display = 'block';
+            document.getElementById('placeBetBtn' + slot).innerText = 'PLACE TRADE';
+            document.getElementById('cashOutBtn' + slot).style.display = 'none';
+            document.getElementById('takeProfit' + slot).style.display = 'none';
+            App.renderSlotExits(slot);
+        });
+    },
+
+    showPage: (id) => {
+        document.querySelectorAll('.page').forEach(p => p.classList.remove('active'));
+        document.getElementById(id).classList.add('active');
+    },
+
+    closeModal: (id) => document.getElementById(id).classList.remove('active')
 };
 
 window.onload = App.init;
@@ -205,9 +1624,35 @@ window.register = App.login;
 window.startGame = App.startGame;
 window.placeBet = App.placeBet;
 window.cashOut = App.cashOut;
-window.setBetAmount = (amt) => document.getElementById('betAmount').value = amt;
+window.toggleAutoBet = App.toggleAutoBet;
+window.toggleAutoBetRules = App.toggleAutoBetRules;
+window.setBetAmount = (amt, slot = 0) => document.getElementById('betAmount' + slot).value = amt;
 window.showPage = App.showPage;
-window.logout = () => location.reload();
-window.showRedeemModal = () => document.getElementById('redeemModal').classList.add('active');
-window.redeemCash = () => alert("Not implemented in prototype");
-window.showEnterCodeModal = () => document.getElementById('enterCodeModal').classList.add('active');
+window.exitGame = App.exitGame;
+window.showStats = App.showStats;
+window.setStatsScope = App.setStatsScope;
+window.showLeaderboard = App.showLeaderboard;
+window.setLeaderboard = App.setLeaderboard;
+window.showTournaments = App.showTournaments;
+window.registerTournament = App.registerTournament;
+window.playTournament = App.playTournament;
+window.joinRoom = App.joinRoom;
+window.showRoomModal = App.showRoomModal;
+window.createRoom = App.createRoom;
+window.copyRoomLink = App.copyRoomLink;
+window.logout = App.logout;
+window.showRedeemModal = App.showRedeemModal;
+window.updateRedeemValue = App.updateRedeemValue;
+window.redeemCash = App.redeemCash;
+window.showEnterCodeModal = App.showEnterCodeModal;
+window.redeemReferral = App.redeemReferral;
+window.showVerifyModal = App.showVerifyModal;
+window.verifyRound = App.verifyRound;
+window.exportBets = App.exportBets;
+window.setMode = App.setMode;
+window.setChatChannel = App.setChatChannel;
+window.sendChat = App.sendChat;
+window.toggleReplay = App.toggleReplay;
+window.scrubReplay = App.scrubReplay;
+window.closeReplay = App.closeReplay;
+window.verifyReplay = () => App.showVerifyModal(App.replay.gameId);
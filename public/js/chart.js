@@ -0,0 +1,234 @@
+/**
+ * Chart Renderer
+ * Draws a round on the chart canvas: the curve in the ticker's colour, auto-scaling
+ * multiplier and time axes, entry and cash-out markers, and the crash candle.
+ *
+ * It draws whatever scene it is handed - App builds one per animation frame from the
+ * live round or a replay, so network ticks never drive the drawing. The canvas backing
+ * store follows devicePixelRatio, so the chart stays sharp on high-DPI screens.
+ */
+
+const CRASH_ANIMATION_MS = 900;
+const MIN_TIME_SPAN = 10000; // ms on the time axis before the curve needs more
+const MIN_MULTIPLIER_SPAN = 2; // top of the multiplier axis before the curve needs more
+const PADDING = { top: 20, right: 20, bottom: 28, left: 52 };
+
+// Same colours as the risk badges on the ticker cards
+const THEMES = {
+    safe: '#00ff88',
+    moderate: '#ffaa00',
+    balanced: '#00aaff',
+    risky: '#ff6633',
+    extreme: '#ff3366'
+};
+
+const COLORS = {
+    grid: 'rgba(136, 146, 166, 0.15)',
+    label: '#8892a6',
+    crashed: '#8892a6',
+    candle: '#ff3366',
+    entry: '#ffffff',
+    cashOut: '#00aaff',
+    ownCashOut: '#00ff88'
+};
+
+class ChartRenderer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.color = THEMES.safe;
+        this.width = 0; // CSS pixels
+        this.height = 0;
+    }
+
+    setTheme(risk) {
+        this.color = THEMES[risk] || THEMES.safe;
+    }
+
+    // scene: {
+    //   now         - animation frame timestamp
+    //   elapsed     - ms since launch the curve has reached (0 before launch)
+    //   multiplier  - where the curve is now
+    //   curve(t)    - multiplier at t ms
+    //   markers     - [{ type: 'entry' | 'cashOut', t, multiplier, label, own }]
+    //   crash       - { elapsed, multiplier, at } once the round ended, at being when it was seen
+    // }
+    draw(scene) {
+        this._resize();
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.width, this.height);
+        if (!this.width || !this.height) return;
+
+        const scale = this._scale(scene);
+        this._drawAxes(scale);
+        this._drawCurve(scene, scale);
+        this._drawMarkers(scene.markers, scale);
+        if (scene.crash) this._drawCrash(scene.crash, scale, scene.now);
+    }
+
+    // --- Private Methods ---
+
+    // Keeps the backing store at the element's size times devicePixelRatio
+    _resize() {
+        const dpr = window.devicePixelRatio || 1;
+        this.width = this.canvas.clientWidth;
+        this.height = this.canvas.clientHeight;
+
+        const width = Math.round(this.width * dpr);
+        const height = Math.round(this.height * dpr);
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+
+    // Both axes grow with the curve, so the round always fits from its launch
+    _scale({ elapsed, multiplier, markers }) {
+        const peak = Math.max(multiplier, ...markers.map(m => m.multiplier));
+        const timeSpan = Math.max(MIN_TIME_SPAN, elapsed * 1.15);
+        const top = Math.max(MIN_MULTIPLIER_SPAN, 1 + (peak - 1) * 1.2);
+
+        const left = PADDING.left;
+        const right = this.width - PADDING.right;
+        const bottom = this.height - PADDING.bottom;
+        return {
+            left, right, top: PADDING.top, bottom,
+            timeSpan, multiplierTop: top,
+            x: t => left + (t / timeSpan) * (right - left),
+            y: m => bottom - ((m - 1) / (top - 1)) * (bottom - PADDING.top)
+        };
+    }
+
+    _drawAxes(scale) {
+        const ctx = this.ctx;
+        ctx.lineWidth = 1;
+        ctx.font = '11px sans-serif';
+        ctx.fillStyle = COLORS.label;
+        ctx.strokeStyle = COLORS.grid;
+
+        // Multiplier gridlines on round multiples of the step, from 1.00x up
+        const yStep = niceStep((scale.multiplierTop - 1) / Math.max(2, (scale.bottom - scale.top) / 50));
+        const decimals = yStep < 1 ? 2 : Number.isInteger(yStep) ? 0 : 1;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let i = Math.ceil(1 / yStep); i * yStep <= scale.multiplierTop + 1e-9; i++) {
+            const m = i * yStep;
+            const y = Math.round(scale.y(m)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(scale.left, y);
+            ctx.lineTo(scale.right, y);
+            ctx.stroke();
+            ctx.fillText(m.toFixed(decimals) + 'x', scale.left - 8, y);
+        }
+
+        // Time gridlines in seconds since launch
+        const xStep = niceStep(scale.timeSpan / 1000 / Math.max(2, (scale.right - scale.left) / 90)) * 1000;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let t = 0; t <= scale.timeSpan; t += xStep) {
+            const x = Math.round(scale.x(t)) + 0.5;
+            ctx.beginPath();
+            ctx.moveTo(x, scale.top);
+            ctx.lineTo(x, scale.bottom);
+            ctx.stroke();
+            ctx.fillText(Number((t / 1000).toFixed(1)) + 's', x, scale.bottom + 8);
+        }
+    }
+
+    // Sampled every few pixels, filled underneath, greyed out once the round has crashed
+    _drawCurve({ elapsed, curve, crash }, scale) {
+        const ctx = this.ctx;
+        const color = crash ? COLORS.crashed : this.color;
+        const steps = Math.max(2, Math.ceil((scale.x(elapsed) - scale.left) / 3));
+        const points = [];
+        for (let i = 0; i <= steps; i++) {
+            const t = elapsed * i / steps;
+            points.push([scale.x(t), scale.y(curve(t))]);
+        }
+
+        ctx.beginPath();
+        points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.lineTo(points[points.length - 1][0], scale.bottom);
+        ctx.lineTo(scale.left, scale.bottom);
+        ctx.closePath();
+        ctx.fillStyle = color + '22';
+        ctx.fill();
+
+        ctx.beginPath();
+        points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3;
+        ctx.lineJoin = 'round';
+        ctx.stroke();
+
+        if (!crash) {
+            const [x, y] = points[points.length - 1];
+            ctx.beginPath();
+            ctx.arc(x, y, 5, 0, Math.PI * 2);
+            ctx.fillStyle = color;
+            ctx.fill();
+        }
+    }
+
+    // Entries are triangles, cash outs dots - only our own are labelled once the chart gets busy
+    _drawMarkers(markers, scale) {
+        const ctx = this.ctx;
+        const labelAll = markers.length <= 8;
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+
+        markers.forEach((marker) => {
+            const x = scale.x(marker.t);
+            const y = scale.y(marker.multiplier);
+            ctx.beginPath();
+            if (marker.type === 'entry') {
+                ctx.moveTo(x, y - 7);
+                ctx.lineTo(x - 6, y + 5);
+                ctx.lineTo(x + 6, y + 5);
+                ctx.closePath();
+                ctx.fillStyle = COLORS.entry;
+            } else {
+                ctx.arc(x, y, 4, 0, Math.PI * 2);
+                ctx.fillStyle = marker.own ? COLORS.ownCashOut : COLORS.cashOut;
+            }
+            ctx.fill();
+
+            if (marker.label && (labelAll || marker.own)) {
+                ctx.fillText(marker.label, Math.min(x + 8, scale.right - ctx.measureText(marker.label).width), y - 6);
+            }
+        });
+    }
+
+    // A red candle drops from the crash point to the axis, easing out
+    _drawCrash({ elapsed, multiplier, at }, scale, now) {
+        const ctx = this.ctx;
+        const progress = Math.min(1, Math.max(0, (now - at) / CRASH_ANIMATION_MS));
+        const eased = 1 - Math.pow(1 - progress, 3);
+        const x = scale.x(elapsed);
+        const top = scale.y(multiplier);
+        const end = top + (scale.bottom - top) * eased;
+
+        ctx.strokeStyle = COLORS.candle;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x, top - 10);
+        ctx.lineTo(x, end + 6 * eased);
+        ctx.stroke();
+
+        ctx.fillStyle = COLORS.candle;
+        ctx.fillRect(x - 6, top, 12, Math.max(2, end - top));
+    }
+}
+
+// 1, 2, 2.5 or 5 times a power of ten, at least raw
+function niceStep(raw) {
+    const power = Math.pow(10, Math.floor(Math.log10(raw)));
+    return [1, 2, 2.5, 5, 10].map(f => f * power).find(step => step >= raw);
+}
+
+// How long the crash candle takes to drop, so App can hold the halt overlay back until it lands
+ChartRenderer.CRASH_ANIMATION_MS = CRASH_ANIMATION_MS;
+
+window.ChartRenderer = ChartRenderer;
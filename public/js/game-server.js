@@ -0,0 +1,194 @@
+/**
+ * Practice Game Server
+ * Runs a ticker's rounds in the browser for offline practice, with play money.
+ *
+ * The rules come from the shared engine (/shared/engine.js, the same module as the
+ * server's game rooms); this class adds the practice wallet and the events the server
+ * would send to the player (BET_CONFIRMED, CASHOUT_SUCCESS, BALANCE_UPDATE, STATS_UPDATE,
+ * ERROR) so the UI runs unchanged on top of it. The practice wallet and stats live in
+ * their own localStorage keys and never touch the real Crash Cash balance.
+ */
+
+const PRACTICE_WALLET_KEY = 'cs_practice_wallet';
+const PRACTICE_STATS_KEY = 'cs_practice_stats';
+const PRACTICE_PLAYER_ID = 'practice';
+
+class GameServer {
+    constructor() {
+        this._subscribers = [];
+        this._engine = null; // engine of the joined ticker
+        this._history = {}; // symbol -> crash history, kept across joins
+        this._replays = new Map(); // gameId -> replay of a finished round, the same shape as /api/rounds/:id/replay
+        this._config = {
+            startingBalance: 5000
+        };
+
+        // Load from "Database" (LocalStorage, separate from the real wallet)
+        this._wallet = this._loadWallet();
+        // A practice session lasts as long as the page
+        this._stats = { session: PlayerStats.emptyStats(Date.now()), lifetime: this._loadStats() };
+        this._forward = (event, data) => this._emit(event, data);
+    }
+
+    // --- Public API (Simulates Socket Events) ---
+
+    subscribe(callback) {
+        this._subscribers.push(callback);
+        // Send the practice wallet straight away, like the server does on connect
+        callback('BALANCE_UPDATE', { ...this._wallet });
+        callback('STATS_UPDATE', this._statsSummary());
+    }
+
+    joinTicker(modeId) {
+        const ticker = Tickers.findTicker(modeId);
+        if (!ticker) return this._error('JOIN_TICKER', 'UNKNOWN_TICKER', 'Unknown ticker');
+
+        this.leaveTicker();
+        this._history[ticker.symbol] = this._history[ticker.symbol] || [];
+
+        const engine = new CrashEngine.GameEngine(ticker, {
+            wallet: this._walletAdapter(),
+            history: this._history[ticker.symbol]
+        });
+        engine.on('broadcast', this._forward);
+        engine.on('autoCashOut', (accountId, result) => this._emit('CASHOUT_SUCCESS', result));
+        engine.on('roundEnd', round => this._keepReplay(ticker, round));
+        engine.on('roundEnd', round => this._recordStats(ticker, round));
+        this._engine = engine;
+
+        engine.startGame();
+        this._emit('INITIAL_STATE', { ...engine.getPublicState(), activeBets: [] });
+        return { success: true };
+    }
+
+    // Leaving voids the round, so a stake that hasn't settled comes back - it's only play money
+    leaveTicker() {
+        const engine = this._engine;
+        if (!engine) return;
+
+        this._engine = null;
+        engine.off('broadcast', this._forward);
+        engine.pause();
+        engine.voidRound();
+    }
+
+    placeBet(amount, autoCashOut, slot = 0) {
+        if (!this._engine) return this._error('PLACE_BET', 'NO_TICKER', 'Join a ticker first');
+
+        const result = this._engine.placeBet(PRACTICE_PLAYER_ID, {
+            amount: amount,
+            autoCashOut: autoCashOut,
+            slot: slot,
+            accountId: PRACTICE_PLAYER_ID,
+            playerId: PRACTICE_PLAYER_ID,
+            username: 'You'
+        });
+        if (result.error) return this._error('PLACE_BET', 'BET_REJECTED', result.error);
+
+        this._emit('BET_CONFIRMED', result);
+        return result;
+    }
+
+    cashOut(slot = 0, percent = 100) {
+        if (!this._engine) return this._error('CASH_OUT', 'CASHOUT_REJECTED', 'Game not active');
+
+        const result = this._engine.cashOut(PRACTICE_PLAYER_ID, { slot, percent });
+        if (result.error) return this._error('CASH_OUT', 'CASHOUT_REJECTED', result.error);
+
+        this._emit('CASHOUT_SUCCESS', result);
+        return result;
+    }
+
+    getReplay(gameId) {
+        return this._replays.get(gameId) || { error: 'No replay for this round' };
+    }
+
+    // --- Private Methods ---
+
+    // As many replays as the history panel can show
+    _keepReplay(ticker, { gameId, crashPoint, outcome, startTime, timeline }) {
+        if (!timeline) return;
+        this._replays.set(gameId, { gameId, ticker: ticker.symbol, crashPoint, outcome, startTime, ...timeline });
+        if (this._replays.size > 20) {
+            this._replays.delete(this._replays.keys().next().value);
+        }
+    }
+
+    // Every bet in a practice round is ours
+    _recordStats(ticker, { startTime, results }) {
+        const round = { ticker: ticker.symbol, time: startTime, bets: results };
+        const counted = [this._stats.session, this._stats.lifetime].map(stats => PlayerStats.recordRound(stats, round));
+        if (!counted.includes(true)) return;
+
+        localStorage.setItem(PRACTICE_STATS_KEY, JSON.stringify(this._stats.lifetime));
+        this._emit('STATS_UPDATE', this._statsSummary());
+    }
+
+    _statsSummary() {
+        return {
+            session: PlayerStats.summarize(this._stats.session),
+            lifetime: PlayerStats.summarize(this._stats.lifetime)
+        };
+    }
+
+    // The engine's wallet adapter, backed by the practice balance
+    _walletAdapter() {
+        return {
+            debit: (accountId, amount) => {
+                if (amount > this._wallet.balance) return { error: 'Insufficient funds' };
+                this._wallet.balance -= amount;
+                this._saveWallet();
+                return { balance: this._wallet.balance };
+            },
+            settle: (accountId, winAmount, profit) => {
+                this._wallet.balance += winAmount;
+                this._wallet.totalProfit += profit;
+                this._saveWallet();
+            }
+        };
+    }
+
+    _error(event, code, message) {
+        this._emit('ERROR', { code, message, event });
+        return { error: message };
+    }
+
+    _emit(event, data) {
+        this._subscribers.forEach(cb => cb(event, data));
+    }
+
+    _loadWallet() {
+        const saved = localStorage.getItem(PRACTICE_WALLET_KEY);
+        if (saved) {
+            try {
+                return JSON.parse(saved);
+            } catch (e) {
+                console.error("Practice wallet corrupted, starting over");
+            }
+        }
+        return { balance: this._config.startingBalance, totalProfit: 0 };
+    }
+
+    _loadStats() {
+        const saved = localStorage.getItem(PRACTICE_STATS_KEY);
+        if (saved) {
+            try {
+                return JSON.parse(saved);
+            } catch (e) {
+                console.error("Practice stats corrupted, starting over");
+            }
+        }
+        return PlayerStats.emptyStats(Date.now());
+    }
+
+    // Every wallet change is saved and pushed, like the server's BALANCE_UPDATE
+    _saveWallet() {
+        localStorage.setItem(PRACTICE_WALLET_KEY, JSON.stringify(this._wallet));
+        this._emit('BALANCE_UPDATE', { ...this._wallet });
+    }
+}
+
+// The practice player's id in round results, so the UI can find its own bets
+GameServer.PLAYER_ID = PRACTICE_PLAYER_ID;
+
+window.GameServer = GameServer;
@@ -8,241 +8,1051 @@ const express = require('express');
 const http = require('http');
 const socketIO = require('socket.io');
 const path = require('path');
+const crypto = require('crypto');
+const { sha256, verifyRound, ChainStore } = require('./lib/fairness');
+const { TICKERS, findTicker } = require('./lib/tickers');
+const GameRoom = require('./lib/game-room');
+const JsonStore = require('./lib/store');
+const Accounts = require('./lib/accounts');
+const { AutoBetManager } = require('./lib/autobet');
+const Referrals = require('./lib/referrals');
+const Redemptions = require('./lib/redemptions');
+const RoundArchive = require('./lib/round-archive');
+const StatsTracker = require('./lib/stats-tracker');
+const { Leaderboard } = require('./lib/leaderboard');
+const { Tournaments } = require('./lib/tournaments');
+const { PrivateRooms } = require('./lib/private-rooms');
+const { GLOBAL_CHANNEL, Chat } = require('./lib/chat');
+const { CONFIG_SCHEMA, validateConfig, AuditLog } = require('./lib/admin');
+const { ERROR_CODES, validateEvent } = require('./lib/validation');
+const { TokenBucket, RateLimiter } = require('./lib/rate-limit');
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIO(server);
 
 const PORT = process.env.PORT || 3000;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || ''; // admin routes are disabled when unset
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 
-// Game State
-const gameState = {
-    running: false,
-    multiplier: 1.00,
-    crashPoint: 0,
-    startTime: 0,
-    crashed: false,
-    gameId: null,
-    history: []
-};
+// Persistent accounts and wallets
+const store = new JsonStore(path.join(DATA_DIR, 'accounts.json'));
+const accounts = new Accounts(store);
+const referrals = new Referrals(store, accounts);
+const redemptions = new Redemptions(store, accounts);
+
+// Every finished round with its seeds and bets, kept across restarts
+const archive = new RoundArchive(path.join(DATA_DIR, 'rounds.jsonl'));
+
+// Lifetime stats come from the archive, session stats from the rounds since the player connected
+const stats = new StatsTracker(archive);
+stats.on('update', (accountId) => {
+    io.to(`account:${accountId}`).emit('STATS_UPDATE', stats.summary(accountId));
+});
 
-// Active bets per socket
-const activeBets = new Map(); // socketId -> { amount, cashedOut, profit }
+// Rankings over the public tickers' archived rounds - banned players are left off. New #1s are
+// announced once per round: a ticker board's to the players watching that ticker, the global
+// boards' to everyone.
+const leaderboard = new Leaderboard(archive, {
+    tickers: TICKERS.map(ticker => ticker.symbol),
+    isListed: (accountId) => {
+        const account = accounts.get(accountId);
+        return Boolean(account) && !account.banned;
+    }
+});
+leaderboard.on('leaders', (leaders) => {
+    const global = leaders.filter(leader => !leader.ticker);
+    const ticker = leaders.find(leader => leader.ticker);
+    if (!ticker) {
+        io.emit('LEADERBOARD_LEADER', { leaders });
+        return;
+    }
+    const channel = rooms.get(ticker.ticker).channel;
+    io.to(channel).emit('LEADERBOARD_LEADER', { leaders });
+    if (global.length) io.except(channel).emit('LEADERBOARD_LEADER', { leaders: global });
+});
+
+// Every admin action, whether it went through or not
+const audit = new AuditLog(path.join(DATA_DIR, 'audit.jsonl'));
+
+// Global chat reaches every player socket, a ticker's or private room's chat only the sockets watching it.
+// A private room's chat channel is named after its Socket.IO room, `room:<code>`.
+const chat = new Chat(store);
+chat.on('message', (message) => {
+    const target = message.channel === GLOBAL_CHANNEL
+        ? io
+        : io.to(rooms.has(message.channel) ? rooms.get(message.channel).channel : message.channel);
+    target.emit('CHAT_MESSAGE', message);
+});
+chat.on('purge', (playerId) => io.emit('CHAT_PURGE', { playerId }));
+
+// Every socket of an account sits in its own room so balance pushes reach all tabs
+accounts.on('balance', (account) => {
+    io.to(`account:${account.id}`).emit('BALANCE_UPDATE', {
+        balance: account.balance,
+        totalProfit: account.totalProfit
+    });
+});
 
 // Config
 const CONFIG = {
-    tickRate: 30, // ms between ticks
-    growthRate: 0.15
+    tickRate: 30, // ms between server-side crash and auto cash-out checks
+    syncRate: 1000, // ms between TICK syncs - clients draw the curve themselves in between
+    bettingDuration: 5000, // ms of betting countdown before each round
+    minBet: 10, // CC per bet
+    maxBet: 250000,
+    allowLateBets: process.env.ALLOW_LATE_BETS === 'true', // accept bets while the curve is running
+    historyLimit: 50, // crash points sent in INITIAL_STATE
+    pageSizeLimit: 100, // most rounds or bets per archive page
+    roundRecordLimit: 1000, // in-flight and recent rounds kept in memory, older ones come from the archive
+    bigWinShare: 0.9 // cash outs this far of the way from 1x to the ticker's cap are announced in global chat
+};
+
+// Token buckets - per socket for each event, and per IP across all of its sockets
+const RATE_LIMITS = {
+    events: {
+        TIME_SYNC: { capacity: 10, refillRate: 1 },
+        JOIN_TICKER: { capacity: 5, refillRate: 1 },
+        JOIN_TOURNAMENT: { capacity: 5, refillRate: 1 },
+        CREATE_ROOM: { capacity: 2, refillRate: 0.1 },
+        JOIN_ROOM: { capacity: 5, refillRate: 1 },
+        PLACE_BET: { capacity: 5, refillRate: 2 },
+        CASH_OUT: { capacity: 5, refillRate: 2 },
+        AUTOBET_START: { capacity: 3, refillRate: 0.2 },
+        CHAT_SEND: { capacity: 3, refillRate: 1 }, // the chat adds its own limit per account
+        default: { capacity: 10, refillRate: 2 }
+    },
+    ip: { capacity: 60, refillRate: 20 }, // events per IP
+    auth: { capacity: 5, refillRate: 0.2 }, // login and logout requests per IP - each login hashes a password
+    connections: { capacity: 10, refillRate: 0.5 } // new sockets per IP
+};
+const ipLimiter = new RateLimiter(RATE_LIMITS.ip);
+const connectionLimiter = new RateLimiter(RATE_LIMITS.connections);
+const authLimiter = new RateLimiter(RATE_LIMITS.auth);
+
+// Optional room overrides from the environment, held to the same schema as admin changes.
+// GROWTH_RATE replaces every ticker's own growth rate, so leave it unset normally.
+const ENV_CONFIG = validateConfig(Object.fromEntries(
+    [['tickRate', process.env.TICK_RATE], ['growthRate', process.env.GROWTH_RATE]]
+        .filter(([, value]) => value)
+        .map(([key, value]) => [key, Number(value)])
+));
+if (ENV_CONFIG.error) {
+    throw new Error(`Invalid environment config: ${ENV_CONFIG.error}`);
+}
+
+// Provably fair state - the client seed is public, each ticker has its own chain. The ticker
+// chains are saved with the client seed they were committed with, so a restart carries on with
+// them (a changed CLIENT_SEED only applies from the next chain), and every commitment is logged.
+const fairnessStore = new JsonStore(path.join(DATA_DIR, 'fairness.json'));
+const fairness = {
+    clientSeed: process.env.CLIENT_SEED || 'crash-street',
+    chains: new ChainStore(fairnessStore),
+    rounds: new Map() // gameId -> { gameId, ticker, hash, seed, clientSeed, crashPoint, ... }
+};
+
+// Every room starts from the same settings - admins tune the ticker rooms from there
+const ROOM_CONFIG = {
+    tickRate: CONFIG.tickRate,
+    syncRate: CONFIG.syncRate,
+    bettingDuration: CONFIG.bettingDuration,
+    minBet: CONFIG.minBet,
+    maxBet: CONFIG.maxBet,
+    allowLateBets: CONFIG.allowLateBets,
+    historyLimit: CONFIG.historyLimit,
+    ...ENV_CONFIG.config
 };
 
-let gameLoop = null;
+// One independent game loop per ticker
+const rooms = new Map(); // symbol -> GameRoom
+TICKERS.forEach((ticker) => {
+    const bigWin = 1 + (ticker.maxMultiplier - 1) * CONFIG.bigWinShare;
+    const room = new GameRoom(io, ticker, {
+        clientSeed: fairness.clientSeed,
+        chains: fairness.chains,
+        wallet: accounts,
+        config: { ...ROOM_CONFIG },
+        // Pick the crash history back up from before a restart
+        history: archive.list({ ticker: ticker.symbol, room: null, tournament: null, limit: CONFIG.historyLimit }).rounds.map(round => ({
+            gameId: round.gameId,
+            crashPoint: round.crashPoint,
+            timestamp: round.endTime
+        }))
+    });
+    room.on('roundStart', recordRound);
+    room.on('autoCashOut', (accountId, result) => {
+        io.to(`account:${accountId}`).emit('CASHOUT_SUCCESS', result);
+    });
+    room.on('broadcast', (event, bet) => {
+        if (event === 'PLAYER_CASHED_OUT' && bet.multiplier >= bigWin) {
+            chat.system(GLOBAL_CHANNEL, `${bet.username} cashed out ${bet.multiplier.toFixed(2)}x on $${ticker.symbol}`);
+        }
+    });
+    room.on('roundEnd', round => archiveRound(ticker.symbol, round));
+    rooms.set(ticker.symbol, room);
+});
+
+// Tournament rounds run in rooms of their own, paid from the tournament stacks. They are archived
+// (tagged with the tournament id) so their seeds can be verified for good, but stay out of
+// round history, stats and leaderboards.
+const tournaments = new Tournaments(store, accounts, {
+    createRoom: (tournament, wallet) => {
+        const ticker = findTicker(tournament.ticker);
+        const room = new GameRoom(io, ticker, {
+            channel: `tournament:${tournament.id}`,
+            // The ticker's own room opens rounds too - the id keeps the two apart
+            roundPrefix: `${ticker.symbol}-${tournament.id}`,
+            clientSeed: fairness.clientSeed,
+            wallet: wallet,
+            config: { ...ROOM_CONFIG }
+        });
+        room.on('roundStart', recordRound);
+        room.on('autoCashOut', (accountId, result) => {
+            io.to(`account:${accountId}`).emit('CASHOUT_SUCCESS', { ...result, tournamentId: tournament.id });
+        });
+        room.on('roundEnd', round => archiveRound(ticker.symbol, round, { tournament: tournament.id }));
+        return room;
+    }
+});
+tournaments.on('update', (tournament) => {
+    io.emit('TOURNAMENT_UPDATE', tournaments.toPublic(tournament));
+});
+tournaments.on('standings', (tournament) => {
+    io.to(`tournament:${tournament.id}`).emit('TOURNAMENT_STANDINGS', {
+        tournamentId: tournament.id,
+        roundsPlayed: tournament.roundsPlayed,
+        standings: tournaments.standings(tournament)
+    });
+});
+
+// Player-hosted rooms - real Crash Cash, so their rounds are archived (tagged with the room code)
+// and show in the players' bet history. Hosts pick their own settings, so the rounds stay out of
+// stats and leaderboards, and only members see them live.
+const privateRooms = new PrivateRooms({
+    config: ROOM_CONFIG,
+    createRoom: (code, ticker, config) => {
+        const room = new GameRoom(io, ticker, {
+            channel: `room:${code}`,
+            label: `ROOM ${code}`,
+            roundPrefix: `${ticker.symbol}-${code}`,
+            clientSeed: fairness.clientSeed,
+            wallet: accounts,
+            config: { ...ROOM_CONFIG, ...config }
+        });
+        room.on('roundStart', recordRound);
+        room.on('autoCashOut', (accountId, result) => {
+            io.to(`account:${accountId}`).emit('CASHOUT_SUCCESS', { ...result, room: code });
+        });
+        room.on('roundEnd', round => archiveRound(ticker.symbol, round, { room: code }));
+        return room;
+    }
+});
+privateRooms.on('closed', ({ room }) => chat.close(room.channel));
+
+redemptions.on('update', (request) => {
+    io.to(`account:${request.accountId}`).emit('REDEMPTION_UPDATE', request);
+});
+
+// Server-side auto-bet strategies, reported to every tab of the owning account
+const autoBets = new AutoBetManager(rooms, accounts);
+autoBets.on('update', (accountId, status) => {
+    io.to(`account:${accountId}`).emit('AUTOBET_UPDATE', status);
+});
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
+// UMD modules shared with the browser - listed one by one, the rest of lib/ stays server-side
+const SHARED_MODULES = ['tickers.js', 'engine.js', 'stats.js'];
+SHARED_MODULES.forEach((file) => {
+    app.get(`/shared/${file}`, (req, res) => res.sendFile(path.join(__dirname, 'lib', file)));
+});
+app.use(express.json());
+
+// Resolves the Bearer session token to an account
+function requireAccount(req, res, next) {
+    const token = (req.get('Authorization') || '').replace(/^Bearer /, '');
+    const account = accounts.getBySession(token);
+    if (!account) {
+        return res.status(401).json({ error: 'Login required' });
+    }
+    req.account = account;
+    req.token = token;
+    next();
+}
+
+// Auth routes share one token bucket per IP
+function limitAuth(req, res, next) {
+    if (!authLimiter.take(req.ip)) {
+        return res.status(429).json({ error: 'Too many attempts, try again later' });
+    }
+    next();
+}
+
+// Admin routes take the shared ADMIN_TOKEN in the X-Admin-Token header
+function requireAdmin(req, res, next) {
+    if (!isAdminToken(req.get('X-Admin-Token'))) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+}
+
+function isAdminToken(value) {
+    const token = Buffer.from(String(value || ''));
+    const expected = Buffer.from(ADMIN_TOKEN);
+    return Boolean(ADMIN_TOKEN) && token.length === expected.length && crypto.timingSafeEqual(token, expected);
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({ status: 'ok', uptime: process.uptime() });
 });
 
+// Login or register - returns a session token for the socket handshake
+app.post('/api/auth/login', limitAuth, (req, res, next) => {
+    accounts.login(req.body || {}, req.ip).then((result) => {
+        if (result.error) {
+            return res.status(400).json(result);
+        }
+        res.json(result);
+    }).catch(next);
+});
+
+app.post('/api/auth/logout', limitAuth, requireAccount, (req, res) => {
+    accounts.logout(req.token);
+    res.json({ success: true });
+});
+
+app.get('/api/me', requireAccount, (req, res) => {
+    res.json(accounts.toPublic(req.account));
+});
+
+// Session and lifetime stats - the same summary STATS_UPDATE pushes after each round
+app.get('/api/me/stats', requireAccount, (req, res) => {
+    res.json(stats.summary(req.account.id));
+});
+
+// Referral code owner, referred players and bonuses earned
+app.get('/api/referrals', requireAccount, (req, res) => {
+    res.json(referrals.summary(req.account.id));
+});
+
+app.post('/api/referrals/redeem', requireAccount, (req, res) => {
+    const result = referrals.redeem(req.account.id, (req.body || {}).code, req.ip);
+    if (result.error) {
+        return res.status(400).json(result);
+    }
+    res.json(result);
+});
+
+// Crash Cash redemptions - the amount is held in escrow until an admin reviews it
+app.get('/api/redemptions', requireAccount, (req, res) => {
+    res.json(redemptions.list(req.account.id));
+});
+
+app.post('/api/redemptions', requireAccount, (req, res) => {
+    const result = redemptions.request(req.account.id, (req.body || {}).amount);
+    if (result.error) {
+        return res.status(400).json(result);
+    }
+    res.json(result);
+});
+
+app.get('/api/admin/redemptions', requireAdmin, (req, res) => {
+    res.json(redemptions.listAll(req.query.status));
+});
+
+// action: approve | reject | pay
+app.post('/api/admin/redemptions/:id', requireAdmin, (req, res) => {
+    const { action, note } = req.body || {};
+    const result = redemptions.review(req.params.id, action, note);
+    audit.record(`rest:${req.ip}`, 'REVIEW_REDEMPTION', { id: req.params.id, action, note }, result);
+    if (result.error) {
+        return res.status(400).json(result);
+    }
+    res.json(result);
+});
+
+// Ticker settings, the live state is pushed over the socket on JOIN_TICKER
+app.get('/api/tickers', (req, res) => {
+    res.json(TICKERS.map(ticker => {
+        const { growthRate, minBet, maxBet } = rooms.get(ticker.symbol).config;
+        return { ...ticker, growthRate, minBet, maxBet };
+    }));
+});
+
+// Current seed chain commitments and the parameters needed to verify rounds, with every
+// commitment ever made - a chain replaced before it ran out would show up there
+app.get('/api/fairness', (req, res) => {
+    res.json({
+        clientSeed: fairness.clientSeed,
+        tickers: Array.from(rooms.values()).map(room => ({
+            ticker: room.ticker.symbol,
+            clientSeed: room.clientSeed,
+            commitment: room.chain.commitment,
+            chainLength: room.chain.length,
+            played: room.chain.played,
+            houseEdge: room.ticker.houseEdge,
+            maxMultiplier: room.ticker.maxMultiplier
+        })),
+        commitments: fairness.chains.history()
+    });
+});
+
+// Seed data for a single round - the seed is only revealed once it has crashed
+app.get('/api/verify/:gameId', (req, res) => {
+    // Older rounds have dropped out of memory but are still in the archive
+    const round = fairness.rounds.get(req.params.gameId) || archive.get(req.params.gameId);
+    if (!round) {
+        return res.status(404).json({ error: 'Round not found' });
+    }
+    res.json(verifyRound(round));
+});
+
+// Archived rounds, newest first - ?ticker=&from=&to=&page=&limit=
+app.get('/api/rounds', (req, res) => {
+    const filters = RoundArchive.parseQuery(req.query, CONFIG.pageSizeLimit);
+    if (filters.error) {
+        return res.status(400).json(filters);
+    }
+    res.json(archive.list({ room: null, tournament: null, ...filters }));
+});
+
+app.get('/api/rounds/:id', (req, res) => {
+    const round = archive.get(req.params.id);
+    if (!round) {
+        return res.status(404).json({ error: 'Round not found' });
+    }
+    res.json(round);
+});
+
+// Curve samples and cash outs to re-animate a finished round - rounds archived before replays existed have none
+app.get('/api/rounds/:id/replay', (req, res) => {
+    const round = archive.get(req.params.id);
+    if (!round) {
+        return res.status(404).json({ error: 'Round not found' });
+    }
+    if (!round.timeline) {
+        return res.status(404).json({ error: 'No replay for this round' });
+    }
+
+    res.json({
+        gameId: round.gameId,
+        ticker: round.ticker,
+        crashPoint: round.crashPoint,
+        outcome: round.outcome,
+        startTime: round.startTime,
+        ...round.timeline
+    });
+});
+
+// One board: ?metric=profit|multiplier|rounds&period=daily|weekly|all&ticker=&limit=
+app.get('/api/leaderboard', (req, res) => {
+    const { metric = 'profit', period = 'daily', ticker, limit } = req.query;
+    let symbol = null;
+    if (ticker) {
+        const match = findTicker(String(ticker).toUpperCase());
+        if (!match) {
+            return res.status(400).json({ error: 'Unknown ticker' });
+        }
+        symbol = match.symbol;
+    }
+
+    const result = leaderboard.get({
+        metric: String(metric),
+        period: String(period),
+        ticker: symbol,
+        limit: Math.min(parseInt(limit, 10) || 10, CONFIG.pageSizeLimit)
+    });
+    if (result.error) {
+        return res.status(400).json(result);
+    }
+    res.json(result);
+});
+
+// Upcoming and running tournaments first, then the latest finished ones
+app.get('/api/tournaments', (req, res) => {
+    res.json(tournaments.list());
+});
+
+app.get('/api/tournaments/:id', (req, res) => {
+    const tournament = tournaments.get(req.params.id);
+    if (!tournament) {
+        return res.status(404).json({ error: 'Tournament not found' });
+    }
+    res.json(tournament);
+});
+
+// The entry fee comes from the main wallet, and back again on unregistering before the start
+app.post('/api/tournaments/:id/register', requireAccount, (req, res) => {
+    const result = tournaments.register(req.account, req.params.id);
+    if (result.error) {
+        return res.status(400).json(result);
+    }
+    res.json(result);
+});
+
+app.post('/api/tournaments/:id/unregister', requireAccount, (req, res) => {
+    const result = tournaments.unregister(req.account, req.params.id);
+    if (result.error) {
+        return res.status(400).json(result);
+    }
+    res.json(result);
+});
+
+// Own bet history, same filters as /api/rounds - ?format=csv downloads it
+app.get('/api/me/bets', requireAccount, (req, res) => {
+    const filters = RoundArchive.parseQuery(req.query, CONFIG.pageSizeLimit);
+    if (filters.error) {
+        return res.status(400).json(filters);
+    }
+
+    if (req.query.format === 'csv') {
+        // The export covers every matching bet, not just one page
+        const { bets } = archive.listBets(req.account.id, { ...filters, tournament: null, page: 1, limit: Infinity });
+        res.attachment('crash-street-bets.csv');
+        return res.type('text/csv').send(RoundArchive.toCsv(bets));
+    }
+    res.json(archive.listBets(req.account.id, { ...filters, tournament: null }));
+});
+
+// Bind the session from the handshake - guests may watch but not bet
+io.use((socket, next) => {
+    if (!connectionLimiter.take(socket.handshake.address)) {
+        return next(new Error(ERROR_CODES.RATE_LIMITED));
+    }
+
+    const account = accounts.getBySession(socket.handshake.auth && socket.handshake.auth.token);
+    socket.data.accountId = account ? account.id : null;
+    next();
+});
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
     console.log(`Client connected: ${socket.id}`);
 
-    // Send initial state
-    socket.emit('INITIAL_STATE', {
-        running: gameState.running,
-        isCrashed: gameState.crashed,
-        multiplier: gameState.multiplier,
-        history: gameState.history
+    const account = accounts.get(socket.data.accountId);
+    if (account) {
+        socket.join(`account:${account.id}`);
+        socket.emit('BALANCE_UPDATE', {
+            balance: account.balance,
+            totalProfit: account.totalProfit
+        });
+        autoBets.list(account.id).forEach(status => socket.emit('AUTOBET_UPDATE', status));
+        socket.emit('CHAT_STATUS', chatStatus(account.id));
+        stats.connect(account.id);
+        socket.emit('STATS_UPDATE', stats.summary(account.id));
+    }
+    socket.emit('CHAT_HISTORY', { channel: GLOBAL_CHANNEL, messages: chat.history(GLOBAL_CHANNEL) });
+
+    // Structured errors - clients switch on the code, the message is for display
+    const fail = (event, code, message) => socket.emit('ERROR', { code, message, event });
+
+    // Every event is rate limited and checked against its schema before the handler runs
+    const buckets = new Map(); // event -> TokenBucket
+    const on = (event, handler) => {
+        buckets.set(event, new TokenBucket(RATE_LIMITS.events[event] || RATE_LIMITS.events.default));
+        socket.on(event, (payload, ack) => {
+            if (typeof payload === 'function') {
+                ack = payload;
+                payload = undefined;
+            }
+            if (!ipLimiter.take(socket.handshake.address) || !buckets.get(event).take()) {
+                return fail(event, ERROR_CODES.RATE_LIMITED, 'Too many requests, slow down');
+            }
+
+            const checked = validateEvent(event, payload);
+            if (checked.error) {
+                return fail(event, checked.error.code, checked.error.message);
+            }
+            handler(checked.value, typeof ack === 'function' ? ack : () => {});
+        });
+    };
+
+    // Clock sync - clients estimate their offset from the round trip and draw the curve locally
+    on('TIME_SYNC', ({ clientTime }, ack) => {
+        ack({ clientTime: clientTime, serverTime: Date.now() });
     });
 
-    // Start game (for prototype - in production this would be automated)
-    socket.on('START_GAME', () => {
-        if (!gameState.running) {
-            startGame();
+    // The room this socket is currently watching - a ticker's, a running tournament's or a private one
+    const currentRoom = () => {
+        if (socket.data.tournament) return tournaments.room(socket.data.tournament);
+        if (socket.data.privateRoom) return privateRooms.room(socket.data.privateRoom);
+        return rooms.get(socket.data.ticker);
+    };
+
+    // Confirmations from a tournament or private room say so, the client keeps them apart from its ticker's
+    const tagged = (result) => {
+        if (socket.data.tournament) return { ...result, tournamentId: socket.data.tournament };
+        if (socket.data.privateRoom) return { ...result, room: socket.data.privateRoom };
+        return result;
+    };
+
+    // Join a ticker's room - INITIAL_STATE is scoped to that ticker
+    on('JOIN_TICKER', ({ modeId }) => {
+        const ticker = findTicker(modeId);
+        if (!ticker) {
+            fail('JOIN_TICKER', ERROR_CODES.UNKNOWN_TICKER, 'Unknown ticker');
+            return;
         }
+
+        leaveTicker();
+        socket.data.ticker = ticker.symbol;
+        const room = currentRoom();
+        socket.data.channel = room.channel;
+        socket.data.chatChannel = ticker.symbol;
+        socket.join(room.channel);
+
+        // A player rejoining mid-round picks their bets back up
+        socket.emit('INITIAL_STATE', {
+            ...room.getPublicState(),
+            activeBets: socket.data.accountId ? room.getBets(socket.data.accountId) : []
+        });
+        socket.emit('CHAT_HISTORY', { channel: ticker.symbol, messages: chat.history(ticker.symbol) });
     });
 
-    // Place bet
-    socket.on('PLACE_BET', ({ amount, username }) => {
-        if (!gameState.running || gameState.crashed) {
-            socket.emit('ERROR', 'Cannot place bet at this time');
+    on('LEAVE_TICKER', leaveTicker);
+
+    // Watch or play a running tournament - only registered players can bet, from their tournament stack
+    on('JOIN_TOURNAMENT', ({ tournamentId }) => {
+        const room = tournaments.room(tournamentId);
+        if (!room) {
+            fail('JOIN_TOURNAMENT', ERROR_CODES.TOURNAMENT_REJECTED, 'Tournament is not running');
+            return;
+        }
+
+        leaveTicker();
+        socket.data.tournament = tournamentId;
+        socket.data.channel = room.channel;
+        socket.join(room.channel);
+
+        socket.emit('INITIAL_STATE', {
+            ...room.getPublicState(),
+            activeBets: socket.data.accountId ? room.getBets(socket.data.accountId) : [],
+            tournament: tournaments.get(tournamentId)
+        });
+    });
+
+    // Host a private room on one ticker, with optional settings of its own - join it with its code
+    on('CREATE_ROOM', ({ modeId, name, ...config }, ack) => {
+        const account = accounts.get(socket.data.accountId);
+        if (!account) {
+            fail('CREATE_ROOM', ERROR_CODES.LOGIN_REQUIRED, 'Log in to host a room');
+            return;
+        }
+        const ticker = findTicker(modeId);
+        if (!ticker) {
+            fail('CREATE_ROOM', ERROR_CODES.UNKNOWN_TICKER, 'Unknown ticker');
             return;
         }
 
-        if (activeBets.has(socket.id)) {
-            socket.emit('ERROR', 'You already have an active bet');
+        const result = privateRooms.create(account, { ticker, name, config });
+        if (result.error) {
+            fail('CREATE_ROOM', ERROR_CODES.ROOM_REJECTED, result.error);
             return;
         }
+        ack(result);
+    });
 
-        if (!amount || amount < 10) {
-            socket.emit('ERROR', 'Minimum bet is 10');
+    // Anyone with the code is a member - guests may watch, like on a ticker
+    on('JOIN_ROOM', ({ code }) => {
+        leaveTicker();
+        const entry = privateRooms.join(code, socket.id);
+        if (entry.error) {
+            fail('JOIN_ROOM', ERROR_CODES.ROOM_REJECTED, entry.error);
             return;
         }
 
-        activeBets.set(socket.id, {
-            amount: amount,
-            cashedOut: false,
-            profit: 0,
-            username: username || 'Player'
+        const room = entry.room;
+        socket.data.privateRoom = entry.code;
+        socket.data.channel = room.channel;
+        socket.data.chatChannel = room.channel;
+        socket.join(room.channel);
+
+        socket.emit('INITIAL_STATE', {
+            ...room.getPublicState(),
+            activeBets: socket.data.accountId ? room.getBets(socket.data.accountId) : [],
+            privateRoom: privateRooms.toPublic(entry)
         });
+        socket.emit('CHAT_HISTORY', { channel: room.channel, messages: chat.history(room.channel) });
+    });
 
-        socket.emit('BET_CONFIRMED', { amount });
-        console.log(`Bet placed by ${socket.id}: ${amount}`);
+    // Place bet
+    on('PLACE_BET', ({ amount, autoCashOut, slot }) => {
+        const receivedAt = Date.now();
+        const room = currentRoom();
+        if (!room) {
+            fail('PLACE_BET', ERROR_CODES.NO_TICKER, 'Join a ticker first');
+            return;
+        }
+
+        const account = accounts.get(socket.data.accountId);
+        if (!account) {
+            fail('PLACE_BET', ERROR_CODES.LOGIN_REQUIRED, 'Login required');
+            return;
+        }
+
+        const result = room.placeBet(account.id, {
+            amount: amount,
+            autoCashOut: autoCashOut,
+            slot: slot != null ? slot : 0,
+            accountId: account.id,
+            playerId: account.publicId,
+            username: account.username
+        }, receivedAt);
+        if (result.error) {
+            fail('PLACE_BET', ERROR_CODES.BET_REJECTED, result.error);
+            return;
+        }
+        io.to(`account:${account.id}`).emit('BET_CONFIRMED', tagged(result));
     });
 
-    // Cash out
-    socket.on('CASH_OUT', () => {
-        if (!gameState.running || gameState.crashed) {
-            socket.emit('ERROR', 'Game not active');
+    // Cash out all or part of one bet slot - priced at the moment it reached the server
+    on('CASH_OUT', ({ slot, percent }) => {
+        const receivedAt = Date.now();
+        const room = currentRoom();
+        if (!room || !socket.data.accountId) {
+            fail('CASH_OUT', ERROR_CODES.CASHOUT_REJECTED, 'Game not active');
             return;
         }
 
-        const bet = activeBets.get(socket.id);
-        if (!bet || bet.cashedOut) {
-            socket.emit('ERROR', 'No active bet to cash out');
+        const result = room.cashOut(socket.data.accountId, {
+            slot: slot != null ? slot : 0,
+            percent: percent != null ? percent : 100
+        }, receivedAt);
+        if (result.error) {
+            fail('CASH_OUT', ERROR_CODES.CASHOUT_REJECTED, result.error);
             return;
         }
+        io.to(`account:${socket.data.accountId}`).emit('CASHOUT_SUCCESS', tagged(result));
+    });
 
-        const winAmount = Math.floor(bet.amount * gameState.multiplier);
-        const profit = winAmount - bet.amount;
+    // Auto-bet on the joined ticker - keeps running until a stop condition or AUTOBET_STOP
+    on('AUTOBET_START', (options) => {
+        const room = currentRoom();
+        const account = accounts.get(socket.data.accountId);
+        if (!room || !account) {
+            fail('AUTOBET_START', room ? ERROR_CODES.LOGIN_REQUIRED : ERROR_CODES.NO_TICKER, 'Login and join a ticker first');
+            return;
+        }
+        if (socket.data.tournament || socket.data.privateRoom) {
+            fail('AUTOBET_START', ERROR_CODES.AUTOBET_REJECTED, 'Auto-bet is only available on the public tickers');
+            return;
+        }
 
-        bet.cashedOut = true;
-        bet.profit = profit;
+        const result = autoBets.start(account.id, room.ticker.symbol, options);
+        if (result.error) {
+            fail('AUTOBET_START', ERROR_CODES.AUTOBET_REJECTED, result.error);
+        }
+    });
 
-        socket.emit('CASHOUT_SUCCESS', {
-            multiplier: gameState.multiplier,
-            winAmount: winAmount,
-            profit: profit
-        });
+    on('AUTOBET_STOP', () => {
+        const room = rooms.get(socket.data.ticker);
+        if (!room) {
+            fail('AUTOBET_STOP', ERROR_CODES.NO_TICKER, 'Join a ticker first');
+            return;
+        }
 
-        console.log(`Cash out by ${socket.id}: ${winAmount} (${gameState.multiplier.toFixed(2)}x)`);
+        const result = autoBets.stop(socket.data.accountId, room.ticker.symbol);
+        if (result.error) {
+            fail('AUTOBET_STOP', ERROR_CODES.AUTOBET_REJECTED, result.error);
+        }
     });
 
+    // Chat as the same player that bets - 'ticker' is the ticker or private room this socket is watching
+    on('CHAT_SEND', ({ channel, text }) => {
+        const account = accounts.get(socket.data.accountId);
+        if (!account) {
+            fail('CHAT_SEND', ERROR_CODES.LOGIN_REQUIRED, 'Log in to chat');
+            return;
+        }
+        if (channel === 'ticker' && !socket.data.chatChannel) {
+            fail('CHAT_SEND', ERROR_CODES.NO_TICKER, 'Join a ticker first');
+            return;
+        }
+
+        const result = chat.post(account, channel === 'ticker' ? socket.data.chatChannel : GLOBAL_CHANNEL, text);
+        if (result.error) {
+            fail('CHAT_SEND', ERROR_CODES.CHAT_REJECTED, result.error);
+        }
+    });
+
+    // Moderators mute, ban and lift from the chat itself - audited like admin actions
+    on('CHAT_MODERATE', (params, ack) => {
+        const account = accounts.get(socket.data.accountId);
+        if (!account || !chat.isModerator(account.id)) {
+            fail('CHAT_MODERATE', ERROR_CODES.NOT_MODERATOR, 'Moderators only');
+            return;
+        }
+
+        const result = moderateChat(`mod:${account.username}`, params, { moderator: true });
+        admin.emit('AUDIT', audit.record(`mod:${account.username}`, `CHAT_${params.action.toUpperCase()}`, params, result));
+        if (result.error) {
+            fail('CHAT_MODERATE', ERROR_CODES.CHAT_REJECTED, result.error);
+            return;
+        }
+        ack(result);
+    });
+
+    // Bets belong to the player, not the socket, so nothing is forfeited here
     socket.on('disconnect', () => {
-        activeBets.delete(socket.id);
         console.log(`Client disconnected: ${socket.id}`);
+        if (socket.data.accountId) stats.disconnect(socket.data.accountId);
+        leaveTicker();
     });
+
+    // Leaves whichever room the socket watches - a finished tournament's room is already gone,
+    // and a private room counts down to closing once its last member has left
+    function leaveTicker() {
+        if (socket.data.channel) {
+            socket.leave(socket.data.channel);
+        }
+        if (socket.data.privateRoom) {
+            privateRooms.leave(socket.data.privateRoom, socket.id);
+        }
+        socket.data.ticker = null;
+        socket.data.tournament = null;
+        socket.data.privateRoom = null;
+        socket.data.channel = null;
+        socket.data.chatChannel = null;
+    }
 });
 
-// Game functions
-function startGame() {
-    console.log('Starting new game...');
+// Admin console - its own namespace, so player sockets never see admin traffic
+const admin = io.of('/admin');
 
-    gameState.running = true;
-    gameState.multiplier = 1.00;
-    gameState.crashed = false;
-    gameState.gameId = Date.now().toString();
-    gameState.startTime = Date.now();
+admin.use((socket, next) => {
+    const auth = socket.handshake.auth || {};
+    if (!isAdminToken(auth.token)) {
+        return next(new Error('Admin access required'));
+    }
+    socket.data.actor = String(auth.name || socket.handshake.address).slice(0, 40);
+    next();
+});
 
-    // Provably fair crash point calculation
-    const r = Math.random();
-    gameState.crashPoint = 0.99 / (1 - r);
-    if (gameState.crashPoint < 1.00) gameState.crashPoint = 1.00;
-    gameState.crashPoint = Math.min(gameState.crashPoint, 1000);
+admin.on('connection', (socket) => {
+    console.log(`Admin connected: ${socket.data.actor}`);
 
-    console.log(`Crash point set to: ${gameState.crashPoint.toFixed(2)}x`);
+    socket.on('GET_STATE', (ack) => {
+        if (typeof ack === 'function') ack(adminState());
+    });
 
-    // Clear previous bets
-    activeBets.clear();
+    // Every command answers through its ack and is written to the audit log.
+    // A command that throws is answered with an error - it must not take the game rooms down with it.
+    const command = (action, handler) => {
+        socket.on(action, (params, ack) => {
+            params = params && typeof params === 'object' ? params : {};
+            let result;
+            try {
+                result = handler(params);
+            } catch (err) {
+                console.error(`[ADMIN] ${action} failed:`, err);
+                result = { error: `${action} failed: ${err.message}` };
+            }
+            admin.emit('AUDIT', audit.record(socket.data.actor, action, params, result));
+            if (typeof ack === 'function') ack(result);
+        });
+    };
 
-    // Broadcast game start
-    io.emit('GAME_START', { id: gameState.gameId });
+    // Pausing lets the current round finish, then the room stays idle until resumed
+    command('PAUSE', ({ ticker }) => forRooms(ticker, room => room.pause()));
+    command('RESUME', ({ ticker }) => forRooms(ticker, room => room.resume()));
 
-    // Start game loop
-    gameLoop = setInterval(tick, CONFIG.tickRate);
-}
+    command('END_ROUND', ({ ticker }) => {
+        const room = rooms.get(ticker);
+        return room ? room.endRound() : { error: 'Unknown ticker' };
+    });
 
-function tick() {
-    if (!gameState.running) return;
+    command('VOID_ROUND', ({ ticker }) => {
+        const room = rooms.get(ticker);
+        return room ? room.voidRound() : { error: 'Unknown ticker' };
+    });
 
-    const elapsed = (Date.now() - gameState.startTime) / 1000;
+    // Validated against every targeted room before any of them changes
+    command('SET_CONFIG', ({ ticker, config }) => {
+        const targets = targetRooms(ticker);
+        if (!targets) return { error: 'Unknown ticker' };
 
-    // Exponential growth
-    gameState.multiplier += (gameState.multiplier * CONFIG.growthRate * (CONFIG.tickRate / 1000));
+        for (const room of targets) {
+            const result = validateConfig(config, room.config);
+            if (result.error) return result;
+        }
+        targets.forEach(room => room.configure(config));
+        return { tickers: targets.map(room => room.ticker.symbol), config };
+    });
 
-    if (gameState.multiplier >= gameState.crashPoint) {
-        crash();
-    } else {
-        io.emit('TICK', {
-            multiplier: gameState.multiplier,
-            elapsed: elapsed
-        });
+    command('KICK', ({ username }) => {
+        const account = accounts.findByUsername(String(username || ''));
+        if (!account) return { error: 'Player not found' };
+
+        io.in(`account:${account.id}`).disconnectSockets(true);
+        return { username: account.username };
+    });
+
+    // Bets already riding still settle; auto-bets stop and every session ends
+    command('BAN', ({ username, reason }) => {
+        const account = accounts.findByUsername(String(username || ''));
+        if (!account) return { error: 'Player not found' };
+
+        const result = accounts.setBanned(account.id, reason || 'Banned by admin');
+        autoBets.list(account.id).forEach(status => autoBets.stop(account.id, status.ticker, 'Account banned'));
+        io.in(`account:${account.id}`).disconnectSockets(true);
+        leaderboard.invalidate();
+        return result;
+    });
+
+    command('UNBAN', ({ username }) => {
+        const account = accounts.findByUsername(String(username || ''));
+        if (!account) return { error: 'Player not found' };
+
+        const result = accounts.setBanned(account.id, null);
+        leaderboard.invalidate();
+        return result;
+    });
+
+    // Chat only - the player keeps trading
+    command('CHAT_MUTE', params => moderateChat(socket.data.actor, { ...params, action: 'mute' }));
+    command('CHAT_BAN', params => moderateChat(socket.data.actor, { ...params, action: 'ban' }));
+    command('CHAT_LIFT', params => moderateChat(socket.data.actor, { ...params, action: 'lift' }));
+
+    // Registration stays open until startsIn minutes from now - see lib/tournaments.js for the fields
+    command('TOURNAMENT_CREATE', params => tournaments.create(params));
+    command('TOURNAMENT_CANCEL', ({ id }) => tournaments.cancel(String(id || ''), 'Cancelled by admin'));
+
+    command('SET_MODERATOR', ({ username, moderator }) => {
+        const account = accounts.findByUsername(String(username || ''));
+        if (!account) return { error: 'Player not found' };
+
+        const result = chat.setModerator(account, moderator === true);
+        io.to(`account:${account.id}`).emit('CHAT_STATUS', chatStatus(account.id));
+        return result;
+    });
+});
+
+function adminState() {
+    return {
+        rooms: Array.from(rooms.values()).map(room => ({
+            ticker: room.ticker.symbol,
+            phase: room.state.phase,
+            paused: room.paused,
+            gameId: room.state.gameId,
+            multiplier: room.state.multiplier,
+            bets: room.bets.size,
+            config: Object.fromEntries(Object.keys(CONFIG_SCHEMA).map(key => [key, room.config[key]]))
+        })),
+        schema: CONFIG_SCHEMA,
+        tournaments: tournaments.list(),
+        privateRooms: privateRooms.list(),
+        audit: audit.recent(50)
+    };
+}
+
+function chatStatus(accountId) {
+    return { moderator: chat.isModerator(accountId), restriction: chat.restriction(accountId) };
+}
+
+// Mutes, bans or lifts a player's chat restriction - moderators can't restrict each other, admins can
+function moderateChat(by, { action, username, minutes, reason }, { moderator = false } = {}) {
+    const account = accounts.findByUsername(String(username || ''));
+    if (!account) return { error: 'Player not found' };
+    if (moderator && chat.isModerator(account.id)) return { error: 'Only an admin can restrict a moderator' };
+
+    const result = action === 'lift'
+        ? chat.lift(account)
+        : chat.restrict(account, { type: action, minutes: Number(minutes), reason, by });
+    if (!result.error) {
+        io.to(`account:${account.id}`).emit('CHAT_STATUS', chatStatus(account.id));
     }
+    return result;
 }
 
-function crash() {
-    console.log(`Game crashed at ${gameState.crashPoint.toFixed(2)}x`);
-
-    clearInterval(gameLoop);
-    gameState.running = false;
-    gameState.crashed = true;
-
-    // Calculate results for all active bets
-    const results = [];
-    activeBets.forEach((bet, socketId) => {
-        if (!bet.cashedOut) {
-            // Lost
-            results.push({
-                socketId: socketId,
-                username: bet.username,
-                amount: bet.amount,
-                result: 'lost',
-                profit: -bet.amount
-            });
-        } else {
-            // Won
-            results.push({
-                socketId: socketId,
-                username: bet.username,
-                amount: bet.amount,
-                result: 'won',
-                profit: bet.profit
-            });
-        }
-    });
-
-    // Add to history
-    addToHistory(gameState.crashPoint);
-
-    // Broadcast crash
-    io.emit('GAME_CRASHED', {
-        crashPoint: gameState.crashPoint,
-        results: results
-    });
-
-    // Auto-start next game after delay
-    setTimeout(() => {
-        startGame();
-    }, 5000);
+// One room, or all of them when no ticker is given - null for an unknown ticker
+function targetRooms(ticker) {
+    const targets = ticker ? [rooms.get(ticker)] : Array.from(rooms.values());
+    return targets[0] ? targets : null;
 }
 
-function addToHistory(crashPoint) {
-    gameState.history.unshift({
-        crashPoint: crashPoint,
-        timestamp: Date.now()
+function forRooms(ticker, fn) {
+    const targets = targetRooms(ticker);
+    if (!targets) return { error: 'Unknown ticker' };
+
+    targets.forEach(fn);
+    return { tickers: targets.map(room => room.ticker.symbol) };
+}
+
+// Reveals the seed so the round can be verified, then archives it for history, stats and leaderboards.
+// tag is { room } for a private room's round, { tournament } for a tournament's - those only go to the archive,
+// stats and leaderboards count the public tickers' rounds.
+function archiveRound(symbol, { gameId, seed, crashPoint, outcome, startTime, endTime, timeline, results }, tag = {}) {
+    const round = ownRecord(gameId, seed);
+    if (!round) {
+        console.error(`[FAIRNESS] Round ${gameId} ended without a record of its own, not archived`);
+        return;
+    }
+    round.seed = seed;
+    round.crashPoint = crashPoint;
+    round.outcome = outcome;
+
+    archive.add({
+        ...round,
+        ...tag,
+        startTime: startTime,
+        endTime: endTime,
+        timeline: timeline,
+        bets: results.map(({ key, ...bet }) => bet)
     });
-    if (gameState.history.length > 50) {
-        gameState.history.pop();
+    if (tag.room || tag.tournament) return;
+    stats.record(symbol, { startTime, results });
+    if (results.length) leaderboard.roundEnded({ ticker: symbol, gameId, startTime, bets: results });
+}
+
+// Round ids key the fairness records and the archive. This runs inside a room's loop, so a reused
+// id is logged and the round left unrecorded rather than thrown - archiveRound then skips it too.
+function recordRound(round) {
+    if (fairness.rounds.has(round.gameId) || archive.has(round.gameId)) {
+        console.error(`[FAIRNESS] Round id ${round.gameId} is already taken, round not recorded`);
+        return;
+    }
+    fairness.rounds.set(round.gameId, round);
+    if (fairness.rounds.size > CONFIG.roundRecordLimit) {
+        // Maps iterate in insertion order - drop the oldest round that has ended, never one still in play
+        for (const [gameId, record] of fairness.rounds) {
+            if (record.seed) {
+                fairness.rounds.delete(gameId);
+                break;
+            }
+        }
     }
 }
 
+// The fairness record a finished round opened with - the revealed seed must hash to the record's
+// hash, so a round that lost its id to another one never writes over that round's seeds
+function ownRecord(gameId, seed) {
+    const round = fairness.rounds.get(gameId);
+    return round && !archive.has(gameId) && sha256(seed) === round.hash ? round : null;
+}
+
 // Start server
 server.listen(PORT, () => {
     console.log(`Crash Street server running on port ${PORT}`);
     console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    rooms.forEach((room) => {
+        console.log(`[${room.ticker.symbol}] Seed chain commitment: ${room.chain.commitment}`);
+    });
 
-    // Auto-start first game after 3 seconds
+    // Auto-start first games after 3 seconds
     setTimeout(() => {
-        console.log('Auto-starting first game...');
-        startGame();
+        console.log('Auto-starting first games...');
+        rooms.forEach(room => room.startGame());
+        tournaments.start();
     }, 3000);
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
     console.log('SIGTERM received, shutting down gracefully...');
+    store.flush();
+    fairnessStore.flush();
     server.close(() => {
         console.log('Server closed');
         process.exit(0);
@@ -0,0 +1,100 @@
+/**
+ * Account and wallet tests - run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Accounts = require('../lib/accounts');
+const { memoryStore } = require('./helpers');
+
+const signUp = (accounts, params = {}) => accounts.login({ email: 'ann@example.com', username: 'ann', password: 'hunter22', ...params }, '10.0.0.1');
+
+test('the first login registers the account with the starting balance', async () => {
+    const store = memoryStore();
+    const accounts = new Accounts(store);
+    const { token, account } = await signUp(accounts, { email: ' Ann@Example.com ' });
+
+    assert.strictEqual(account.username, 'ann');
+    assert.strictEqual(account.balance, 5000);
+    assert.match(account.referralCode, /^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    assert.strictEqual(accounts.getBySession(token).id, account.id);
+
+    const stored = accounts.get(account.id);
+    assert.strictEqual(stored.email, 'ann@example.com');
+    assert.strictEqual(stored.registrationIp, '10.0.0.1');
+    assert.notStrictEqual(stored.passwordHash, 'hunter22');
+});
+
+test('registration needs a valid, unused username and a long enough password', async () => {
+    const accounts = new Accounts(memoryStore());
+    assert.strictEqual((await signUp(accounts, { password: '' })).error, 'Email and password required');
+    assert.strictEqual((await signUp(accounts, { username: '' })).error, 'Username required');
+    assert.strictEqual((await signUp(accounts, { password: 'short' })).error, 'Password must be at least 8 characters');
+    assert.ok((await signUp(accounts, { username: 'a b' })).error);
+
+    await signUp(accounts);
+    assert.strictEqual((await signUp(accounts, { email: 'other@example.com', username: 'ANN' })).error, 'Username already taken');
+});
+
+test('two registrations racing for one email end with one account', async () => {
+    const accounts = new Accounts(memoryStore());
+    const results = await Promise.all([signUp(accounts), signUp(accounts, { username: 'bob' })]);
+
+    assert.strictEqual(results.filter(r => r.error).length, 1);
+    assert.strictEqual(Object.keys(accounts.store.data.accounts).length, 1);
+});
+
+test('later logins check the password and open a new session', async () => {
+    const accounts = new Accounts(memoryStore());
+    const first = await signUp(accounts);
+
+    assert.strictEqual((await signUp(accounts, { password: 'wrong-password' })).error, 'Invalid email or password');
+    const second = await accounts.login({ email: 'ann@example.com', password: 'hunter22' });
+    assert.strictEqual(second.account.id, first.account.id);
+    assert.notStrictEqual(second.token, first.token);
+
+    accounts.logout(first.token);
+    assert.strictEqual(accounts.getBySession(first.token), null);
+    assert.ok(accounts.getBySession(second.token));
+});
+
+test('a ban ends every session and refuses logins until lifted', async () => {
+    const accounts = new Accounts(memoryStore());
+    const { token, account } = await signUp(accounts);
+
+    accounts.setBanned(account.id, 'Spam');
+    assert.strictEqual(accounts.getBySession(token), null);
+    assert.strictEqual((await signUp(accounts)).error, 'Account banned');
+
+    accounts.setBanned(account.id, null);
+    assert.ok((await signUp(accounts)).token);
+});
+
+test('debits refuse to overdraw the wallet', async () => {
+    const accounts = new Accounts(memoryStore());
+    const { account } = await signUp(accounts);
+    const updates = [];
+    accounts.on('balance', a => updates.push(a.balance));
+
+    assert.deepStrictEqual(accounts.debit(account.id, 4000), { balance: 1000 });
+    assert.deepStrictEqual(accounts.debit(account.id, 1001), { error: 'Insufficient funds' });
+    assert.deepStrictEqual(accounts.debit(account.id, 1000), { balance: 0 });
+    assert.deepStrictEqual(accounts.debit('nobody', 10), { error: 'Account not found' });
+    assert.deepStrictEqual(updates, [1000, 0]);
+});
+
+test('settled bets count towards profit, credits only towards the balance', async () => {
+    const accounts = new Accounts(memoryStore());
+    const { account } = await signUp(accounts);
+
+    accounts.debit(account.id, 100);
+    accounts.settle(account.id, 250, 150);
+    accounts.debit(account.id, 100);
+    accounts.settle(account.id, 0, -100);
+    accounts.credit(account.id, 500);
+
+    const stored = accounts.get(account.id);
+    assert.strictEqual(stored.balance, 5000 + 150 - 100 + 500);
+    assert.strictEqual(stored.totalProfit, 50);
+    assert.deepStrictEqual(accounts.credit('nobody', 10), { error: 'Account not found' });
+});
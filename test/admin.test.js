@@ -0,0 +1,23 @@
+/**
+ * Admin config validation tests - run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateConfig } = require('../lib/admin');
+
+test('a config patch within the schema passes', () => {
+    assert.deepStrictEqual(validateConfig({ growthRate: 0.3, minBet: 20 }, { maxBet: 1000 }), { config: { growthRate: 0.3, minBet: 20 } });
+});
+
+test('settings outside the schema are refused, Object.prototype keys included', () => {
+    assert.strictEqual(validateConfig({ houseEdge: 0 }).error, 'Unknown setting: houseEdge');
+    ['constructor', 'toString', '__proto__'].forEach((key) => {
+        const patch = JSON.parse(`{ "${key}": 1 }`);
+        assert.strictEqual(validateConfig(patch).error, `Unknown setting: ${key}`);
+    });
+});
+
+test('minBet may not end up above maxBet', () => {
+    assert.strictEqual(validateConfig({ minBet: 500 }, { maxBet: 100 }).error, 'minBet cannot be above maxBet');
+});
@@ -0,0 +1,149 @@
+/**
+ * Auto-bet unit tests - run with `npm test`.
+ * Strategies are driven by hand through record(); the manager runs against a
+ * GameEngine on the test's manual clock.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { GameEngine, elapsedAt } = require('../lib/engine');
+const { findTicker } = require('../lib/tickers');
+const { AutoBetStrategy, AutoBetManager } = require('../lib/autobet');
+const { ManualClock, memoryWallet, fixedRounds } = require('./helpers');
+
+const options = (params = {}) => ({ strategy: 'flat', baseBet: 100, autoCashOut: 2, stopLoss: 1000, ...params });
+
+test('validate refuses strategies that could run away', () => {
+    const validate = params => AutoBetStrategy.validate(options(params));
+    assert.strictEqual(validate({}), null);
+    assert.strictEqual(validate({ strategy: 'fibonacci' }), 'Unknown strategy');
+    assert.strictEqual(validate({ strategy: 'custom', onWin: 'reset', onLoss: 0 }), 'Custom rules must be "reset" or a multiplier');
+    assert.strictEqual(validate({ strategy: 'custom', onWin: 'reset', onLoss: 1.5 }), null);
+    assert.strictEqual(validate({ baseBet: 5 }), 'Base bet must be at least 10');
+    assert.strictEqual(validate({ autoCashOut: 1 }), 'Auto cash-out must be above 1.00x');
+    assert.strictEqual(validate({ stopLoss: undefined }), 'A stop loss is required');
+    assert.strictEqual(validate({ baseBet: 2000 }), 'Base bet exceeds the stop loss');
+    assert.strictEqual(validate({ stopProfit: -5 }), 'Stop profit must be positive');
+    assert.strictEqual(validate({ maxRounds: 0 }), 'Round limit must be positive');
+});
+
+test('bet sizes follow the win and loss rules', () => {
+    const martingale = new AutoBetStrategy(options({ strategy: 'martingale', stopLoss: 10000 }));
+    martingale.record(-100);
+    martingale.record(-200);
+    assert.strictEqual(martingale.nextBet, 400);
+    martingale.record(400);
+    assert.strictEqual(martingale.nextBet, 100);
+
+    const anti = new AutoBetStrategy(options({ strategy: 'antiMartingale', stopLoss: 10000 }));
+    anti.record(100);
+    assert.strictEqual(anti.nextBet, 200);
+    anti.record(-200);
+    assert.strictEqual(anti.nextBet, 100);
+
+    // Bets never shrink below the minimum
+    const custom = new AutoBetStrategy(options({ strategy: 'custom', baseBet: 20, onWin: 0.1, onLoss: 'reset' }));
+    custom.record(20);
+    assert.strictEqual(custom.nextBet, 10);
+    assert.deepStrictEqual([custom.rounds, custom.wins, custom.losses, custom.profit], [1, 1, 0, 20]);
+});
+
+test('a strategy stops at its profit target', () => {
+    const strategy = new AutoBetStrategy(options({ stopProfit: 150 }));
+    strategy.record(100);
+    assert.strictEqual(strategy.running, true);
+    strategy.record(100);
+    assert.strictEqual(strategy.running, false);
+    assert.strictEqual(strategy.stopReason, 'Profit target reached');
+});
+
+test('a strategy stops at its stop loss', () => {
+    const strategy = new AutoBetStrategy(options({ stopLoss: 200 }));
+    strategy.record(-100);
+    assert.strictEqual(strategy.running, true);
+    strategy.record(-100);
+    assert.strictEqual(strategy.stopReason, 'Stop loss reached');
+});
+
+test('a strategy stops before a bet that could overshoot the stop loss', () => {
+    const strategy = new AutoBetStrategy(options({ strategy: 'martingale', stopLoss: 500 }));
+    strategy.record(-100);
+    assert.strictEqual(strategy.running, true);
+    // Down 300 with 400 up next - losing it would end 700 down
+    strategy.record(-200);
+    assert.strictEqual(strategy.running, false);
+    assert.strictEqual(strategy.stopReason, 'Next bet would exceed the stop loss');
+    assert.strictEqual(strategy.profit, -300);
+});
+
+test('a strategy stops at its round limit', () => {
+    const strategy = new AutoBetStrategy(options({ maxRounds: 2 }));
+    strategy.record(100);
+    strategy.record(-100);
+    assert.strictEqual(strategy.stopReason, 'Round limit reached');
+    assert.deepStrictEqual(strategy.toJSON().rounds, 2);
+});
+
+// --- Manager ---
+
+function setup(crashPoints, balance = 1000) {
+    const clock = new ManualClock();
+    const wallet = memoryWallet(balance);
+    const room = new GameEngine(findTicker('NFTX'), {
+        clock: clock,
+        wallet: wallet,
+        rng: fixedRounds(...crashPoints),
+        config: { bettingDuration: 5000 }
+    });
+    const accounts = new Map([['ann', { id: 'ann', publicId: 'p-ann', username: 'ann' }]]);
+    const manager = new AutoBetManager(new Map([['NFTX', room]]), accounts);
+    const updates = [];
+    manager.on('update', (accountId, status) => updates.push(status));
+    return { clock, wallet, room, manager, updates };
+}
+
+// One full round on $NFTX: the countdown, then the curve up to the crash
+const playRound = (clock, crashPoint) => clock.advance(5000 + elapsedAt(crashPoint, findTicker('NFTX').growthRate) + 100);
+
+test('the manager bets every round and stops the strategy when a condition is met', () => {
+    const { clock, wallet, room, manager, updates } = setup([3.00, 1.20]);
+    manager.start('ann', 'NFTX', options({ strategy: 'martingale', maxRounds: 2 }));
+    assert.strictEqual(manager.start('ann', 'NFTX', options()).error, 'Auto-bet already running on this ticker');
+    assert.strictEqual(manager.start('ann', 'NFTX', options({ baseBet: 1 })).error, 'Base bet must be at least 10');
+    room.startGame();
+
+    // Cashed out at 2x next to the player's own slots
+    assert.ok(!room.placeBet('ann', { amount: 50, accountId: 'ann' }).error);
+    playRound(clock, 3.00);
+    assert.deepStrictEqual(manager.list('ann').map(s => [s.rounds, s.profit, s.nextBet]), [[1, 100, 100]]);
+
+    playRound(clock, 1.20);
+    assert.deepStrictEqual(manager.list('ann'), []);
+    const last = updates[updates.length - 1];
+    assert.strictEqual(last.running, false);
+    assert.strictEqual(last.stopReason, 'Round limit reached');
+    assert.deepStrictEqual([last.rounds, last.wins, last.losses, last.profit], [2, 1, 1, 0]);
+    // The manual bet rode the 3x round to the crash
+    assert.strictEqual(wallet.balance, 1000 + 100 - 100 - 50);
+});
+
+test('the manager stops a strategy whose bet is refused', () => {
+    const { room, manager, updates } = setup([2.00], 50);
+    manager.start('ann', 'NFTX', options());
+    room.startGame();
+
+    assert.deepStrictEqual(manager.list('ann'), []);
+    assert.strictEqual(updates[updates.length - 1].stopReason, 'Insufficient funds');
+});
+
+test('a voided round does not count towards the strategy', () => {
+    const { clock, room, manager } = setup([5.00]);
+    manager.start('ann', 'NFTX', options({ maxRounds: 1 }));
+    room.startGame();
+    clock.advance(5000);
+    room.voidRound();
+
+    assert.deepStrictEqual(manager.list('ann').map(s => [s.running, s.rounds]), [[true, 0]]);
+    assert.strictEqual(manager.stop('ann', 'NFTX').stopReason, 'Stopped by player');
+    assert.strictEqual(manager.stop('ann', 'NFTX').error, 'No auto-bet running on this ticker');
+});
@@ -0,0 +1,154 @@
+/**
+ * Chat tests - run with `npm test`.
+ * Messages are stored as typed; the browser escapes them when it renders (App.escape),
+ * so markup has to come back out of the chat unchanged rather than half-encoded.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Chat, GLOBAL_CHANNEL } = require('../lib/chat');
+const { memoryStore } = require('./helpers');
+
+const ann = { id: 'acc-ann', publicId: 'p-ann', username: 'ann' };
+const bob = { id: 'acc-bob', publicId: 'p-bob', username: 'bob' };
+
+function setup(options) {
+    const store = memoryStore();
+    const chat = new Chat(store, options);
+    const messages = [];
+    chat.on('message', message => messages.push(message));
+    return { chat, store, messages };
+}
+
+// --- Rate Limiting ---
+
+test('an account may post a burst, then is cut off across channels', () => {
+    const { chat } = setup({ rate: { capacity: 2, refillRate: 0 } });
+    assert.strictEqual(chat.post(ann, GLOBAL_CHANNEL, 'one').text, 'one');
+    assert.strictEqual(chat.post(ann, 'NFTX', 'two').text, 'two');
+    assert.deepStrictEqual(chat.post(ann, 'BRKR', 'three'), { error: 'You are sending messages too fast' });
+
+    // The limit is per account
+    assert.strictEqual(chat.post(bob, GLOBAL_CHANNEL, 'hi').text, 'hi');
+});
+
+test('the bucket refills over time', (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const { chat } = setup({ rate: { capacity: 1, refillRate: 0.5 } });
+
+    assert.ok(chat.post(ann, GLOBAL_CHANNEL, 'one').id);
+    assert.ok(chat.post(ann, GLOBAL_CHANNEL, 'two').error);
+    now += 1000;
+    assert.ok(chat.post(ann, GLOBAL_CHANNEL, 'two').error);
+    now += 1000;
+    assert.strictEqual(chat.post(ann, GLOBAL_CHANNEL, 'two').text, 'two');
+});
+
+test('refused messages do not use up the rate limit', () => {
+    const { chat } = setup({ rate: { capacity: 1, refillRate: 0 } });
+    assert.strictEqual(chat.post(ann, GLOBAL_CHANNEL, '   ').error, 'Message is empty');
+    assert.strictEqual(chat.post(ann, GLOBAL_CHANNEL, 'see example.com').error, 'Links are not allowed');
+    assert.strictEqual(chat.post(ann, GLOBAL_CHANNEL, 'hello').text, 'hello');
+});
+
+// --- Content ---
+
+test('messages are limited to maxLength characters after trimming', () => {
+    const { chat, messages } = setup();
+    const limit = 'x'.repeat(200);
+
+    assert.strictEqual(chat.post(ann, GLOBAL_CHANNEL, `  ${limit}  `).text, limit);
+    assert.deepStrictEqual(chat.post(ann, GLOBAL_CHANNEL, limit + 'x'), { error: 'Messages are limited to 200 characters' });
+    assert.strictEqual(messages.length, 1);
+});
+
+test('whitespace runs, line breaks included, collapse to one space', () => {
+    const { chat } = setup();
+    assert.strictEqual(chat.post(ann, GLOBAL_CHANNEL, 'to\n\nthe\t moon').text, 'to the moon');
+    assert.strictEqual(chat.post(ann, GLOBAL_CHANNEL, null).error, 'Message is empty');
+});
+
+test('markup is kept as plain text for the browser to escape', () => {
+    const { chat } = setup();
+    const text = '<img src=x onerror="alert(1)"> & \'quotes\'';
+    assert.strictEqual(chat.post(ann, GLOBAL_CHANNEL, text).text, text);
+    assert.strictEqual(chat.history(GLOBAL_CHANNEL)[0].text, text);
+});
+
+test('links are refused and blocked words masked to their length', () => {
+    const { chat } = setup();
+    for (const text of ['go to https://x.test', 'www.scam', 'free CC at crash.gg']) {
+        assert.strictEqual(chat.post(ann, GLOBAL_CHANNEL, text).error, 'Links are not allowed', text);
+    }
+    assert.strictEqual(chat.post(ann, GLOBAL_CHANNEL, 'oh SHIT, shitty round').text, 'oh ****, ****** round');
+    assert.strictEqual(chat.post(ann, GLOBAL_CHANNEL, 'shiitake risotto').text, 'shiitake risotto');
+});
+
+test('messages carry the public id, never the account id', () => {
+    const { chat, messages } = setup();
+    chat.post(ann, 'NFTX', 'hello');
+    assert.strictEqual(messages[0].playerId, 'p-ann');
+    assert.strictEqual(messages[0].channel, 'NFTX');
+    assert.strictEqual(messages[0].username, 'ann');
+    assert.ok(!JSON.stringify(messages[0]).includes(ann.id));
+});
+
+// --- History ---
+
+test('each channel keeps its last historyLimit messages', () => {
+    const { chat } = setup({ historyLimit: 3, rate: { capacity: 10, refillRate: 0 } });
+    for (let n = 1; n <= 5; n++) {
+        chat.post(ann, GLOBAL_CHANNEL, `m${n}`);
+    }
+    chat.system('NFTX', 'bob cashed out 4.60x on $NFTX');
+
+    assert.deepStrictEqual(chat.history(GLOBAL_CHANNEL).map(m => m.text), ['m3', 'm4', 'm5']);
+    assert.strictEqual(chat.history('NFTX')[0].system, true);
+
+    chat.close('NFTX');
+    assert.deepStrictEqual(chat.history('NFTX'), []);
+});
+
+// --- Moderation ---
+
+test('a muted player is told how long is left until the mute runs out', (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const { chat, store } = setup();
+
+    assert.strictEqual(chat.restrict(ann, { type: 'mute', minutes: 0 }).error, 'Mute needs a duration in minutes');
+    chat.restrict(ann, { type: 'mute', minutes: 10, by: 'mod' });
+    assert.deepStrictEqual(chat.post(ann, GLOBAL_CHANNEL, 'hi'), { error: 'You are muted for another 10 min' });
+
+    now += 10 * 60000;
+    assert.strictEqual(chat.post(ann, GLOBAL_CHANNEL, 'hi').text, 'hi');
+    assert.strictEqual(store.data.chat.restrictions[ann.id], undefined);
+});
+
+test('a ban purges the player from history until it is lifted', () => {
+    const { chat } = setup();
+    const purged = [];
+    chat.on('purge', playerId => purged.push(playerId));
+    chat.post(ann, GLOBAL_CHANNEL, 'spam');
+    chat.post(bob, GLOBAL_CHANNEL, 'hello');
+
+    chat.restrict(ann, { type: 'ban', reason: 'spam', by: 'mod' });
+    assert.deepStrictEqual(purged, ['p-ann']);
+    assert.deepStrictEqual(chat.history(GLOBAL_CHANNEL).map(m => m.text), ['hello']);
+    assert.strictEqual(chat.post(ann, GLOBAL_CHANNEL, 'hi').error, 'You are banned from chat');
+
+    assert.deepStrictEqual(chat.lift(ann), { username: 'ann' });
+    assert.strictEqual(chat.lift(ann).error, 'Player is not muted or banned');
+    assert.strictEqual(chat.post(ann, GLOBAL_CHANNEL, 'back').text, 'back');
+});
+
+test('moderator messages are flagged', () => {
+    const { chat } = setup();
+    chat.setModerator(ann, true);
+    assert.strictEqual(chat.post(ann, GLOBAL_CHANNEL, 'rules').moderator, true);
+    assert.strictEqual(chat.post(bob, GLOBAL_CHANNEL, 'ok').moderator, false);
+
+    chat.setModerator(ann, false);
+    assert.strictEqual(chat.isModerator(ann.id), false);
+});
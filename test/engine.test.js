@@ -0,0 +1,401 @@
+/**
+ * Game engine unit tests - run with `npm test`.
+ * A manual clock drives the round loop, so every state transition is deterministic.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    PHASES,
+    payout,
+    multiplierAt,
+    crashPointFromRandom,
+    GameEngine
+} = require('../lib/engine');
+const { ManualClock, memoryWallet, fixedRounds } = require('./helpers');
+
+const TICKER = { id: 4, symbol: 'TEST', growthRate: 0.25, houseEdge: 0.01, maxMultiplier: 12 };
+
+function setup({ crashPoints = [2.00], config = {}, balance } = {}) {
+    const clock = new ManualClock();
+    const wallet = memoryWallet(balance);
+    const engine = new GameEngine(TICKER, {
+        clock: clock,
+        wallet: wallet,
+        rng: fixedRounds(...crashPoints),
+        config: { bettingDuration: 5000, ...config }
+    });
+    const events = [];
+    engine.on('broadcast', (event, data) => events.push({ event, data }));
+    return { clock, wallet, engine, events, sent: name => events.filter(e => e.event === name).map(e => e.data) };
+}
+
+// ms until the curve reaches the multiplier
+function timeTo(multiplier) {
+    return Math.ceil(Math.log(multiplier) / TICKER.growthRate * 1000);
+}
+
+const bet = (amount, autoCashOut = null) => ({ amount, autoCashOut, accountId: 'acc', playerId: 'p1', username: 'alice' });
+
+// --- Payout Math ---
+
+test('payout floors after rounding away float noise', () => {
+    assert.strictEqual(payout(100, 1.15, 1), 115);
+    assert.strictEqual(payout(100, 2.999, 1), 299);
+    assert.strictEqual(payout(100, 3, 1.5), 200);
+});
+
+test('multiplierAt follows e^(k·t) and never drops below 1', () => {
+    assert.strictEqual(multiplierAt(0, 0.25), 1);
+    assert.strictEqual(multiplierAt(-500, 0.25), 1);
+    assert.ok(Math.abs(multiplierAt(4000, 0.25) - Math.E) < 1e-12);
+});
+
+test('crashPointFromRandom applies the house edge, floor and cap', () => {
+    assert.strictEqual(crashPointFromRandom(0, TICKER), 1.00);
+    assert.strictEqual(crashPointFromRandom(0.5, TICKER), 1.98);
+    assert.strictEqual(crashPointFromRandom(0.999999, TICKER), 12);
+});
+
+// --- State Transitions ---
+
+test('idle -> waiting -> running -> crashed -> waiting', () => {
+    const { clock, engine, sent } = setup({ crashPoints: [1.50, 3.00] });
+    const rounds = [];
+    engine.on('roundStart', round => rounds.push(round));
+
+    assert.strictEqual(engine.state.phase, PHASES.IDLE);
+    engine.startGame();
+    assert.strictEqual(engine.state.phase, PHASES.WAITING);
+    assert.strictEqual(rounds.length, 1);
+    assert.strictEqual(rounds[0].chainIndex, 1);
+    assert.ok(sent('COUNTDOWN').length > 0);
+
+    clock.advance(5000);
+    assert.strictEqual(engine.state.phase, PHASES.RUNNING);
+    assert.strictEqual(sent('GAME_START')[0].startTime, clock.now());
+
+    clock.advance(timeTo(1.50) + 30);
+    assert.deepStrictEqual(sent('GAME_CRASHED').map(c => [c.crashPoint, c.outcome]), [[1.50, 'crashed']]);
+    assert.strictEqual(engine.state.phase, PHASES.WAITING);
+    assert.strictEqual(engine.state.crashPoint, 3.00);
+    assert.strictEqual(rounds.length, 2);
+});
+
+test('startGame is a no-op unless idle', () => {
+    const { engine } = setup();
+    engine.startGame();
+    const gameId = engine.state.gameId;
+    engine.startGame();
+    assert.strictEqual(engine.state.gameId, gameId);
+});
+
+test('engines sharing a ticker keep their round ids apart with a prefix', () => {
+    const clock = new ManualClock();
+    const engines = [{}, { roundPrefix: 'TEST-cup1' }].map(options => new GameEngine(TICKER, {
+        ...options,
+        clock: clock,
+        wallet: memoryWallet(),
+        rng: fixedRounds(2.00)
+    }));
+    engines.forEach(engine => engine.startGame());
+
+    assert.deepStrictEqual(engines.map(e => e.state.gameId), [`TEST-${clock.now()}`, `TEST-cup1-${clock.now()}`]);
+});
+
+test('a paused engine finishes its round, then stays idle until resumed', () => {
+    const { clock, engine, sent } = setup({ crashPoints: [1.10, 2.00] });
+    engine.startGame();
+    engine.pause();
+    assert.strictEqual(engine.state.phase, PHASES.WAITING);
+
+    clock.advance(5000 + timeTo(1.10) + 30);
+    assert.strictEqual(engine.state.phase, PHASES.IDLE);
+    assert.deepStrictEqual(sent('ROOM_STATUS').pop(), { ticker: 'TEST', paused: true, phase: PHASES.IDLE });
+
+    engine.startGame();
+    assert.strictEqual(engine.state.phase, PHASES.IDLE);
+    engine.resume();
+    assert.strictEqual(engine.state.phase, PHASES.WAITING);
+});
+
+test('TICK is only sent every syncRate', () => {
+    const { clock, engine, sent } = setup({ crashPoints: [100] });
+    engine.startGame();
+    clock.advance(5000 + 3500);
+    assert.strictEqual(sent('TICK').length, 3);
+});
+
+test('history is newest first and trimmed to historyLimit', () => {
+    const { clock, engine } = setup({ crashPoints: [1.00, 1.00, 1.00], config: { historyLimit: 2 } });
+    engine.startGame();
+    for (let i = 0; i < 3; i++) clock.advance(5000 + 30);
+    assert.strictEqual(engine.state.history.length, 2);
+    assert.ok(engine.state.history[0].timestamp > engine.state.history[1].timestamp);
+});
+
+// --- Bets ---
+
+test('bets only go in during the countdown, once per slot, within limits', () => {
+    const { clock, engine, wallet } = setup({ balance: 500 });
+    assert.strictEqual(engine.placeBet('acc', bet(100)).error, 'Cannot place bet at this time');
+
+    engine.startGame();
+    assert.strictEqual(engine.placeBet('acc', bet(5)).error, 'Minimum bet is 10');
+    assert.strictEqual(engine.placeBet('acc', bet(300000)).error, 'Maximum bet is 250000');
+    assert.strictEqual(engine.placeBet('acc', bet(100, 1)).error, 'Auto cash-out must be above the entry multiplier');
+    assert.strictEqual(engine.placeBet('acc', bet(1000)).error, 'Insufficient funds');
+
+    const result = engine.placeBet('acc', bet(100));
+    assert.deepStrictEqual(result, { ticker: 'TEST', betId: 'bet1', slot: 0, amount: 100, entryMultiplier: 1, autoCashOut: null });
+    assert.strictEqual(wallet.balance, 400);
+    assert.strictEqual(engine.placeBet('acc', bet(100)).error, 'You already have a bet in this slot');
+
+    clock.advance(5000);
+    assert.strictEqual(engine.placeBet('bob', bet(100)).error, 'Cannot place bet at this time');
+});
+
+test('each player gets betSlots independent bets', () => {
+    const { clock, engine, wallet, sent } = setup({ crashPoints: [3] });
+    engine.startGame();
+    assert.strictEqual(engine.placeBet('acc', { ...bet(100, 1.5), slot: 0 }).slot, 0);
+    assert.strictEqual(engine.placeBet('acc', { ...bet(50), slot: 1 }).slot, 1);
+    assert.strictEqual(engine.placeBet('acc', { ...bet(50), slot: 2 }).error, 'Invalid bet slot');
+    assert.deepStrictEqual(engine.getBets('acc').map(b => [b.slot, b.amount, b.autoCashOut]), [[0, 100, 1.5], [1, 50, null]]);
+
+    // Slot 0 auto cashes out, slot 1 is cashed out by hand later
+    clock.advance(5000 + timeTo(2));
+    assert.strictEqual(engine.cashOut('acc', { slot: 0 }).error, 'No active bet to cash out');
+    const result = engine.cashOut('acc', { slot: 1 });
+    assert.strictEqual(result.slot, 1);
+    assert.strictEqual(result.winAmount, 100);
+    assert.strictEqual(wallet.balance, 1000 - 150 + 150 + 100);
+
+    clock.advance(timeTo(3));
+    const results = sent('GAME_CRASHED')[0].results;
+    assert.deepStrictEqual(results.map(r => [r.betId, r.slot, r.result]), [['bet1', 0, 'won'], ['bet2', 1, 'won']]);
+});
+
+test('late bets enter at the current multiplier when allowed', () => {
+    const { clock, engine } = setup({ crashPoints: [5], config: { allowLateBets: true } });
+    engine.startGame();
+    clock.advance(5000 + timeTo(2));
+    const result = engine.placeBet('acc', bet(100));
+    assert.ok(Math.abs(result.entryMultiplier - 2) < 0.01);
+});
+
+test('cash out pays at the multiplier when the request was received', () => {
+    const { clock, engine, wallet, sent } = setup({ crashPoints: [3] });
+    engine.startGame();
+    engine.placeBet('acc', bet(100));
+    assert.strictEqual(engine.cashOut('acc').error, 'Game not active');
+
+    clock.advance(5000);
+    const receivedAt = clock.now() + timeTo(2);
+    clock.advance(timeTo(2) + 200);
+    const result = engine.cashOut('acc', {}, receivedAt);
+    assert.strictEqual(result.type, 'manual');
+    assert.strictEqual(result.winAmount, 200);
+    assert.strictEqual(wallet.balance, 1100);
+    assert.strictEqual(sent('PLAYER_CASHED_OUT')[0].winAmount, 200);
+    assert.strictEqual(engine.cashOut('acc').error, 'No active bet to cash out');
+});
+
+test('a cash out priced past the crash point is rejected', () => {
+    const { clock, engine } = setup({ crashPoints: [2] });
+    engine.startGame();
+    engine.placeBet('acc', bet(100));
+    clock.advance(5000);
+    assert.strictEqual(engine.cashOut('acc', {}, clock.now() + timeTo(2.5)).error, 'Game crashed');
+});
+
+test('auto cash-out pays exactly at the target', () => {
+    const { clock, engine, wallet } = setup({ crashPoints: [3] });
+    const autoCashOuts = [];
+    engine.on('autoCashOut', (accountId, result) => autoCashOuts.push(result));
+    engine.startGame();
+    engine.placeBet('acc', bet(100, 1.5));
+
+    clock.advance(5000 + timeTo(1.5) + 30);
+    assert.strictEqual(autoCashOuts.length, 1);
+    assert.strictEqual(autoCashOuts[0].multiplier, 1.5);
+    assert.strictEqual(wallet.balance, 1050);
+});
+
+test('a cash out arriving after the auto target passed pays the target and reports it once', () => {
+    const { clock, engine, wallet } = setup({ crashPoints: [3] });
+    const autoCashOuts = [];
+    engine.on('autoCashOut', (accountId, result) => autoCashOuts.push(result));
+    engine.startGame();
+    engine.placeBet('acc', bet(100, 1.5));
+    clock.advance(5000);
+
+    // The loop hasn't run since the curve passed 1.5x
+    const result = engine.cashOut('acc', {}, clock.now() + timeTo(2));
+    assert.deepStrictEqual([result.type, result.multiplier, result.stake], ['auto', 1.5, 100]);
+    assert.strictEqual(autoCashOuts.length, 0);
+    assert.strictEqual(wallet.balance, 1050);
+
+    clock.advance(timeTo(3));
+    assert.strictEqual(autoCashOuts.length, 0);
+});
+
+test('open bets lose on a crash', () => {
+    const { clock, engine, wallet } = setup({ crashPoints: [1.2] });
+    const ends = [];
+    engine.on('roundEnd', round => ends.push(round));
+    engine.startGame();
+    engine.placeBet('acc', bet(100));
+
+    clock.advance(5000 + timeTo(1.2) + 30);
+    assert.strictEqual(wallet.balance, 900);
+    assert.strictEqual(wallet.profit, -100);
+    assert.strictEqual(ends[0].results[0].result, 'lost');
+    assert.strictEqual(ends[0].results[0].key, 'acc');
+});
+
+test('a partial cash out takes profit on part of the stake and the rest settles at the crash', () => {
+    const { clock, engine, wallet, sent } = setup({ crashPoints: [2.5] });
+    const ends = [];
+    engine.on('roundEnd', round => ends.push(round));
+    engine.startGame();
+    engine.placeBet('acc', bet(100));
+    clock.advance(5000);
+
+    assert.match(engine.cashOut('acc', { percent: 30 }).error, /25\/50\/75\/100%/);
+    const first = engine.cashOut('acc', { percent: 50 }, clock.now() + timeTo(1.5));
+    assert.strictEqual(first.stake, 50);
+    assert.strictEqual(first.winAmount, 75);
+    assert.strictEqual(first.remaining, 50);
+    const second = engine.cashOut('acc', { percent: 50 }, clock.now() + timeTo(2));
+    assert.strictEqual(second.stake, 25);
+    assert.strictEqual(second.winAmount, 50);
+    assert.strictEqual(sent('PLAYER_CASHED_OUT')[1].exits.length, 2);
+
+    clock.advance(timeTo(2.5) + 30);
+    const [result] = ends[0].results;
+    assert.strictEqual(result.result, 'partial');
+    assert.strictEqual(result.remaining, 25);
+    assert.strictEqual(result.profit, 25 + 25 - 25);
+    assert.deepStrictEqual(result.exits.map(e => e.multiplier.toFixed(2)), ['1.50', '2.00']);
+    assert.strictEqual(wallet.balance, 1025);
+    assert.strictEqual(wallet.profit, 25);
+});
+
+test('cashing out the rest of a partial position wins it', () => {
+    const { clock, engine, wallet } = setup({ crashPoints: [3], balance: 1000 });
+    const ends = [];
+    engine.on('roundEnd', round => ends.push(round));
+    engine.startGame();
+    engine.placeBet('acc', { ...bet(10), slot: 1 });
+    clock.advance(5000);
+
+    assert.strictEqual(engine.cashOut('acc', { slot: 1, percent: 75 }, clock.now() + timeTo(1.2)).stake, 7);
+    assert.strictEqual(engine.cashOut('acc', { slot: 1, percent: 25 }, clock.now() + timeTo(1.2)).error,
+        'Position too small to split');
+    assert.strictEqual(engine.cashOut('acc', { slot: 1 }, clock.now() + timeTo(2)).remaining, 0);
+    assert.strictEqual(engine.cashOut('acc', { slot: 1 }).error, 'No active bet to cash out');
+
+    clock.advance(timeTo(3) + 30);
+    assert.strictEqual(ends[0].results[0].result, 'won');
+    assert.strictEqual(wallet.balance, 1000 - 10 + 8 + 6);
+});
+
+test('a passed auto target closes the whole remainder', () => {
+    const { clock, engine, wallet } = setup({ crashPoints: [3] });
+    engine.startGame();
+    engine.placeBet('acc', bet(100, 1.5));
+    clock.advance(5000);
+
+    const result = engine.cashOut('acc', { percent: 25 }, clock.now() + timeTo(1.6));
+    assert.strictEqual(result.type, 'auto');
+    assert.strictEqual(result.stake, 100);
+    assert.strictEqual(wallet.balance, 1050);
+});
+
+test('roundEnd carries the timeline of curve samples and cash outs', () => {
+    const { clock, engine } = setup({ crashPoints: [2, 3], config: { timelineRate: 100 } });
+    const ends = [];
+    engine.on('roundEnd', round => ends.push(round));
+    engine.startGame();
+    engine.placeBet('acc', bet(100, 1.5));
+    clock.advance(5000 + timeTo(2) + 30);
+
+    const { samples, cashOuts, growthRate } = ends[0].timeline;
+    assert.strictEqual(growthRate, TICKER.growthRate);
+    assert.deepStrictEqual(samples[0], [0, 1]);
+    const [endTime, endPoint] = samples[samples.length - 1];
+    assert.strictEqual(endPoint, 2);
+    assert.ok(Math.abs(endTime - timeTo(2)) <= 1);
+    samples.slice(1, -1).forEach(([t, m], i) => {
+        assert.ok(t - samples[i][0] >= 100);
+        assert.ok(m < 2);
+    });
+    assert.strictEqual(cashOuts.length, 1);
+    assert.strictEqual(cashOuts[0].multiplier, 1.5);
+    assert.strictEqual(cashOuts[0].username, 'alice');
+    assert.strictEqual(cashOuts[0].type, 'auto');
+    assert.ok(Math.abs(cashOuts[0].t - timeTo(1.5)) <= 1);
+
+    // Voided before it launched - nothing to replay
+    engine.voidRound();
+    assert.strictEqual(ends[1].timeline, null);
+});
+
+// --- Admin Actions ---
+
+test('endRound halts at the current multiplier and keeps auto cash-outs below it', () => {
+    const { clock, engine, wallet, sent } = setup({ crashPoints: [10] });
+    assert.strictEqual(engine.endRound().error, 'No round running');
+    engine.startGame();
+    engine.placeBet('acc', bet(100, 1.5));
+    clock.advance(5000 + timeTo(2));
+
+    engine.endRound();
+    const crash = sent('GAME_CRASHED')[0];
+    assert.strictEqual(crash.outcome, 'halted');
+    assert.strictEqual(crash.crashPoint, 2);
+    assert.strictEqual(wallet.balance, 1050);
+});
+
+test('voidRound refunds stakes that are still riding', () => {
+    const { clock, engine, wallet, sent } = setup({ crashPoints: [10] });
+    assert.strictEqual(engine.voidRound().error, 'No round open');
+    engine.startGame();
+    engine.placeBet('acc', bet(100));
+    clock.advance(5000 + timeTo(1.5));
+
+    engine.voidRound();
+    const crash = sent('GAME_CRASHED')[0];
+    assert.strictEqual(crash.outcome, 'voided');
+    assert.strictEqual(crash.results[0].result, 'refunded');
+    assert.strictEqual(wallet.balance, 1000);
+    assert.strictEqual(wallet.profit, 0);
+});
+
+test('voidRound refunds the remainder of a partial position', () => {
+    const { clock, engine, wallet, sent } = setup({ crashPoints: [10] });
+    engine.startGame();
+    engine.placeBet('acc', bet(100));
+    clock.advance(5000);
+    engine.cashOut('acc', { percent: 50 }, clock.now() + timeTo(2));
+    clock.advance(timeTo(2.5));
+
+    engine.voidRound();
+    const [result] = sent('GAME_CRASHED')[0].results;
+    assert.strictEqual(result.result, 'partial');
+    assert.strictEqual(result.profit, 50);
+    assert.strictEqual(wallet.balance, 1050);
+    assert.strictEqual(wallet.profit, 50);
+});
+
+test('config changes apply from the next round', () => {
+    const { clock, engine, sent } = setup({ crashPoints: [1.00, 2.00] });
+    engine.startGame();
+    clock.advance(5000);
+    engine.configure({ growthRate: 0.5 });
+    assert.strictEqual(engine.state.growthRate, TICKER.growthRate);
+
+    clock.advance(30 + 5000);
+    assert.strictEqual(sent('GAME_START')[1].growthRate, 0.5);
+});
@@ -0,0 +1,123 @@
+/**
+ * Provably fair tests - run with `npm test`.
+ * Crash points, seed chain linkage, chains kept across restarts and round verification.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { sha256, crashPointFromSeed, verifyRound, SeedChain, ChainStore } = require('../lib/fairness');
+const { findTicker } = require('../lib/tickers');
+const GameRoom = require('../lib/game-room');
+const { memoryStore } = require('./helpers');
+
+// sha256('test') and sha256('6'), checked against an independent HMAC-SHA256 implementation
+const SEED = '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08';
+const HIGH_SEED = 'e7f6c011776e8db7cd330b54174fd76f7d0216b612387a5ffcfb81e6f0919683';
+
+const io = { to: () => ({ emit() {} }) };
+
+test('crash points match known vectors', () => {
+    // HMAC-SHA256(SEED, 'crash-street') starts b1df725fcf6af -> r = 0.6948..., 0.99 / (1 - r) = 3.24
+    assert.strictEqual(crashPointFromSeed(SEED, 'crash-street'), 3.24);
+    assert.strictEqual(crashPointFromSeed(HIGH_SEED, 'crash-street'), 10.82);
+    // Capped at the ticker's maximum
+    assert.strictEqual(crashPointFromSeed(HIGH_SEED, 'crash-street', findTicker('NFTX')), 5);
+    assert.notStrictEqual(crashPointFromSeed(SEED, 'another-client-seed'), 3.24);
+});
+
+test('every seed in a chain hashes to the one played before it, back to the commitment', () => {
+    const chain = new SeedChain(50);
+    let previous = chain.commitment;
+    for (let i = 1; i <= 50; i++) {
+        const { index, seed, hash } = chain.next();
+        assert.strictEqual(index, i);
+        assert.strictEqual(hash, previous);
+        assert.strictEqual(sha256(seed), hash);
+        previous = seed;
+    }
+    assert.strictEqual(chain.exhausted, true);
+    assert.throws(() => chain.next(), /exhausted/);
+});
+
+test('a chain rebuilt from its saved state deals the same unplayed seeds', () => {
+    const chain = new SeedChain(20);
+    chain.next();
+    chain.next();
+    const state = chain.toState();
+    const restored = new SeedChain(state.length, state);
+
+    assert.strictEqual(restored.commitment, chain.commitment);
+    assert.strictEqual(restored.played, 2);
+    assert.deepStrictEqual(restored.next(), chain.next());
+});
+
+test('a ticker room keeps its chain and client seed across a restart', () => {
+    const store = memoryStore();
+    const nftx = findTicker('NFTX');
+    const first = new GameRoom(io, nftx, { clientSeed: 'crash-street', chains: new ChainStore(store) });
+    const dealt = [first.rng.nextRound(), first.rng.nextRound()];
+
+    // A new client seed only applies from the next chain
+    const second = new GameRoom(io, nftx, { clientSeed: 'changed', chains: new ChainStore(store) });
+    const next = second.rng.nextRound();
+    assert.strictEqual(second.chain.commitment, first.chain.commitment);
+    assert.strictEqual(second.clientSeed, 'crash-street');
+    assert.strictEqual(next.info.chainIndex, 3);
+    assert.strictEqual(next.hash, dealt[1].seed);
+
+    // Only the one chain was ever committed, and its terminal seed stays out of the public log
+    const history = new ChainStore(store).history();
+    assert.deepStrictEqual(history.map(c => [c.key, c.commitment, c.clientSeed]), [['NFTX', first.chain.commitment, 'crash-street']]);
+    assert.ok(!JSON.stringify(history).includes(store.data.chains.NFTX.terminalSeed));
+});
+
+test('rooms without a chain store deal a fresh chain each time', () => {
+    const nftx = findTicker('NFTX');
+    const a = new GameRoom(io, nftx, { clientSeed: 'crash-street' });
+    const b = new GameRoom(io, nftx, { clientSeed: 'crash-street' });
+    assert.notStrictEqual(a.chain.commitment, b.chain.commitment);
+});
+
+// --- Verification ---
+
+const round = (fields = {}) => ({
+    gameId: 'NFTX-1',
+    ticker: 'NFTX',
+    hash: sha256(HIGH_SEED),
+    seed: HIGH_SEED,
+    clientSeed: 'crash-street',
+    houseEdge: 0.01,
+    maxMultiplier: 5,
+    crashPoint: 5,
+    outcome: 'crashed',
+    bets: [{ accountId: 'secret' }],
+    timeline: { samples: [] },
+    ...fields
+});
+
+test('a running round shows its hash but not its seed', () => {
+    assert.deepStrictEqual(verifyRound(round({ seed: null, crashPoint: null, outcome: null })), {
+        gameId: 'NFTX-1',
+        ticker: 'NFTX',
+        status: 'running',
+        hash: sha256(HIGH_SEED),
+        clientSeed: 'crash-street'
+    });
+});
+
+test('a crashed round is valid only at the crash point its seed gives', () => {
+    const result = verifyRound(round());
+    assert.strictEqual(result.status, 'crashed');
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.bets, undefined);
+    assert.strictEqual(result.timeline, undefined);
+
+    assert.strictEqual(verifyRound(round({ crashPoint: 4.99 })).valid, false);
+    assert.strictEqual(verifyRound(round({ seed: SEED })).valid, false);
+});
+
+test('a halted or voided round is valid at or below its fair crash point', () => {
+    assert.strictEqual(verifyRound(round({ outcome: 'halted', crashPoint: 2.5 })).valid, true);
+    assert.strictEqual(verifyRound(round({ outcome: 'voided', crashPoint: 1 })).status, 'voided');
+    assert.strictEqual(verifyRound(round({ outcome: 'halted', crashPoint: 5.5 })).valid, false);
+});
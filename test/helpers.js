@@ -0,0 +1,101 @@
+/**
+ * Test doubles shared by the unit tests - a clock the test drives, an in-memory
+ * wallet and store, and rounds with fixed crash points.
+ */
+
+// Intervals and timeouts only fire when the test advances time
+class ManualClock {
+    constructor() {
+        this.time = 1000000;
+        this.timers = new Map(); // handle -> { fn, ms, next, once }
+        this.nextHandle = 1;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setInterval(fn, ms) {
+        const handle = this.nextHandle++;
+        this.timers.set(handle, { fn, ms, next: this.time + ms });
+        return handle;
+    }
+
+    clearInterval(handle) {
+        this.timers.delete(handle);
+    }
+
+    setTimeout(fn, ms) {
+        const handle = this.setInterval(fn, ms);
+        this.timers.get(handle).once = true;
+        return handle;
+    }
+
+    clearTimeout(handle) {
+        this.timers.delete(handle);
+    }
+
+    advance(ms) {
+        const end = this.time + ms;
+        for (;;) {
+            let due = null;
+            this.timers.forEach((timer, handle) => {
+                if (timer.next <= end && (!due || timer.next < due.timer.next)) due = { handle, timer };
+            });
+            if (!due) break;
+
+            this.time = due.timer.next;
+            if (due.timer.once) {
+                this.timers.delete(due.handle);
+            } else {
+                due.timer.next += due.timer.ms;
+            }
+            due.timer.fn();
+        }
+        this.time = end;
+    }
+}
+
+// In-memory wallet adapter
+function memoryWallet(balance = 1000) {
+    return {
+        balance: balance,
+        profit: 0,
+        debit(accountId, amount) {
+            if (amount > this.balance) return { error: 'Insufficient funds' };
+            this.balance -= amount;
+            return { balance: this.balance };
+        },
+        settle(accountId, winAmount, profit) {
+            this.balance += winAmount;
+            this.profit += profit;
+        }
+    };
+}
+
+// Stands in for JsonStore - changes stay in memory, saves are only counted
+function memoryStore(data = {}) {
+    return {
+        data: data,
+        saves: 0,
+        save() {
+            this.saves++;
+        }
+    };
+}
+
+// Rounds crash at the given points in turn
+function fixedRounds(...crashPoints) {
+    let betId = 0;
+    return {
+        nextRound: () => ({ crashPoint: crashPoints.shift() || 1.00, seed: 'seed', hash: 'hash', info: { chainIndex: 1 } }),
+        betId: () => `bet${++betId}`
+    };
+}
+
+module.exports = {
+    ManualClock,
+    memoryWallet,
+    memoryStore,
+    fixedRounds
+};
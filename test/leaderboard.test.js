@@ -0,0 +1,118 @@
+/**
+ * Leaderboard tests - run with `npm test`.
+ * A stand-in archive holds the bet rows; rounds are added to it before roundEnded, as the server does.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Leaderboard } = require('../lib/leaderboard');
+
+// Only playerBets is read, rows as the round archive keeps them
+function memoryArchive() {
+    return {
+        playerBets: new Map(),
+        add(round) {
+            round.bets.forEach(({ accountId, ...bet }) => {
+                if (!this.playerBets.has(accountId)) this.playerBets.set(accountId, []);
+                this.playerBets.get(accountId).push({ gameId: round.gameId, ticker: round.ticker, room: round.room || null, tournament: round.tournament || null, startTime: round.startTime, ...bet });
+            });
+        }
+    };
+}
+
+function bet(accountId, profit, exits = [], result = profit > 0 ? 'won' : 'lost') {
+    return { accountId, playerId: `p-${accountId}`, username: accountId, amount: 100, profit, exits, result };
+}
+
+let games = 0;
+function playRound(archive, board, ticker, bets) {
+    const round = { gameId: `${ticker}-${++games}`, ticker: ticker, startTime: Date.now(), bets: bets };
+    archive.add(round);
+    board.roundEnded(round);
+}
+
+test('running totals match a board rebuilt from the archive', () => {
+    const archive = memoryArchive();
+    const board = new Leaderboard(archive, { tickers: ['AAA', 'BBB'] });
+    playRound(archive, board, 'AAA', [bet('ann', 50, [{ multiplier: 1.5 }]), bet('bob', -100)]);
+    playRound(archive, board, 'BBB', [bet('bob', 300, [{ multiplier: 4 }]), bet('bob', -100)]);
+    playRound(archive, board, 'AAA', [bet('ann', -100, [], 'refunded'), bet('cat', 20, [{ multiplier: 1.2 }])]);
+
+    const fresh = new Leaderboard(archive, { tickers: ['AAA', 'BBB'] });
+    [null, 'AAA', 'BBB'].forEach((ticker) => {
+        ['profit', 'multiplier', 'rounds'].forEach((metric) => {
+            const query = { metric, period: 'all', ticker };
+            assert.deepStrictEqual(board.get(query).entries, fresh.get(query).entries);
+        });
+    });
+
+    const global = board.get({ metric: 'rounds', period: 'daily' }).entries;
+    // Two slots in one round are one round played, a refund is none
+    assert.deepStrictEqual(global.map(e => [e.username, e.value]), [['bob', 2], ['ann', 1], ['cat', 1]]);
+    assert.deepStrictEqual(board.get({ metric: 'profit', period: 'all', ticker: 'BBB' }).entries.map(e => e.value), [200]);
+});
+
+test('a round only reads its own bets, not the whole archive', () => {
+    const archive = memoryArchive();
+    const board = new Leaderboard(archive, { tickers: ['AAA'] });
+    playRound(archive, board, 'AAA', [bet('ann', 50)]);
+
+    let reads = 0;
+    const playerBets = archive.playerBets;
+    archive.playerBets = { forEach: (fn) => { reads += 1; playerBets.forEach(fn); } };
+    board.roundEnded({ ticker: 'AAA', gameId: 'x', startTime: Date.now(), bets: [bet('bob', 10)] });
+    board.get({ metric: 'profit', period: 'weekly', ticker: 'AAA' });
+    assert.strictEqual(reads, 0);
+});
+
+test('players that are not listed are left off until re-ranked', () => {
+    const archive = memoryArchive();
+    const banned = new Set();
+    const board = new Leaderboard(archive, { isListed: accountId => !banned.has(accountId) });
+    playRound(archive, board, 'AAA', [bet('ann', 50), bet('bob', 80)]);
+    assert.strictEqual(board.get({ metric: 'profit', period: 'all' }).entries[0].username, 'bob');
+
+    banned.add('bob');
+    board.invalidate();
+    assert.deepStrictEqual(board.get({ metric: 'profit', period: 'all' }).entries.map(e => e.username), ['ann']);
+});
+
+test('new leaders are announced once per round, all boards together', () => {
+    const archive = memoryArchive();
+    const board = new Leaderboard(archive, { tickers: ['AAA'] });
+    const announced = [];
+    board.on('leaders', leaders => announced.push(leaders));
+
+    playRound(archive, board, 'AAA', [bet('ann', 50, [{ multiplier: 1.5 }])]);
+    assert.strictEqual(announced.length, 1);
+    // 3 metrics on the daily, weekly and all-time boards, global and $AAA
+    assert.strictEqual(announced[0].length, 18);
+
+    playRound(archive, board, 'AAA', [bet('ann', 10, [{ multiplier: 1.1 }])]);
+    assert.strictEqual(announced.length, 1);
+});
+
+test('nobody leads a profit board at a loss', () => {
+    const archive = memoryArchive();
+    const board = new Leaderboard(archive);
+    const announced = [];
+    board.on('leaders', leaders => announced.push(...leaders));
+
+    playRound(archive, board, 'AAA', [bet('ann', -50)]);
+    assert.deepStrictEqual(Array.from(new Set(announced.map(l => l.metric))), ['rounds']);
+
+    announced.length = 0;
+    playRound(archive, board, 'AAA', [bet('ann', 80, [{ multiplier: 2 }])]);
+    assert.deepStrictEqual(announced.filter(l => l.metric === 'profit').map(l => [l.username, l.value]), [['ann', 30], ['ann', 30], ['ann', 30]]);
+});
+
+test('archived private room and tournament rounds stay off the boards', () => {
+    const archive = memoryArchive();
+    archive.add({ gameId: 'AAA-t1-1', ticker: 'AAA', tournament: 't1', startTime: Date.now(), bets: [bet('ann', 5000, [{ multiplier: 50 }])] });
+    archive.add({ gameId: 'AAA-ROOM42-1', ticker: 'AAA', room: 'ROOM42', startTime: Date.now(), bets: [bet('cat', 900, [{ multiplier: 10 }])] });
+    archive.add({ gameId: 'AAA-1', ticker: 'AAA', startTime: Date.now(), bets: [bet('bob', 10, [{ multiplier: 1.1 }])] });
+
+    const board = new Leaderboard(archive, { tickers: ['AAA'] });
+    assert.deepStrictEqual(board.get({ metric: 'profit', period: 'all', ticker: 'AAA' }).entries.map(e => e.username), ['bob']);
+    assert.deepStrictEqual(board.get({ metric: 'rounds', period: 'daily' }).entries.map(e => e.username), ['bob']);
+});
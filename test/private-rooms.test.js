@@ -0,0 +1,131 @@
+/**
+ * Private room unit tests - run with `npm test`.
+ * Rooms are plain GameEngines on the test's manual clock, so idle closes only happen
+ * when the test advances time.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { GameEngine } = require('../lib/engine');
+const { findTicker } = require('../lib/tickers');
+const { PrivateRooms } = require('../lib/private-rooms');
+const { ManualClock, memoryWallet, fixedRounds } = require('./helpers');
+
+const IDLE = 60000;
+
+function setup() {
+    const clock = new ManualClock();
+    const created = [];
+    const privateRooms = new PrivateRooms({
+        clock: clock,
+        idleTimeout: IDLE,
+        config: { minBet: 10, maxBet: 250000 },
+        createRoom: (code, ticker, config) => {
+            created.push(code);
+            return new GameEngine(ticker, {
+                clock: clock,
+                wallet: memoryWallet(),
+                rng: fixedRounds(...Array(100).fill(1.50)),
+                config: config
+            });
+        }
+    });
+    return { clock, privateRooms, created };
+}
+
+const ann = { id: 'ann', username: 'ann' };
+const bob = { id: 'bob', username: 'bob' };
+const nftx = findTicker('NFTX');
+
+test('a room starts its loop with the host settings and a join code', () => {
+    const { privateRooms } = setup();
+    const room = privateRooms.create(ann, { ticker: nftx, name: '  ', config: { minBet: 50, bettingDuration: 3000 } });
+
+    assert.match(room.code, /^[A-HJ-NP-Z2-9]{6}$/);
+    assert.strictEqual(room.name, "ann's room");
+    assert.strictEqual(room.ticker, 'NFTX');
+    assert.strictEqual(room.host, 'ann');
+    assert.strictEqual(room.members, 0);
+    assert.deepStrictEqual(room.config, { growthRate: nftx.growthRate, minBet: 50, maxBet: 250000, bettingDuration: 3000 });
+    assert.strictEqual(privateRooms.room(room.code).state.phase, 'waiting');
+    assert.deepStrictEqual(privateRooms.list().map(r => r.code), [room.code]);
+});
+
+test('host settings are limited to the room settings and checked against the admin schema', () => {
+    const { privateRooms, created } = setup();
+    assert.strictEqual(privateRooms.create(ann, { ticker: nftx, config: { tickRate: 10 } }).error, 'Unknown setting: tickRate');
+    assert.strictEqual(privateRooms.create(ann, { ticker: nftx, config: { constructor: 1 } }).error, 'Unknown setting: constructor');
+    assert.ok(privateRooms.create(ann, { ticker: nftx, config: { growthRate: 5 } }).error);
+    assert.strictEqual(privateRooms.create(ann, { ticker: nftx, config: { minBet: 500, maxBet: 100 } }).error, 'minBet cannot be above maxBet');
+    // Checked against the limits a room starts from, before any room exists
+    assert.strictEqual(privateRooms.create(ann, { ticker: nftx, config: { minBet: 300000 } }).error, 'minBet cannot be above maxBet');
+    assert.strictEqual(privateRooms.list().length, 0);
+    assert.deepStrictEqual(created, []);
+});
+
+test('each host may run one room at a time', () => {
+    const { clock, privateRooms } = setup();
+    const first = privateRooms.create(ann, { ticker: nftx });
+    assert.strictEqual(privateRooms.create(ann, { ticker: nftx }).error, `You already host room ${first.code}`);
+    assert.ok(!privateRooms.create(bob, { ticker: nftx }).error);
+
+    // Once the first room is closed its host can open another
+    clock.advance(IDLE);
+    assert.ok(!privateRooms.create(ann, { ticker: nftx }).error);
+});
+
+test('join codes are case-insensitive', () => {
+    const { privateRooms } = setup();
+    const { code } = privateRooms.create(ann, { ticker: nftx });
+
+    assert.strictEqual(privateRooms.join(code.toLowerCase(), 'socket-1').code, code);
+    assert.strictEqual(privateRooms.join('NOROOM', 'socket-2').error, 'No room with that code');
+    assert.strictEqual(privateRooms.list()[0].members, 1);
+});
+
+test('a room nobody joins is closed after the idle timeout', () => {
+    const { clock, privateRooms } = setup();
+    const { code } = privateRooms.create(ann, { ticker: nftx });
+    const room = privateRooms.room(code);
+    const closed = [];
+    privateRooms.on('closed', entry => closed.push(entry.code));
+
+    clock.advance(IDLE - 1);
+    assert.ok(privateRooms.room(code));
+    clock.advance(1);
+    assert.strictEqual(privateRooms.room(code), null);
+    assert.deepStrictEqual(closed, [code]);
+    assert.strictEqual(room.paused, true);
+
+    // The round in progress plays out, then the loop stops
+    clock.advance(30000);
+    assert.strictEqual(room.state.phase, 'idle');
+});
+
+test('members keep a room open, and the idle timeout restarts when the last one leaves', () => {
+    const { clock, privateRooms } = setup();
+    const { code } = privateRooms.create(ann, { ticker: nftx });
+
+    privateRooms.join(code, 'socket-1');
+    privateRooms.join(code, 'socket-2');
+    clock.advance(IDLE * 3);
+    assert.ok(privateRooms.room(code));
+
+    privateRooms.leave(code, 'socket-1');
+    clock.advance(IDLE * 3);
+    assert.ok(privateRooms.room(code));
+
+    privateRooms.leave(code, 'socket-2');
+    clock.advance(IDLE - 1);
+    assert.ok(privateRooms.room(code));
+
+    // Rejoining in time cancels the close
+    privateRooms.join(code, 'socket-2');
+    clock.advance(IDLE);
+    assert.ok(privateRooms.room(code));
+
+    privateRooms.leave(code, 'socket-2');
+    privateRooms.leave(code, 'socket-2');
+    clock.advance(IDLE);
+    assert.strictEqual(privateRooms.room(code), null);
+});
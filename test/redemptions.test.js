@@ -0,0 +1,92 @@
+/**
+ * Redemption tests - run with `npm test`.
+ * Requests escrow Crash Cash from a real Accounts wallet on an in-memory store.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Accounts = require('../lib/accounts');
+const Redemptions = require('../lib/redemptions');
+const { memoryStore } = require('./helpers');
+
+function setup(balance = 120000) {
+    const store = memoryStore({
+        accounts: {
+            ann: { id: 'ann', publicId: 'p-ann', username: 'ann', referralCode: 'ANNA-ANNA', balance: balance, totalProfit: 0 }
+        }
+    });
+    const accounts = new Accounts(store);
+    const redemptions = new Redemptions(store, accounts);
+    const updates = [];
+    redemptions.on('update', request => updates.push(request.status));
+    return { accounts, redemptions, updates, balance: () => accounts.get('ann').balance };
+}
+
+test('a request escrows the amount from the wallet', () => {
+    const { redemptions, updates, balance } = setup();
+    const request = redemptions.request('ann', 50000);
+
+    assert.strictEqual(request.status, 'pending');
+    assert.strictEqual(request.usd, 50);
+    assert.strictEqual(request.username, 'ann');
+    assert.strictEqual(balance(), 70000);
+    assert.deepStrictEqual(updates, ['pending']);
+    assert.deepStrictEqual(redemptions.list('ann').map(r => r.id), [request.id]);
+});
+
+test('requests below the minimum, off the step or beyond the balance are refused', () => {
+    const { redemptions, balance } = setup();
+    assert.strictEqual(redemptions.request('ann', 49000).error, 'Minimum redemption is 50000 CC');
+    assert.strictEqual(redemptions.request('ann', 50500).error, 'Redemptions must be in steps of 1000 CC');
+    assert.strictEqual(redemptions.request('ann', '60000').error, 'Minimum redemption is 50000 CC');
+    assert.strictEqual(redemptions.request('ann', 121000).error, 'Insufficient funds');
+    assert.strictEqual(balance(), 120000);
+    assert.deepStrictEqual(redemptions.listAll(), []);
+});
+
+test('an approved request is paid without touching the wallet again', () => {
+    const { redemptions, updates, balance } = setup();
+    const { id } = redemptions.request('ann', 60000);
+
+    assert.strictEqual(redemptions.review(id, 'approve', 'Checked').status, 'approved');
+    const paid = redemptions.review(id, 'pay');
+    assert.strictEqual(paid.status, 'paid');
+    assert.strictEqual(paid.note, 'Checked');
+    assert.deepStrictEqual(paid.log.map(entry => entry.status), ['pending', 'approved', 'paid']);
+    assert.strictEqual(balance(), 60000);
+    assert.deepStrictEqual(updates, ['pending', 'approved', 'paid']);
+});
+
+test('a rejected request refunds the escrow', () => {
+    const { redemptions, balance } = setup();
+    const { id } = redemptions.request('ann', 60000);
+
+    const rejected = redemptions.review(id, 'reject', 'Suspicious');
+    assert.strictEqual(rejected.status, 'rejected');
+    assert.strictEqual(rejected.note, 'Suspicious');
+    assert.strictEqual(balance(), 120000);
+});
+
+test('a request can only be reviewed once along each step', () => {
+    const { redemptions, balance } = setup();
+    const first = redemptions.request('ann', 50000).id;
+    const second = redemptions.request('ann', 50000).id;
+
+    redemptions.review(first, 'reject');
+    assert.strictEqual(redemptions.review(first, 'reject').error, 'Cannot reject a rejected redemption');
+    assert.strictEqual(redemptions.review(first, 'approve').error, 'Cannot approve a rejected redemption');
+    // Refunded once, not twice
+    assert.strictEqual(balance(), 70000);
+
+    redemptions.review(second, 'approve');
+    assert.strictEqual(redemptions.review(second, 'approve').error, 'Cannot approve a approved redemption');
+    assert.strictEqual(redemptions.review(second, 'reject').error, 'Cannot reject a approved redemption');
+    redemptions.review(second, 'pay');
+    assert.strictEqual(redemptions.review(second, 'pay').error, 'Cannot pay a paid redemption');
+    assert.strictEqual(balance(), 70000);
+
+    assert.strictEqual(redemptions.review(first, 'refund').error, 'Unknown action');
+    assert.strictEqual(redemptions.review(second, 'constructor').error, 'Unknown action');
+    assert.strictEqual(redemptions.review('missing', 'approve').error, 'Redemption not found');
+    assert.deepStrictEqual(redemptions.listAll('paid').map(r => r.id), [second]);
+});
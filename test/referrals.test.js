@@ -0,0 +1,80 @@
+/**
+ * Referral tests - run with `npm test`.
+ * Bonuses are credited to real Accounts wallets on an in-memory store.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Accounts = require('../lib/accounts');
+const Referrals = require('../lib/referrals');
+const { memoryStore } = require('./helpers');
+
+const account = (name, registrationIp) => ({
+    id: name,
+    publicId: `p-${name}`,
+    username: name,
+    referralCode: `${name.toUpperCase().padEnd(4, 'X')}-CODE`,
+    registrationIp: registrationIp,
+    balance: 5000,
+    totalProfit: 0
+});
+
+function setup() {
+    const store = memoryStore({
+        accounts: {
+            ann: account('ann', '10.0.0.1'),
+            bob: account('bob', '10.0.0.2'),
+            cat: account('cat', '10.0.0.3'),
+            dan: account('dan', '10.0.0.2')
+        }
+    });
+    const accounts = new Accounts(store);
+    return { accounts, referrals: new Referrals(store, accounts), balance: id => accounts.get(id).balance };
+}
+
+test('redeeming a code pays both bonuses once', () => {
+    const { referrals, balance } = setup();
+    assert.deepStrictEqual(referrals.redeem('bob', 'annx-code', '10.0.0.2'), { bonus: 400, referrer: 'ann' });
+    assert.strictEqual(balance('bob'), 5400);
+    assert.strictEqual(balance('ann'), 5100);
+
+    const summary = referrals.summary('ann');
+    assert.deepStrictEqual(summary.referred.map(r => [r.username, r.bonus]), [['bob', 100]]);
+    assert.strictEqual(summary.earned, 100);
+    assert.strictEqual(referrals.summary('bob').referredBy, 'ann');
+});
+
+test('each account redeems a code only once', () => {
+    const { referrals, balance } = setup();
+    referrals.redeem('bob', 'ANNX-CODE', '10.0.0.2');
+    assert.strictEqual(referrals.redeem('bob', 'CATX-CODE', '10.0.0.9').error, 'You have already redeemed a referral code');
+    assert.strictEqual(balance('bob'), 5400);
+    assert.strictEqual(balance('cat'), 5000);
+});
+
+test('an unknown code and your own code are refused', () => {
+    const { referrals, balance } = setup();
+    assert.strictEqual(referrals.redeem('bob', 'NOPE-NOPE', '10.0.0.2').error, 'Invalid referral code');
+    assert.strictEqual(referrals.redeem('bob', '', '10.0.0.2').error, 'Invalid referral code');
+    assert.strictEqual(referrals.redeem('ann', 'ANNX-CODE', '10.0.0.7').error, 'You cannot redeem your own referral code');
+    assert.strictEqual(balance('ann'), 5000);
+});
+
+test('codes cannot be redeemed from the referrer\'s network', () => {
+    const { referrals, balance } = setup();
+    // Redeeming from the IP the referrer registered from
+    assert.match(referrals.redeem('bob', 'ANNX-CODE', '10.0.0.1').error, /referrer's network/);
+    // Registered from the referrer's IP, redeeming from elsewhere
+    assert.match(referrals.redeem('dan', 'BOBX-CODE', '10.0.0.9').error, /referrer's network/);
+    assert.strictEqual(balance('ann') + balance('bob') + balance('dan'), 15000);
+});
+
+test('only one bonus is paid per network', () => {
+    const { referrals, balance } = setup();
+    referrals.redeem('bob', 'ANNX-CODE', '10.0.0.8');
+    // dan registered from bob's IP
+    assert.strictEqual(referrals.redeem('dan', 'CATX-CODE', '10.0.0.9').error, 'A referral bonus has already been claimed from this network');
+    // cat redeems from the IP bob redeemed from
+    assert.strictEqual(referrals.redeem('cat', 'ANNX-CODE', '10.0.0.8').error, 'A referral bonus has already been claimed from this network');
+    assert.deepStrictEqual(['ann', 'bob', 'cat', 'dan'].map(balance), [5100, 5400, 5000, 5000]);
+});
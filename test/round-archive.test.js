@@ -0,0 +1,188 @@
+/**
+ * Round archive tests - run with `npm test`.
+ * Each test gets its own rounds.jsonl in a temp directory that is removed afterwards.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RoundArchive = require('../lib/round-archive');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'round-archive-'));
+let files = 0;
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function tempFile() {
+    files += 1;
+    return path.join(dir, `rounds-${files}.jsonl`);
+}
+
+function quietly(fn) {
+    const { log, error } = console;
+    console.log = console.error = () => {};
+    try {
+        return fn();
+    } finally {
+        Object.assign(console, { log, error });
+    }
+}
+
+function makeRound(n, extra = {}) {
+    return {
+        gameId: `NFTX-${n}`,
+        ticker: 'NFTX',
+        startTime: n * 1000,
+        endTime: n * 1000 + 500,
+        crashPoint: 2,
+        seed: `seed-${n}`,
+        hash: `hash-${n}`,
+        bets: [{ accountId: 'ann', betId: `b-${n}`, amount: 100, multiplier: 2, profit: 100, result: 'win' }],
+        ...extra
+    };
+}
+
+function filledArchive(count) {
+    const archive = new RoundArchive(tempFile());
+    for (let n = 1; n <= count; n++) {
+        archive.add(makeRound(n));
+    }
+    return archive;
+}
+
+// --- Pagination ---
+
+test('pages run newest first and report the total', () => {
+    const archive = filledArchive(5);
+    const first = archive.list({ page: 1, limit: 2 });
+    assert.deepStrictEqual(first.rounds.map(r => r.gameId), ['NFTX-5', 'NFTX-4']);
+    assert.strictEqual(first.total, 5);
+
+    const last = archive.list({ page: 3, limit: 2 });
+    assert.deepStrictEqual(last.rounds.map(r => r.gameId), ['NFTX-1']);
+    assert.deepStrictEqual(archive.list({ page: 4, limit: 2 }).rounds, []);
+});
+
+test('page and limit below one are raised to one', () => {
+    const archive = filledArchive(3);
+    const result = archive.list({ page: -2, limit: 0 });
+    assert.strictEqual(result.page, 1);
+    assert.strictEqual(result.limit, 1);
+    assert.deepStrictEqual(result.rounds.map(r => r.gameId), ['NFTX-3']);
+});
+
+test('summaries leave out seeds, bets and file offsets', () => {
+    const [summary] = filledArchive(1).list({}).rounds;
+    assert.deepStrictEqual(summary, {
+        gameId: 'NFTX-1', ticker: 'NFTX', room: null, tournament: null,
+        startTime: 1000, endTime: 1500, crashPoint: 2, players: 1, wagered: 100
+    });
+});
+
+test('null room and tournament filters keep the public rounds only', () => {
+    const archive = filledArchive(1);
+    archive.add(makeRound(2, { room: 'ABCD' }));
+    archive.add(makeRound(3, { tournament: 't-1' }));
+
+    const ids = filters => archive.list(filters).rounds.map(r => r.gameId);
+    assert.deepStrictEqual(ids({ room: null, tournament: null }), ['NFTX-1']);
+    assert.deepStrictEqual(ids({ room: 'ABCD' }), ['NFTX-2']);
+    assert.deepStrictEqual(ids({ tournament: 't-1' }), ['NFTX-3']);
+    assert.deepStrictEqual(ids({}), ['NFTX-3', 'NFTX-2', 'NFTX-1']);
+});
+
+test('from and to bound the start time inclusively', () => {
+    const archive = filledArchive(5);
+    const { rounds } = archive.list({ from: 2000, to: 4000 });
+    assert.deepStrictEqual(rounds.map(r => r.gameId), ['NFTX-4', 'NFTX-3', 'NFTX-2']);
+});
+
+test('a player sees only their own bets and get strips account ids', () => {
+    const archive = filledArchive(2);
+    assert.strictEqual(archive.listBets('ann', {}).total, 2);
+    assert.strictEqual(archive.listBets('bob', {}).total, 0);
+
+    const round = archive.get('NFTX-2');
+    assert.strictEqual(round.seed, 'seed-2');
+    assert.strictEqual(round.bets[0].accountId, undefined);
+    assert.strictEqual(archive.get('NFTX-9'), null);
+});
+
+// --- Query Parsing ---
+
+test('query limits default to 20 and are capped at the page size limit', () => {
+    assert.deepStrictEqual(RoundArchive.parseQuery({}, 100), { page: 1, limit: 20 });
+    assert.strictEqual(RoundArchive.parseQuery({ limit: '5000' }, 100).limit, 100);
+    assert.strictEqual(RoundArchive.parseQuery({ limit: 'abc', page: 'x' }, 100).limit, 20);
+    assert.strictEqual(RoundArchive.parseQuery({ page: '3' }, 100).page, 3);
+});
+
+test('query tickers, rooms and dates are normalized', () => {
+    const filters = RoundArchive.parseQuery({ ticker: 'nftx', room: 'abcd', from: '1700000000000', to: '2024-01-02T00:00:00Z' }, 100);
+    assert.strictEqual(filters.ticker, 'NFTX');
+    assert.strictEqual(filters.room, 'ABCD');
+    assert.strictEqual(filters.from, 1700000000000);
+    assert.strictEqual(filters.to, Date.parse('2024-01-02T00:00:00Z'));
+});
+
+test('unknown tickers and bad dates are errors', () => {
+    assert.deepStrictEqual(RoundArchive.parseQuery({ ticker: 'NOPE' }, 100), { error: 'Unknown ticker' });
+    assert.deepStrictEqual(RoundArchive.parseQuery({ from: 'yesterday' }, 100), { error: 'Invalid from date' });
+    assert.deepStrictEqual(RoundArchive.parseQuery({ to: '2024-13-45' }, 100), { error: 'Invalid to date' });
+});
+
+// --- CSV ---
+
+test('the csv export quotes commas, quotes and newlines', () => {
+    const csv = RoundArchive.toCsv([{
+        gameId: 'NFTX-1', ticker: 'NFTX', startTime: 0, crashPoint: 2, betId: 'a,b', amount: 100,
+        entryMultiplier: 1, multiplier: 2, profit: 100, result: 'say "hi"\nbye',
+        exits: [{ stake: 50, multiplier: 1.5 }, { stake: 50, multiplier: 2.1 }]
+    }]);
+    const [header] = csv.split('\n', 1);
+
+    assert.strictEqual(header, 'gameId,ticker,startTime,crashPoint,betId,amount,entryMultiplier,multiplier,profit,result,exits');
+    assert.strictEqual(csv.slice(header.length + 1),
+        'NFTX-1,NFTX,1970-01-01T00:00:00.000Z,2,"a,b",100,1,2,100,"say ""hi""\nbye",50@1.50x 50@2.10x\n');
+});
+
+test('missing csv fields are left empty', () => {
+    const csv = RoundArchive.toCsv([{ gameId: 'NFTX-1', ticker: 'NFTX', startTime: 0, crashPoint: 2, betId: 'b', amount: 10 }]);
+    assert.strictEqual(csv.split('\n')[1], 'NFTX-1,NFTX,1970-01-01T00:00:00.000Z,2,b,10,,,,,');
+});
+
+// --- Loading ---
+
+test('a reload reads back every round', () => {
+    const archive = filledArchive(3);
+    const reloaded = quietly(() => new RoundArchive(archive.file));
+    assert.strictEqual(reloaded.list({}).total, 3);
+    assert.strictEqual(reloaded.get('NFTX-2').seed, 'seed-2');
+});
+
+test('a truncated last line is skipped and the next round starts on a fresh line', () => {
+    const archive = filledArchive(2);
+    fs.appendFileSync(archive.file, JSON.stringify(makeRound(3)).slice(0, 40));
+
+    const recovered = quietly(() => new RoundArchive(archive.file));
+    assert.deepStrictEqual(recovered.list({}).rounds.map(r => r.gameId), ['NFTX-2', 'NFTX-1']);
+
+    recovered.add(makeRound(4));
+    assert.strictEqual(recovered.get('NFTX-4').seed, 'seed-4');
+
+    const reloaded = quietly(() => new RoundArchive(archive.file));
+    assert.deepStrictEqual(reloaded.list({}).rounds.map(r => r.gameId), ['NFTX-4', 'NFTX-2', 'NFTX-1']);
+    assert.strictEqual(reloaded.get('NFTX-4').seed, 'seed-4');
+    assert.strictEqual(reloaded.listBets('ann', {}).total, 3);
+});
+
+test('an unreadable line in the middle does not hide the rounds after it', () => {
+    const file = tempFile();
+    fs.writeFileSync(file, [JSON.stringify(makeRound(1)), '{"gameId":', JSON.stringify(makeRound(2))].join('\n') + '\n');
+
+    const archive = quietly(() => new RoundArchive(file));
+    assert.deepStrictEqual(archive.list({}).rounds.map(r => r.gameId), ['NFTX-2', 'NFTX-1']);
+    assert.strictEqual(archive.get('NFTX-2').seed, 'seed-2');
+});
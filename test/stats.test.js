@@ -0,0 +1,169 @@
+/**
+ * Player stats tests - run with `npm test`.
+ * lib/stats.js folds rounds into stats; the tracker keeps lifetime stats from the
+ * archive and session stats from the rounds since the player connected.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CURVE_LIMIT, emptyStats, recordRound, fromBets, summarize } = require('../lib/stats');
+const StatsTracker = require('../lib/stats-tracker');
+
+function win(amount, ...multipliers) {
+    const stake = amount / multipliers.length;
+    const payout = multipliers.reduce((sum, multiplier) => sum + stake * multiplier, 0);
+    return { amount, profit: payout - amount, result: 'won', exits: multipliers.map(multiplier => ({ stake, multiplier })) };
+}
+
+function loss(amount) {
+    return { amount, profit: -amount, result: 'lost', exits: [] };
+}
+
+function refund(amount) {
+    return { amount, profit: 0, result: 'refunded', exits: [] };
+}
+
+// --- Folding Rounds ---
+
+test('one round counts once, won when its bets add up to a profit', () => {
+    const stats = emptyStats(0);
+    assert.strictEqual(recordRound(stats, { ticker: 'NFTX', time: 1, bets: [win(100, 2), loss(150)] }), true);
+
+    const summary = summarize(stats);
+    assert.strictEqual(summary.rounds, 1);
+    assert.strictEqual(summary.wins, 0);
+    assert.strictEqual(summary.wagered, 250);
+    assert.strictEqual(summary.profit, -50);
+    assert.strictEqual(summary.biggestWin, 0);
+    assert.deepStrictEqual(summary.curve, [[1, -50]]);
+});
+
+test('refunded bets do not count and a fully refunded round is skipped', () => {
+    const stats = emptyStats(0);
+    assert.strictEqual(recordRound(stats, { ticker: 'NFTX', time: 1, bets: [refund(100)] }), false);
+    recordRound(stats, { ticker: 'NFTX', time: 2, bets: [refund(100), win(50, 3)] });
+
+    assert.strictEqual(stats.rounds, 1);
+    assert.strictEqual(stats.wagered, 50);
+    assert.strictEqual(stats.curve.length, 1);
+});
+
+test('every partial exit counts towards the cash-out multipliers', () => {
+    const stats = emptyStats(0);
+    recordRound(stats, { ticker: 'NFTX', time: 1, bets: [win(100, 1.5, 2.5)] });
+    recordRound(stats, { ticker: 'NFTX', time: 2, bets: [win(100, 4)] });
+
+    const summary = summarize(stats);
+    assert.strictEqual(summary.cashOuts, 3);
+    assert.strictEqual(summary.averageMultiplier, 8 / 3);
+    assert.strictEqual(summary.bestMultiplier, 4);
+    assert.strictEqual(summary.biggestWin, 300);
+});
+
+test('the curve keeps the last CURVE_LIMIT rounds', () => {
+    const stats = emptyStats(0);
+    for (let n = 1; n <= CURVE_LIMIT + 5; n++) {
+        recordRound(stats, { ticker: 'NFTX', time: n, bets: [loss(1)] });
+    }
+    assert.strictEqual(stats.curve.length, CURVE_LIMIT);
+    assert.deepStrictEqual(stats.curve[0], [6, -6]);
+    assert.strictEqual(stats.rounds, CURVE_LIMIT + 5);
+});
+
+// --- Summaries ---
+
+test('rates are null until there is something to average', () => {
+    const summary = summarize(emptyStats(42));
+    assert.strictEqual(summary.startedAt, 42);
+    assert.strictEqual(summary.winRate, null);
+    assert.strictEqual(summary.roi, null);
+    assert.strictEqual(summary.averageMultiplier, null);
+    assert.strictEqual(summary.bestMultiplier, null);
+    assert.deepStrictEqual(summary.tickers, []);
+});
+
+test('each ticker gets its own win rate and ROI, most played first', () => {
+    const stats = emptyStats(0);
+    recordRound(stats, { ticker: 'TSLR', time: 1, bets: [win(100, 10)] });
+    recordRound(stats, { ticker: 'CORLA', time: 2, bets: [win(100, 1.2)] });
+    recordRound(stats, { ticker: 'CORLA', time: 3, bets: [loss(100)] });
+
+    const summary = summarize(stats);
+    assert.strictEqual(summary.winRate, 2 / 3);
+    assert.strictEqual(summary.roi, (900 + 20 - 100) / 300);
+    assert.deepStrictEqual(summary.tickers.map(t => t.ticker), ['CORLA', 'TSLR']);
+    assert.deepStrictEqual(summary.tickers[0], { ticker: 'CORLA', rounds: 2, winRate: 0.5, wagered: 200, profit: -80, roi: -0.4 });
+    assert.deepStrictEqual(summary.tickers[1], { ticker: 'TSLR', rounds: 1, winRate: 1, wagered: 100, profit: 900, roi: 9 });
+});
+
+test('fromBets groups consecutive rows of a round and starts at the first bet', () => {
+    const stats = fromBets([
+        { gameId: 'NFTX-1', ticker: 'NFTX', startTime: 1000, ...win(100, 2) },
+        { gameId: 'NFTX-1', ticker: 'NFTX', startTime: 1000, ...loss(100) },
+        { gameId: 'BRKR-2', ticker: 'BRKR', startTime: 2000, ...win(50, 3) }
+    ], 9999);
+
+    assert.strictEqual(stats.startedAt, 1000);
+    assert.strictEqual(stats.rounds, 2);
+    assert.strictEqual(stats.wins, 1);
+    assert.deepStrictEqual(stats.curve, [[1000, 0], [2000, 100]]);
+    assert.strictEqual(fromBets([], 9999).startedAt, 9999);
+});
+
+// --- Tracker ---
+
+function tracker(archived = [], options) {
+    const queries = [];
+    const archive = {
+        listBets: (accountId, filters) => {
+            queries.push({ accountId, ...filters });
+            return { bets: archived.slice().reverse() }; // the archive lists newest first
+        }
+    };
+    return { stats: new StatsTracker(archive, options), queries };
+}
+
+test('lifetime stats are read once from the public rounds in the archive', () => {
+    const { stats, queries } = tracker([{ gameId: 'NFTX-1', ticker: 'NFTX', startTime: 1000, ...win(100, 2) }]);
+
+    assert.strictEqual(stats.summary('ann').lifetime.profit, 100);
+    stats.summary('ann');
+    assert.strictEqual(queries.length, 1);
+    assert.deepStrictEqual(queries[0], { accountId: 'ann', room: null, tournament: null, page: 1, limit: Infinity });
+});
+
+test('a session only holds the rounds since the player connected', () => {
+    const { stats } = tracker([{ gameId: 'NFTX-1', ticker: 'NFTX', startTime: 1000, ...win(100, 2) }]);
+    const updates = [];
+    stats.on('update', accountId => updates.push(accountId));
+
+    stats.summary('ann'); // lifetime loaded before the round below settles
+    stats.connect('ann');
+    stats.record('NFTX', { startTime: 2000, results: [{ accountId: 'ann', ...loss(30) }, { accountId: 'bob', ...refund(10) }] });
+
+    const { session, lifetime } = stats.summary('ann');
+    assert.strictEqual(session.rounds, 1);
+    assert.strictEqual(session.profit, -30);
+    assert.strictEqual(lifetime.rounds, 2);
+    assert.strictEqual(lifetime.profit, 70);
+    assert.deepStrictEqual(updates, ['ann']);
+});
+
+test('a session survives a reload but not a long absence', (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const { stats } = tracker([], { sessionIdle: 60000 });
+
+    stats.connect('ann');
+    stats.record('NFTX', { startTime: now, results: [{ accountId: 'ann', ...win(100, 2) }] });
+    stats.disconnect('ann');
+    now += 30000;
+    stats.connect('ann');
+    assert.strictEqual(stats.summary('ann').session.rounds, 1);
+
+    stats.disconnect('ann');
+    now += 60001;
+    stats.connect('ann');
+    assert.strictEqual(stats.summary('ann').session.rounds, 0);
+    assert.strictEqual(stats.summary('ann').session.startedAt, now);
+});
@@ -0,0 +1,222 @@
+/**
+ * Tournament unit tests - run with `npm test`.
+ * Each tournament room is a plain GameEngine on the test's manual clock, paid from the
+ * tournament's stack wallet; the main wallet is an in-memory stand-in for Accounts.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { GameEngine, elapsedAt } = require('../lib/engine');
+const { findTicker } = require('../lib/tickers');
+const { Tournaments } = require('../lib/tournaments');
+const { ManualClock, memoryStore, fixedRounds } = require('./helpers');
+
+function setup({ crashPoints = [2.00], balance = 1000, store = memoryStore() } = {}) {
+    const clock = new ManualClock();
+    const balances = { ann: balance, bob: balance, cat: balance };
+    const accounts = {
+        debit(accountId, amount) {
+            if (amount > balances[accountId]) return { error: 'Insufficient funds' };
+            balances[accountId] -= amount;
+            return { balance: balances[accountId] };
+        },
+        credit(accountId, amount) {
+            balances[accountId] += amount;
+            return { balance: balances[accountId] };
+        }
+    };
+    const rooms = [];
+    const tournaments = new Tournaments(store, accounts, {
+        clock: clock,
+        createRoom: (tournament, wallet) => {
+            const room = new GameEngine(findTicker(tournament.ticker), {
+                clock: clock,
+                wallet: wallet,
+                rng: fixedRounds(...crashPoints),
+                config: { bettingDuration: 5000 }
+            });
+            rooms.push(room);
+            return room;
+        }
+    });
+    tournaments.start();
+    return { clock, store, balances, rooms, tournaments };
+}
+
+const player = id => ({ id: id, publicId: `p-${id}`, username: id });
+const bet = (id, amount, autoCashOut = null) => ({ amount, autoCashOut, accountId: id, playerId: `p-${id}`, username: id });
+
+// Lets the scheduler start a tournament due now
+const startDue = clock => clock.advance(1000);
+
+// ms from the launch until the curve reaches the multiplier on $NFTX
+const timeTo = multiplier => elapsedAt(multiplier, findTicker('NFTX').growthRate);
+
+const schedule = (tournaments, params = {}) => tournaments.create({ name: 'Cup', ticker: 'nftx', startsIn: 0, rounds: 1, stack: 1000, ...params });
+
+test('create needs exactly one of rounds and minutes, and a known ticker', () => {
+    const { tournaments } = setup();
+    assert.strictEqual(schedule(tournaments, { rounds: undefined }).error, 'Set either rounds or minutes');
+    assert.strictEqual(schedule(tournaments, { minutes: 10 }).error, 'Set either rounds or minutes');
+    assert.strictEqual(schedule(tournaments, { ticker: 'NOPE' }).error, 'Unknown ticker');
+
+    const tournament = schedule(tournaments, { startsIn: 5 });
+    assert.strictEqual(tournament.status, 'scheduled');
+    assert.strictEqual(tournament.ticker, 'NFTX');
+});
+
+test('the entry fee is debited on register and refunded on unregister', () => {
+    const { clock, balances, tournaments } = setup({ balance: 150 });
+    const { id } = schedule(tournaments, { startsIn: 1, entryFee: 100, prizePool: 500 });
+
+    const registered = tournaments.register(player('ann'), id);
+    assert.strictEqual(registered.players, 1);
+    assert.strictEqual(registered.pool, 600);
+    assert.strictEqual(balances.ann, 50);
+    assert.strictEqual(tournaments.register(player('ann'), id).error, 'You are already registered');
+    assert.strictEqual(tournaments.register({ ...player('bob') }, id).players, 2);
+
+    assert.strictEqual(tournaments.unregister(player('bob'), id).players, 1);
+    assert.strictEqual(balances.bob, 150);
+    assert.strictEqual(tournaments.unregister(player('bob'), id).error, 'You are not registered');
+
+    // Not enough left for a second entry
+    const second = schedule(tournaments, { startsIn: 1, entryFee: 100 });
+    assert.strictEqual(tournaments.register(player('ann'), second.id).error, 'Insufficient funds');
+
+    clock.advance(60000);
+    assert.strictEqual(tournaments.get(id).status, 'running');
+    assert.strictEqual(tournaments.register(player('cat'), id).error, 'Registration is closed');
+    assert.strictEqual(tournaments.unregister(player('ann'), id).error, 'The tournament has already started');
+});
+
+test('bets come out of the tournament stack, and only registered players may bet', () => {
+    const { clock, rooms, tournaments } = setup();
+    const { id } = schedule(tournaments);
+    tournaments.register(player('ann'), id);
+    startDue(clock);
+
+    const room = rooms[0];
+    assert.strictEqual(tournaments.room(id), room);
+    assert.strictEqual(room.placeBet('bob', bet('bob', 100)).error, 'Register for this tournament to trade in it');
+    assert.strictEqual(room.placeBet('ann', bet('ann', 2000)).error, 'Insufficient tournament stack');
+    assert.ok(!room.placeBet('ann', bet('ann', 300)).error);
+    assert.strictEqual(tournaments.get(id).standings[0].stack, 700);
+});
+
+test('prizes go 50/30/20, with the shares of unfilled places to the winner', () => {
+    const { clock, store, balances, rooms, tournaments } = setup({ crashPoints: [2.00] });
+    const { id } = schedule(tournaments, { entryFee: 100, prizePool: 1000 });
+    tournaments.register(player('ann'), id);
+    tournaments.register(player('bob'), id);
+    startDue(clock);
+
+    rooms[0].placeBet('ann', bet('ann', 100, 1.5));
+    rooms[0].placeBet('bob', bet('bob', 100));
+    clock.advance(5000 + timeTo(2.00) + 100);
+
+    const tournament = tournaments.get(id);
+    assert.strictEqual(tournament.status, 'finished');
+    assert.strictEqual(tournament.roundsPlayed, 1);
+    // Pool 1200: 600 and 360 for the two places, the unfilled 20% (240) on top of first
+    assert.deepStrictEqual(tournament.results.map(r => [r.username, r.stack, r.prize]), [['ann', 1050, 840], ['bob', 900, 360]]);
+    assert.strictEqual(balances.ann, 1000 - 100 + 840);
+    assert.strictEqual(balances.bob, 1000 - 100 + 360);
+    assert.deepStrictEqual(Object.values(store.data.tournaments[id].players).map(p => p.inPlay), [0, 0]);
+    assert.strictEqual(tournaments.room(id), null);
+    assert.strictEqual(rooms[0].state.phase, 'idle');
+});
+
+test('a rounds tournament ends with its last round', () => {
+    const { clock, rooms, tournaments } = setup({ crashPoints: [1.50, 1.50, 1.50] });
+    const { id } = schedule(tournaments, { rounds: 2 });
+    tournaments.register(player('ann'), id);
+    startDue(clock);
+
+    clock.advance(5000 + timeTo(1.50) + 100);
+    assert.strictEqual(tournaments.get(id).roundsPlayed, 1);
+    assert.strictEqual(tournaments.get(id).status, 'running');
+
+    clock.advance(60000);
+    assert.strictEqual(tournaments.get(id).roundsPlayed, 2);
+    assert.strictEqual(tournaments.get(id).status, 'finished');
+    assert.strictEqual(rooms[0].state.phase, 'idle');
+});
+
+test('a timed tournament lets the round in progress finish after its window closes', () => {
+    const { clock, rooms, tournaments } = setup({ crashPoints: Array(100).fill(1.50) });
+    const { id } = schedule(tournaments, { rounds: undefined, minutes: 1 });
+    tournaments.register(player('ann'), id);
+    startDue(clock);
+    const { endsAt } = tournaments.get(id);
+
+    // The room keeps opening rounds, so one is always in progress when the window closes
+    clock.advance(endsAt - clock.now() + 1000);
+    assert.strictEqual(tournaments.get(id).status, 'running');
+    assert.strictEqual(rooms[0].paused, true);
+
+    clock.advance(30000);
+    const tournament = tournaments.get(id);
+    assert.strictEqual(tournament.status, 'finished');
+    assert.ok(tournament.finishedAt > endsAt);
+    assert.ok(tournament.roundsPlayed > 1);
+    assert.strictEqual(rooms[0].state.phase, 'idle');
+});
+
+test('cancelling a running tournament voids its open bets and refunds every entry fee', () => {
+    const { clock, balances, rooms, tournaments } = setup();
+    const { id } = schedule(tournaments, { rounds: 3, entryFee: 100 });
+    tournaments.register(player('ann'), id);
+    tournaments.register(player('bob'), id);
+    startDue(clock);
+
+    rooms[0].placeBet('ann', bet('ann', 400));
+    const cancelled = tournaments.cancel(id, 'Server maintenance');
+    assert.strictEqual(cancelled.status, 'cancelled');
+    assert.strictEqual(cancelled.reason, 'Server maintenance');
+    assert.deepStrictEqual([balances.ann, balances.bob], [1000, 1000]);
+    // The voided round refunded the stake and doesn't count as played
+    assert.strictEqual(cancelled.standings.find(s => s.username === 'ann').stack, 1000);
+    assert.strictEqual(cancelled.roundsPlayed, 0);
+    assert.strictEqual(tournaments.room(id), null);
+
+    clock.advance(60000);
+    assert.strictEqual(rooms[0].state.phase, 'idle');
+    assert.strictEqual(tournaments.cancel(id).error, 'Tournament already cancelled');
+});
+
+test('stakes riding when the server stopped go back to their stacks on restart', () => {
+    const before = setup();
+    const { id } = schedule(before.tournaments, { rounds: 3 });
+    before.tournaments.register(player('ann'), id);
+    startDue(before.clock);
+    before.rooms[0].placeBet('ann', bet('ann', 300));
+    assert.strictEqual(before.tournaments.get(id).standings[0].stack, 700);
+
+    // A new process on the same store - the old room and its round are gone
+    const after = setup({ store: before.store });
+    assert.strictEqual(after.tournaments.get(id).status, 'running');
+    assert.strictEqual(after.tournaments.get(id).standings[0].stack, 1000);
+    assert.strictEqual(after.store.data.tournaments[id].players.ann.inPlay, 0);
+    assert.strictEqual(after.tournaments.room(id), after.rooms[0]);
+});
+
+test('a tournament nobody registered for is cancelled at its start', () => {
+    const { clock, rooms, tournaments } = setup();
+    const { id } = schedule(tournaments);
+    startDue(clock);
+
+    assert.strictEqual(tournaments.get(id).status, 'cancelled');
+    assert.strictEqual(tournaments.get(id).reason, 'No players registered');
+    assert.strictEqual(rooms.length, 0);
+});
+
+test('ids that are Object.prototype keys match no tournament', () => {
+    const { tournaments } = setup();
+    ['constructor', 'toString', '__proto__'].forEach((id) => {
+        assert.strictEqual(tournaments.get(id), null);
+        assert.strictEqual(tournaments.register(player('ann'), id).error, 'Tournament not found');
+        assert.strictEqual(tournaments.unregister(player('ann'), id).error, 'Tournament not found');
+        assert.strictEqual(tournaments.cancel(id).error, 'Tournament not found');
+    });
+});
@@ -0,0 +1,38 @@
+/**
+ * Socket event validation tests - run with `npm test`.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ERROR_CODES, validateEvent } = require('../lib/validation');
+
+test('a valid payload passes as it is', () => {
+    const payload = { amount: 100, autoCashOut: 2, slot: 1 };
+    assert.deepStrictEqual(validateEvent('PLACE_BET', payload), { value: payload });
+});
+
+test('fields the schema does not know are refused', () => {
+    const { error } = validateEvent('PLACE_BET', { amount: 100, bonus: 5 });
+    assert.strictEqual(error.code, ERROR_CODES.INVALID_INPUT);
+    assert.strictEqual(error.message, 'Unexpected field: bonus');
+});
+
+test('Object.prototype keys are unknown fields too', () => {
+    ['constructor', 'toString', 'hasOwnProperty', '__proto__'].forEach((key) => {
+        // JSON.parse makes __proto__ an own key, the way a socket payload arrives
+        const payload = JSON.parse(`{ "amount": 100, "${key}": 5 }`);
+        const { error } = validateEvent('PLACE_BET', payload);
+        assert.strictEqual(error && error.message, `Unexpected field: ${key}`);
+    });
+});
+
+test('unknown events and non-object payloads are refused', () => {
+    assert.strictEqual(validateEvent('constructor', {}).error.message, 'Unknown event: constructor');
+    assert.strictEqual(validateEvent('PLACE_BET', [100]).error.message, 'Payload must be an object');
+});
+
+test('types are strict', () => {
+    assert.ok(validateEvent('PLACE_BET', { amount: '100' }).error);
+    assert.ok(validateEvent('PLACE_BET', { amount: 10.5 }).error);
+    assert.ok(validateEvent('PLACE_BET', { amount: null }).error);
+});